@@ -0,0 +1,42 @@
+// api/credential-status.js
+// Health of the Roblox credential pool on this warm instance (lib/credential-pool.js)
+//
+// GET only. Lists every slot (name, which credentials it has, scopes, usage, 429 streak, whether
+// it is out of rotation and for how long, which credentials a 401 benched) without any secret. Health is tracked per instance, so
+// two calls can land on instances that have seen different upstream responses.
+//
+// 200 while at least one slot is in rotation, 503 when none is (or none is configured).
+// Response is ALWAYS JSON.
+
+import { requestLogger } from "../lib/logger.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { statusFor } from "../lib/http-status.js"
+import { errorCode } from "../lib/error-codes.js"
+import { checkQuery, invalidQueryBody } from "../lib/query.js"
+import { getCredentialPool } from "../lib/credential-pool.js"
+
+export const config = { runtime: "nodejs" }
+
+export default async function handler(req, res) {
+	res.setHeader("Content-Type", "application/json; charset=utf-8")
+	res.setHeader("Cache-Control", "no-store")
+
+	const log = requestLogger(req, res, "CredentialStatus")
+
+	try {
+		const guard = await guardRequest(req, res, { route: "credential-status", log })
+		if (!guard) return
+
+		const query = checkQuery(req, res)
+		if (!query.ok) return res.status(statusFor(req, res, 400)).json(invalidQueryBody(query))
+
+		const pool = getCredentialPool().snapshot()
+		const ok = pool.healthy > 0
+
+		log.info(`END ok=${ok} slots=${pool.size} healthy=${pool.healthy} strategy=${pool.strategy}`)
+		return res.status(statusFor(req, res, ok ? 200 : 503)).json({ ok, ...pool })
+	} catch (err) {
+		log.error(`HANDLER ERROR: ${String(err)}`)
+		return res.status(statusFor(req, res, 500)).json({ ok: false, error: String(err), ...errorCode("INTERNAL_ERROR") })
+	}
+}
@@ -1,246 +1,315 @@
 // api/fetch-url.js
-// Vercel serverless GET proxy for Roblox APIs (safe allowlist + always-send auth)
+// Vercel serverless proxy for Roblox APIs (host/path/method policy + per-rule auth)
+//
+// GET, plus POST / PATCH / DELETE with a JSON body. Write methods negotiate
+// x-csrf-token automatically (cached per warm instance, replayed on 403).
 //
 // Env vars (Vercel):
-// - ROBLOX_OPEN_CLOUD_KEY      (API key value)
-// - ROBLOX_SECURITY_COOKIE     (cookie value only; can be ".ROBLOSECURITY=..." or token only)
+// - ROBLOX_CREDENTIALS         (JSON credential pool, see lib/credential-pool.js)
+// - ROBLOX_OPEN_CLOUD_KEY      (API key value; single-slot fallback)
+// - ROBLOX_SECURITY_COOKIE     (cookie value only; can be ".ROBLOSECURITY=..." or token only; single-slot fallback)
 //
-// Response is ALWAYS JSON.
+// Response is a JSON envelope by default. `?mode=raw` streams the upstream status, a safe subset
+// of headers and the body unchanged (binary assets, thumbnails, Range requests); errors raised by
+// the gateway itself are still JSON.
+
+import {
+	MAX_REDIRECTS,
+	createRobloxClient,
+	isHostAllowed,
+	redirectBlockedMessage,
+	safeJsonParse,
+	safeUpstreamLabel,
+} from "../lib/roblox-client.js"
+import { requestLogger } from "../lib/logger.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { getCredentialPool } from "../lib/credential-pool.js"
+import { networkFailureStatus, proxiedStatus, statusFor, upstreamRetryAfterSec } from "../lib/http-status.js"
+import { errorCode, fetchFailureCode, upstreamStatusCode } from "../lib/error-codes.js"
+import { POLICY_HOSTS, evaluatePolicy } from "../lib/fetch-policy.js"
+import { checkQuery, invalidQueryBody, warningsHeaderValue } from "../lib/query.js"
 
 export const config = { runtime: "nodejs" }
 
-const ALLOWED_HOSTS = [
-	"apis.roblox.com",
-	"accountinformation.roblox.com",
-	"accountsettings.roblox.com",
-	"adconfiguration.roblox.com",
-	"assetdelivery.roblox.com",
-	"auth.roblox.com",
-	"avatar.roblox.com",
-	"badges.roblox.com",
-	"catalog.roblox.com",
-	"clientsettings.roblox.com",
-	"contacts.roblox.com",
-	"develop.roblox.com",
-	"economy.roblox.com",
-	"economycreatorstats.roblox.com",
-	"engagementpayouts.roblox.com",
-	"followings.roblox.com",
-	"friends.roblox.com",
-	"gameinternationalization.roblox.com",
-	"games.roblox.com",
-	"groups.roblox.com",
-	"inventory.roblox.com",
-	"itemconfiguration.roblox.com",
-	"locale.roblox.com",
-	"localizationtables.roblox.com",
-	"notifications.roblox.com",
-	"premiumfeatures.roblox.com",
-	"presence.roblox.com",
-	"privatemessages.roblox.com",
-	"publish.roblox.com",
-	"thumbnails.roblox.com",
-	"thumbnailsresizer.roblox.com",
-	"users.roblox.com",
-]
+// Host + path + method policy lives in lib/fetch-policy.js
+const ALLOWED_HOSTS = POLICY_HOSTS
 
-function truthy(s) {
-	return typeof s === "string" && s.trim() !== ""
-}
+const ALLOWED_METHODS = ["GET", "POST", "PATCH", "DELETE"]
 
-function safeUpstreamLabel(urlObj) {
-	return `${urlObj.host}${urlObj.pathname}`
+const MODES = ["json", "raw"]
+
+// ?maxRedirects= upper bound (default MAX_REDIRECTS)
+const MAX_REDIRECTS_LIMIT = 5
+
+// Query parameters (lib/query.js); a bad or repeated value is a 400, never a guess
+const QUERY = {
+	url: { type: "string", required: true, reject: true, message: "Missing 'url' query parameter (exactly one)" },
+	mode: { type: "enum", values: MODES, default: "json", reject: true },
+	maxRedirects: { type: "int", min: 0, max: MAX_REDIRECTS_LIMIT, default: MAX_REDIRECTS, reject: true },
 }
 
-function normalizeRobloxCookie(raw) {
-	if (typeof raw !== "string") return ""
+// mode=raw: caller headers forwarded upstream, and upstream headers passed back
+const RAW_REQUEST_HEADERS = ["accept", "range", "if-range", "if-none-match", "if-modified-since"]
+const RAW_RESPONSE_HEADERS = [
+	"content-type",
+	"content-length",
+	"content-range",
+	"accept-ranges",
+	"content-disposition",
+	"etag",
+	"last-modified",
+	"retry-after",
+]
+
+// Vercel parses JSON bodies into objects; raw strings must still be valid JSON. The raw bytes (kept by
+// caller auth / lib/vercel-node.js) win, so upstream gets exactly what the caller signed.
+function readJsonBody(req) {
+	const raw = typeof req.rawBody === "string" || Buffer.isBuffer(req.rawBody) ? req.rawBody : req.body
+	if (raw == null || raw === "") return { ok: true, body: undefined }
+
+	if (typeof raw === "string" || Buffer.isBuffer(raw)) {
+		const text = String(raw)
+		const parsed = safeJsonParse(text)
+		return parsed.ok ? { ok: true, body: text } : { ok: false }
+	}
+
+	return { ok: true, body: JSON.stringify(raw) }
+}
 
-	let s = raw.trim()
+function rawRequestHeaders(req) {
+	const headers = { Accept: "*/*" }
+	for (const name of RAW_REQUEST_HEADERS) {
+		const value = req.headers?.[name]
+		if (typeof value === "string" && value !== "") headers[name === "accept" ? "Accept" : name] = value
+	}
+	return headers
+}
 
-	// strip wrapping quotes (common in env UI)
-	if (
-		(s.startsWith('"') && s.endsWith('"')) ||
-		(s.startsWith("'") && s.endsWith("'"))
-	) {
-		s = s.slice(1, -1).trim()
+// Writes a web ReadableStream to the Node response, honoring backpressure and client disconnects
+async function pipeBody(body, res) {
+	const reader = body.getReader()
+	let bytes = 0
+	try {
+		for (;;) {
+			if (res.destroyed) {
+				await reader.cancel()
+				return bytes
+			}
+			const { done, value } = await reader.read()
+			if (done) break
+			bytes += value.length
+			if (!res.write(value)) {
+				await new Promise((resolve) => {
+					const done = () => {
+						res.off("drain", done)
+						res.off("close", done)
+						resolve()
+					}
+					res.on("drain", done)
+					res.on("close", done)
+				})
+			}
+		}
+		res.end()
+		return bytes
+	} finally {
+		reader.releaseLock()
 	}
+}
 
-	// remove ALL whitespace (spaces/newlines/tabs) that can break cookie parsing
-	s = s.replace(/\s+/g, "").trim()
+async function sendRaw(req, res, result, authSent, log) {
+	if (result.redirectBlocked) {
+		log.warn(`END mode=raw ok=false reason=redirect_${result.redirectBlocked.reason} host=${result.redirectBlocked.host}`)
+		return res.status(statusFor(req, res, 502)).json({
+			ok: false,
+			error: redirectBlockedMessage(result.redirectBlocked),
+			...errorCode("REDIRECT_BLOCKED"),
+			rule: authSent.rule,
+			redirects: result.redirects,
+		})
+	}
 
-	// allow storing token-only; prefix it
-	if (!s.includes("ROBLOSECURITY=")) {
-		s = `.ROBLOSECURITY=${s}`
+	// fetch already decoded any content-encoding, so the upstream length no longer applies
+	const decoded = Boolean(result.headers?.get("content-encoding"))
+	for (const name of RAW_RESPONSE_HEADERS) {
+		if (name === "content-length" && (decoded || !result.body)) continue
+		const value = result.headers?.get(name)
+		if (value) res.setHeader(name, value)
+	}
+	res.setHeader("X-Gateway-Rule", authSent.rule)
+	res.setHeader("X-Gateway-Csrf", authSent.csrf)
+	if (authSent.slot) res.setHeader("X-Gateway-Credential", authSent.slot.name)
+	res.setHeader("X-Gateway-Redirects", String(result.redirects?.length || 0))
+	res.status(result.status)
+
+	if (!result.body) {
+		// non-2xx bodies are buffered by the client (retries / CSRF need them)
+		log.info(`END mode=raw status=${result.status} bytes=${Buffer.byteLength(result.text)}`)
+		return res.end(result.text)
 	}
 
-	return s
+	try {
+		const bytes = await pipeBody(result.body, res)
+		log.info(`END mode=raw status=${result.status} bytes=${bytes}`)
+	} catch (err) {
+		// headers are already sent; all we can do is cut the connection
+		log.error(`END mode=raw status=${result.status} stream_error="${String(err)}"`)
+		res.destroy(err)
+	}
 }
 
 export default async function handler(req, res) {
 	res.setHeader("Cache-Control", "no-store")
 
-	const requestId =
-		typeof crypto !== "undefined" && crypto.randomUUID
-			? crypto.randomUUID()
-			: `${Date.now()}-${Math.random().toString(16).slice(2)}`
+	const log = requestLogger(req, res, "Proxy")
+	let mode = "json"
 
 	try {
-		if (req.method !== "GET") {
-			res.setHeader("Allow", "GET")
-			console.log(`[Proxy:${requestId}] 405 Method Not Allowed`)
-			return res.status(405).json({ ok: false, error: "Method Not Allowed" })
-		}
-
-		const target = req.query.url
-		if (!target) {
-			console.log(`[Proxy:${requestId}] 400 Missing url param`)
-			return res.status(400).json({ ok: false, error: "Missing 'url' query parameter" })
+		const guard = await guardRequest(req, res, { route: "fetch-url", methods: ALLOWED_METHODS, log })
+		if (!guard) return
+		const { method } = guard
+
+		const query = checkQuery(req, res, QUERY)
+		if (!query.ok) {
+			log.info(`400 Invalid query params=${query.errors.map((e) => e.param).join(",")}`)
+			return res.status(statusFor(req, res, 400)).json(invalidQueryBody(query))
 		}
+		if (query.warnings.length > 0) log.info(`QUERY warnings=${warningsHeaderValue(query.warnings)}`)
+		mode = query.params.mode
+		const { maxRedirects, url: target } = query.params
 
 		let targetUrl
 		try {
 			targetUrl = decodeURIComponent(target)
 		} catch {
-			console.log(`[Proxy:${requestId}] 400 Invalid URL encoding`)
-			return res.status(400).json({ ok: false, error: "Invalid URL encoding" })
+			log.info("400 Invalid URL encoding")
+			return res.status(statusFor(req, res, 400)).json({ ok: false, error: "Invalid URL encoding", ...errorCode("INVALID_PARAMETER") })
 		}
 
 		let urlObj
 		try {
 			urlObj = new URL(targetUrl)
 		} catch {
-			console.log(`[Proxy:${requestId}] 400 Invalid URL format`)
-			return res.status(400).json({ ok: false, error: "Invalid URL format" })
+			log.info("400 Invalid URL format")
+			return res.status(statusFor(req, res, 400)).json({ ok: false, error: "Invalid URL format", ...errorCode("INVALID_URL") })
 		}
 
-		if (!ALLOWED_HOSTS.includes(urlObj.host)) {
-			console.log(`[Proxy:${requestId}] 403 Host not allowed: ${urlObj.host}`)
-			return res.status(403).json({ ok: false, error: "Host not allowed" })
+		if (!isHostAllowed(urlObj.host, ALLOWED_HOSTS)) {
+			log.info(`403 Host not allowed: ${urlObj.host}`)
+			return res.status(statusFor(req, res, 403)).json({ ok: false, error: "Host not allowed", ...errorCode("HOST_NOT_ALLOWED"), rule: "host-not-allowed" })
 		}
 
-		const openCloudKey = (process.env.ROBLOX_OPEN_CLOUD_KEY || "").trim()
-		const rbxCookie = normalizeRobloxCookie(process.env.ROBLOX_SECURITY_COOKIE)
-
-		const baseHeaders = {
-			Accept: "application/json",
-			"User-Agent":
-				"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
-				"(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-			Referer: "https://www.roblox.com/",
-		}
-
-		const tried = []
-		let sentCookieLen = 0
-
-		async function readUpstream(upstream) {
-			const upstreamStatus = upstream.status
-			const upstreamContentType = upstream.headers.get("content-type") || ""
-			const text = await upstream.text()
-
-			let json = null
-			if (upstreamContentType.includes("application/json") && text) {
-				try {
-					json = JSON.parse(text)
-				} catch {
-					json = null
-				}
-			}
+		const decision = evaluatePolicy(method, urlObj)
+		log.info(
+			`POLICY ${decision.allowed ? "allow" : "deny"} rule=${decision.rule} method=${method} ` +
+				`path=${safeUpstreamLabel(urlObj)} cookie=${decision.cookie} apiKey=${decision.apiKey}`
+		)
 
-			return { upstreamStatus, upstreamContentType, text: text || "", json }
+		if (!decision.allowed) {
+			return res.status(statusFor(req, res, 403)).json({ ok: false, error: "Blocked by policy", ...errorCode("POLICY_BLOCKED"), rule: decision.rule, reason: decision.reason })
 		}
 
-		async function doFetch(url, headersObj) {
-			const h = new Headers(headersObj)
-
-			// Debug (no secrets leaked)
-			const cookieHeader = h.get("cookie") || ""
-			console.log(
-				`[Proxy:${requestId}] outgoing cookieHeaderLen=${cookieHeader.length} hasPair=${cookieHeader.includes(
-					"ROBLOSECURITY="
-				)} url=${new URL(url).host}${new URL(url).pathname}`
-			)
-
-			const upstream = await fetch(url, {
-				method: "GET",
-				headers: h,
-				redirect: "manual",
-			})
-
-			// follow 1 redirect with same headers
-			if (upstream.status >= 300 && upstream.status < 400) {
-				const loc = upstream.headers.get("location")
-				if (loc) {
-					const nextUrl = new URL(loc, url).toString()
-					console.log(
-						`[Proxy:${requestId}] redirect ${upstream.status} -> ${new URL(nextUrl).host}${new URL(
-							nextUrl
-						).pathname}`
-					)
-
-					const upstream2 = await fetch(nextUrl, {
-						method: "GET",
-						headers: h,
-						redirect: "manual",
-					})
-
-					return await readUpstream(upstream2)
-				}
+		let body
+		if (method !== "GET") {
+			const parsedBody = readJsonBody(req)
+			if (!parsedBody.ok) {
+				log.info("400 Invalid JSON body")
+				return res.status(statusFor(req, res, 400)).json({ ok: false, error: "Invalid JSON body", ...errorCode("INVALID_PARAMETER") })
 			}
-
-			return await readUpstream(upstream)
+			body = parsedBody.body
 		}
 
-		console.log(
-			`[Proxy:${requestId}] START host=${urlObj.host} path=${safeUpstreamLabel(urlObj)}`
-		)
-		console.log(
-			`[Proxy:${requestId}] env openCloudKeyLen=${openCloudKey.length} cookieLen=${rbxCookie.length}`
-		)
-
-		// Always send both (if present)
-		const headers = { ...baseHeaders }
+		const pool = getCredentialPool().snapshot()
+
+		// no jitter: single call per request, callers pace themselves.
+		// Every redirect hop is re-checked against the policy, which also decides its credentials.
+		// The caller picks the target, so its answers never take a credential slot out of rotation.
+		const client = createRobloxClient({
+			allowedHosts: ALLOWED_HOSTS,
+			log,
+			jitter: false,
+			maxRedirects,
+			redirectPolicy: evaluatePolicy,
+			credentialHealth: false,
+		})
 
-		if (truthy(openCloudKey)) {
-			tried.push("apiKey")
-			headers["x-api-key"] = openCloudKey
+		log.info(`START method=${method} mode=${mode} host=${urlObj.host} path=${safeUpstreamLabel(urlObj)}`)
+		log.info(`credentials slots=${pool.size} healthy=${pool.healthy} strategy=${pool.strategy}`)
+
+		const raw = mode === "raw"
+		const headers = raw ? rawRequestHeaders(req) : {}
+		if (body !== undefined) headers["Content-Type"] = "application/json"
+
+		// Only the credentials the matching policy rule allows
+		const result = await client.request(targetUrl, {
+			method,
+			auth: { cookie: decision.cookie, apiKey: decision.apiKey },
+			headers,
+			body,
+			step: "proxy",
+			stream: raw,
+		})
+		const authSent = { ...result.authSent, csrf: result.csrf || "none", rule: decision.rule }
+
+		if (raw) return sendRaw(req, res, result, authSent, log)
+
+		if (result.redirectBlocked) {
+			log.warn(`END ok=false reason=redirect_${result.redirectBlocked.reason} host=${result.redirectBlocked.host}`)
+			return res.status(statusFor(req, res, 502)).json({
+				ok: false,
+				upstreamStatus: 0,
+				upstreamContentType: "",
+				json: null,
+				text: "",
+				error: redirectBlockedMessage(result.redirectBlocked),
+				...errorCode("REDIRECT_BLOCKED"),
+				redirects: result.redirects,
+				authSent,
+				params: query.params,
+				warnings: query.warnings,
+			})
 		}
 
-		if (truthy(rbxCookie)) {
-			tried.push("cookie")
-			sentCookieLen = rbxCookie.length
-			headers.cookie = rbxCookie
+		let json = null
+		if (result.contentType.includes("application/json") && result.text) {
+			const parsed = safeJsonParse(result.text)
+			json = parsed.ok ? parsed.value : null
 		}
 
-		const result = await doFetch(targetUrl, headers)
+		const ok = result.status >= 200 && result.status < 300
 
-		const ok = result.upstreamStatus >= 200 && result.upstreamStatus < 300
+		log.info(`END ok=${ok} status=${result.status} tried=${authSent.tried.join(",")} csrf=${authSent.csrf}`)
 
-		console.log(
-			`[Proxy:${requestId}] END ok=${ok} status=${result.upstreamStatus} tried=${tried.join(",")}`
-		)
-
-		return res.status(200).json({
+		// the upstream status is always in the envelope; the HTTP status follows lib/http-status.js
+		if (result.status === 429) res.setHeader("Retry-After", String(upstreamRetryAfterSec(result.rate)))
+		return res.status(statusFor(req, res, proxiedStatus(result.status))).json({
 			ok,
-			upstreamStatus: result.upstreamStatus,
-			upstreamContentType: result.upstreamContentType,
-			json: result.json,
+			...(ok ? {} : errorCode(upstreamStatusCode(result))),
+			upstreamStatus: result.status,
+			upstreamContentType: result.contentType,
+			json,
 			text: result.text,
-			authSent: {
-				tried,
-				cookieLen: sentCookieLen,
-				apiKeyLen: openCloudKey.length,
-			},
+			redirects: result.redirects,
+			authSent,
+			params: query.params,
+			warnings: query.warnings,
 		})
 	} catch (err) {
-		console.error(`[Proxy:${requestId}] HANDLER ERROR:`, err)
-		return res.status(200).json({
+		log.error(`HANDLER ERROR: ${String(err)}`)
+		if (mode === "raw") {
+			if (res.headersSent) return res.destroy(err)
+			return res.status(statusFor(req, res, networkFailureStatus(err))).json({ ok: false, error: String(err), ...errorCode(fetchFailureCode(err)) })
+		}
+		return res.status(statusFor(req, res, networkFailureStatus(err))).json({
 			ok: false,
 			upstreamStatus: 0,
 			upstreamContentType: "",
 			json: null,
 			text: "",
 			error: String(err),
-			authSent: { tried: [], cookieLen: 0, apiKeyLen: 0 },
+			...errorCode(fetchFailureCode(err)),
+			redirects: [],
+			authSent: { tried: [], cookieLen: 0, apiKeyLen: 0, slot: null, csrf: "none" },
 		})
 	}
 }
@@ -1,1074 +1,706 @@
-export const config = { runtime: "nodejs" }
-export const dynamic = "force-dynamic"
-export const fetchCache = "force-no-store"
-
-const DEFAULTS = {
-	includeGamepasses: true,
-	includeClothing: true,
-	maxPlaces: 50,
-	maxUniversePages: 10,
-	maxInventoryPages: 10,
-	pageSize: 100,
-
-	concurrency: 5,
-	catalogBatchSize: 50,
-}
-
-const INVENTORY_ASSET_TYPES = ["CLASSIC_TSHIRT", "CLASSIC_SHIRT", "CLASSIC_PANTS"]
-const ASSET_LIST_KEYS = ["GAMEPASS", ...INVENTORY_ASSET_TYPES]
-
-// Only the hosts this endpoint actually calls
-const ALLOWED_HOSTS = [
-	"apis.roblox.com",
-	"catalog.roblox.com",
-	"games.roblox.com",
-]
-
-// small jitter to reduce bursts
-const UPSTREAM_DELAY_MIN_MS = 200
-const UPSTREAM_DELAY_MAX_MS = 300
-
-// retry controls
-const MAX_ATTEMPTS = 4
-const RETRY_BASE_DELAY_MS = 600
-const RETRY_MAX_DELAY_MS = 8000
-const UPSTREAM_TIMEOUT_MS = 15000
-
-// verbose logs: set Vercel env DEBUG_LOG_ALL=1
-const DEBUG_LOG_ALL = process.env.DEBUG_LOG_ALL === "1"
-
-function sleep(ms) {
-	return new Promise((resolve) => setTimeout(resolve, ms))
-}
-
-function getUpstreamDelayMs() {
-	return UPSTREAM_DELAY_MIN_MS + Math.floor(Math.random() * (UPSTREAM_DELAY_MAX_MS - UPSTREAM_DELAY_MIN_MS + 1))
-}
-
-function clampInt(n, min, max) {
-	return Math.max(min, Math.min(max, Math.trunc(n)))
-}
-
-function truthy(s) {
-	return typeof s === "string" && s.trim() !== ""
-}
-
-function safeUpstreamLabel(urlObj) {
-	return `${urlObj.host}${urlObj.pathname}`
-}
-
-function normalizeRobloxCookie(raw) {
-	if (typeof raw !== "string") return ""
-
-	let s = raw.trim()
-
-	// strip wrapping quotes (common in env UI)
-	if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-		s = s.slice(1, -1).trim()
-	}
-
-	// remove ALL whitespace (spaces/newlines/tabs) that can break cookie parsing
-	s = s.replace(/\s+/g, "").trim()
-
-	// allow storing token-only; prefix it
-	if (s !== "" && !s.includes("ROBLOSECURITY=")) {
-		s = `.ROBLOSECURITY=${s}`
-	}
-
-	return s
-}
-
-function toInt(value) {
-	if (typeof value === "number" && Number.isFinite(value)) return Math.trunc(value)
-	if (typeof value !== "string") return NaN
-	const s = value.trim()
-	if (s === "") return NaN
-	const n = Number(s)
-	return Number.isFinite(n) ? Math.trunc(n) : NaN
-}
-
-function clamp(n, min, max) {
-	return Math.max(min, Math.min(max, n))
-}
-
-function parseBool(value, defaultValue) {
-	if (value == null) return defaultValue
-	if (typeof value === "boolean") return value
-	const s = String(value).trim().toLowerCase()
-	if (s === "true" || s === "1" || s === "yes" || s === "y") return true
-	if (s === "false" || s === "0" || s === "no" || s === "n") return false
-	return defaultValue
-}
-
-function safeJsonParse(text) {
-	try {
-		return { ok: true, value: JSON.parse(text) }
-	} catch (e) {
-		return { ok: false, error: e }
-	}
-}
-
-// Simple concurrency limiter (no deps)
-function createLimiter(limit) {
-	let active = 0
-	const queue = []
-
-	const next = () => {
-		if (active >= limit) return
-		const job = queue.shift()
-		if (!job) return
-		active += 1
-		Promise.resolve()
-			.then(job.fn)
-			.then(job.resolve, job.reject)
-			.finally(() => {
-				active -= 1
-				next()
-			})
-	}
-
-	return function run(fn) {
-		return new Promise((resolve, reject) => {
-			queue.push({ fn, resolve, reject })
-			next()
-		})
-	}
-}
-
-function getNextPageToken(obj) {
-	const t = obj?.nextPageToken
-	if (t == null) return null
-	const s = String(t).trim()
-	return s.length > 0 ? s : null
-}
-
-function parseRobuxPrice(value) {
-	if (typeof value === "number" && Number.isFinite(value)) return value
-	if (typeof value === "string") {
-		const s = value.trim()
-		if (s !== "") {
-			const n = Number(s)
-			if (Number.isFinite(n)) return n
-		}
-	}
-	return null
-}
-
-function makeAssetEntry(assetName, assetType, assetTypeId, assetPrice) {
-	return {
-		AssetName: String(assetName || ""),
-		AssetType: assetType,
-		AssetTypeId: Number(assetTypeId) || 0,
-		AssetPrice: Number(assetPrice) || 0,
-	}
-}
-
-function parseGroupOwnerUserId(groupObj) {
-	const ownerRaw = groupObj?.owner
-	if (ownerRaw == null) return null
-	const s = String(ownerRaw).trim()
-	const m = s.match(/users\/(\d+)/i)
-	if (!m) return null
-	const n = Number(m[1])
-	return Number.isFinite(n) ? n : null
-}
-
-function normalizeCatalogCreatorType(creatorTypeRaw) {
-	if (typeof creatorTypeRaw === "string") {
-		const s = creatorTypeRaw.trim().toLowerCase()
-		if (s === "group") return "Group"
-		if (s === "user") return "User"
-		return null
-	}
-
-	if (typeof creatorTypeRaw === "number" && Number.isFinite(creatorTypeRaw)) {
-		if (creatorTypeRaw === 2) return "Group"
-		if (creatorTypeRaw === 1) return "User"
-		return "Unknown"
-	}
-
-	return null
-}
-
-function isCatalogForSale(item) {
-	if (!item || typeof item !== "object") return false
-	if (item.isOffSale === true) return false
-
-	const price = parseRobuxPrice(item.price)
-	if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) return false
-
-	if (typeof item.priceStatus === "string") {
-		const ps = item.priceStatus.trim().toLowerCase()
-		if (ps === "offsale") return false
-	}
-
-	return true
-}
-
-// ---- Retry / timeout helpers ----
-
-function fetchWithTimeout(url, options, timeoutMs) {
-	const controller = new AbortController()
-	const timer = setTimeout(() => controller.abort(), timeoutMs)
-
-	return fetch(url, {
-		...options,
-		signal: controller.signal,
-	}).finally(() => clearTimeout(timer))
-}
-
-function isRetryableStatus(status) {
-	return status === 429 || status === 408 || status === 500 || status === 502 || status === 503 || status === 504
-}
-
-function parseRetryAfterMs(headers) {
-	const raw = headers.get("retry-after")
-	if (!raw) return null
-
-	// "Retry-After: 2" (seconds)
-	const asInt = Number(raw)
-	if (Number.isFinite(asInt) && asInt > 0) return clampInt(asInt * 1000, 0, RETRY_MAX_DELAY_MS)
-
-	// "Retry-After: Wed, 21 Oct 2015 07:28:00 GMT"
-	const asDate = Date.parse(raw)
-	if (Number.isFinite(asDate)) {
-		const diff = asDate - Date.now()
-		if (diff > 0) return clampInt(diff, 0, RETRY_MAX_DELAY_MS)
-	}
-
-	return null
-}
-
-function getRateLimitInfo(headers) {
-	const pick = (name) => headers.get(name) || null
-
-	return {
-		retryAfter: pick("retry-after"),
-		remaining: pick("x-ratelimit-remaining") || pick("x-rate-limit-remaining"),
-		limit: pick("x-ratelimit-limit") || pick("x-rate-limit-limit"),
-		reset: pick("x-ratelimit-reset") || pick("x-rate-limit-reset"),
-	}
-}
-
-function computeBackoffMs(attemptIndex, retryAfterMs) {
-	if (typeof retryAfterMs === "number" && Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
-		return clampInt(retryAfterMs, 0, RETRY_MAX_DELAY_MS)
-	}
-
-	const exp = RETRY_BASE_DELAY_MS * Math.pow(2, attemptIndex - 1)
-	const jitter = Math.floor(Math.random() * 250)
-	return clampInt(exp + jitter, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)
-}
-
-function makeLogger(requestId) {
-	const prefix = `[GetDonationAsset:${requestId}]`
-
-	return {
-		debug: (msg) => {
-			if (DEBUG_LOG_ALL) console.log(`${prefix} ${msg}`)
-		},
-		info: (msg) => console.log(`${prefix} ${msg}`),
-		warn: (msg) => console.warn(`${prefix} ${msg}`),
-		error: (msg) => console.error(`${prefix} ${msg}`),
-	}
-}
-
-function getSnippet(text) {
-	return String(text || "")
-		.slice(0, 180)
-		replace(/\s+/g, " ")
-		.trim()
-}
-
-function isXsrfInvalidBody(text) {
-	const parsed = safeJsonParse(text || "")
-	if (!parsed.ok) return false
-	const msg = parsed.value?.errors?.[0]?.message
-	return typeof msg === "string" && msg.toLowerCase().includes("xsrf token invalid")
-}
-
-// ---- Catalog POST w/ CSRF refresh ----
-
-async function catalogPostItemsDetails(
-	assetIds,
-	errors,
-	userId,
-	log,
-	metrics,
-	buildCatalogHeaders,
-	getCsrfToken,
-	setCsrfToken
-) {
-	const body = {
-		items: assetIds.map((id) => ({
-			itemType: 1,
-			id,
-		})),
-	}
-
-	async function doPost(csrfTokenOrNull) {
-		await sleep(getUpstreamDelayMs())
-
-		const headers = buildCatalogHeaders(csrfTokenOrNull)
-
-		return fetchWithTimeout(
-			"https://catalog.roblox.com/v1/catalog/items/details",
-			{
-				method: "POST",
-				headers,
-				body: JSON.stringify(body),
-			},
-			UPSTREAM_TIMEOUT_MS
-		)
-	}
-
-	metrics.upstreamCalls += 1
-
-	for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
-		const start = Date.now()
-
-		try {
-			const existing = getCsrfToken()
-			let res = await doPost(existing || null)
-			let text = await res.text()
-			let ms = Date.now() - start
-
-			if (res.status === 403) {
-				const newToken = res.headers.get("x-csrf-token")
-
-				if (newToken && newToken !== existing) {
-					setCsrfToken(newToken)
-					log.warn(`CSRF step=catalog.details refreshed status=403 ms=${ms}`)
-					res = await doPost(newToken)
-					text = await res.text()
-					ms = Date.now() - start
-				} else if (existing && isXsrfInvalidBody(text)) {
-					// rare: invalid body but header missing
-					setCsrfToken(null)
-					log.warn(`CSRF step=catalog.details invalid_token_bootstrap status=403 ms=${ms}`)
-
-					const bootRes = await doPost(null)
-					const bootText = await bootRes.text()
-					const bootToken = bootRes.headers.get("x-csrf-token")
-
-					if (bootRes.status === 403 && bootToken) {
-						setCsrfToken(bootToken)
-						log.warn(`CSRF step=catalog.details bootstrapped_token status=403`)
-
-						const finalRes = await doPost(bootToken)
-						const finalText = await finalRes.text()
-
-						if (finalRes.status >= 200 && finalRes.status < 300) {
-							const parsedFinal = safeJsonParse(finalText)
-							const dataFinal = parsedFinal.ok ? parsedFinal.value?.data : null
-							if (Array.isArray(dataFinal)) return dataFinal
-
-							errors.push({
-								step: "catalog.details",
-								message: "Catalog response missing data[]",
-								context: { userId, status: finalRes.status, ms: Date.now() - start },
-							})
-							return null
-						}
-
-						res = finalRes
-						text = finalText
-						ms = Date.now() - start
-					} else {
-						log.warn(`CSRF step=catalog.details bootstrap_failed status=${bootRes.status} snippet="${getSnippet(bootText)}"`)
-					}
-				}
-			}
-
-			const ok = res.status >= 200 && res.status < 300
-			if (!ok) {
-				metrics.upstreamNon2xx += 1
-				if (res.status === 429) metrics.upstream429 += 1
-
-				log.warn(`FAIL step=catalog.details status=${res.status} ms=${ms} snippet="${getSnippet(text)}"`)
-
-				if (isRetryableStatus(res.status) && attempt < MAX_ATTEMPTS) {
-					const retryAfterMs = parseRetryAfterMs(res.headers)
-					const waitMs = computeBackoffMs(attempt, retryAfterMs)
-					metrics.upstreamRetries += 1
-
-					const rate = getRateLimitInfo(res.headers)
-					log.warn(
-						`RETRY step=catalog.details status=${res.status} attempt=${attempt}/${MAX_ATTEMPTS} wait=${waitMs}ms ` +
-							`rate={remaining:${rate.remaining ?? "?"}, reset:${rate.reset ?? "?"}}`
-					)
-
-					await sleep(waitMs)
-					continue
-				}
-
-				errors.push({
-					step: "catalog.details",
-					message: "Catalog upstream error",
-					context: {
-						userId,
-						status: res.status,
-						ms,
-						rateLimit: getRateLimitInfo(res.headers),
-						bodySnippet: String(text || "").slice(0, 300),
-					},
-				})
-				return null
-			}
-
-			const parsed = safeJsonParse(text)
-			if (!parsed.ok) {
-				errors.push({
-					step: "catalog.details",
-					message: "Catalog returned non-JSON response",
-					context: { userId, status: res.status, ms, bodySnippet: String(text || "").slice(0, 300) },
-				})
-				log.warn(`FAIL step=catalog.details reason=non_json status=${res.status} ms=${ms}`)
-				return null
-			}
-
-			const data = parsed.value?.data
-			if (!Array.isArray(data)) {
-				errors.push({
-					step: "catalog.details",
-					message: "Catalog response missing data[]",
-					context: { userId, status: res.status, ms, response: parsed.value },
-				})
-				log.warn(`FAIL step=catalog.details reason=missing_data status=${res.status} ms=${ms}`)
-				return null
-			}
-
-			log.debug(`OK step=catalog.details status=${res.status} ms=${ms} items=${assetIds.length}`)
-			return data
-		} catch (e) {
-			const isAbort = String(e && e.name) === "AbortError"
-			const isLast = attempt >= MAX_ATTEMPTS
-
-			if (!isLast) {
-				const waitMs = computeBackoffMs(attempt, null)
-				metrics.upstreamRetries += 1
-				log.warn(
-					`RETRY step=catalog.details reason=${isAbort ? "timeout" : "network"} attempt=${attempt}/${MAX_ATTEMPTS} wait=${waitMs}ms error="${String(e)}"`
-				)
-				await sleep(waitMs)
-				continue
-			}
-
-			errors.push({
-				step: "catalog.details",
-				message: "Catalog POST failed",
-				context: { userId, error: String(e) },
-			})
-			log.error(`FAIL step=catalog.details reason=post_failed error="${String(e)}"`)
-			return null
-		}
-	}
-
-	return null
-}
-
-export default async function handler(req, res) {
-	res.setHeader("Content-Type", "application/json; charset=utf-8")
-	res.setHeader("Cache-Control", "no-store")
-
-	const requestId =
-		typeof crypto !== "undefined" && crypto.randomUUID
-			? crypto.randomUUID()
-			: `${Date.now()}-${Math.random().toString(16).slice(2)}`
-
-	const log = makeLogger(requestId)
-
-	const errors = []
-	const out = {
-		ok: false,
-		userId: 0,
-		summary: {
-			places: 0,
-			universes: 0,
-			gamepasses: 0,
-			clothing: 0,
-		},
-		Data: {},
-		errors,
-	}
-
-	const metrics = {
-		upstreamCalls: 0,
-		upstreamRetries: 0,
-		upstream429: 0,
-		upstreamNon2xx: 0,
-	}
-
-	const requestStart = Date.now()
-
-	try {
-		if (req.method !== "GET") {
-			errors.push({ step: "validate", message: "Method not allowed (GET only)", context: {} })
-			log.warn("FAIL step=validate reason=method_not_allowed")
-			out.ok = false
-			log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
-			return res.status(200).json(out)
-		}
-
-		const userId = toInt(req.query.userId)
-		if (!Number.isFinite(userId) || userId <= 0) {
-			errors.push({
-				step: "validate",
-				message: "Missing or invalid userId (must be a positive integer)",
-				context: { userId: req.query.userId },
-			})
-			log.warn("FAIL step=validate reason=invalid_userId")
-			out.ok = false
-			log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
-			return res.status(200).json(out)
-		}
-		out.userId = userId
-
-		const includeGamepasses = parseBool(req.query.includeGamepasses, DEFAULTS.includeGamepasses)
-		const includeClothing = parseBool(req.query.includeClothing, DEFAULTS.includeClothing)
-
-		const maxPlaces = clamp(
-			Number.isFinite(toInt(req.query.maxPlaces)) ? toInt(req.query.maxPlaces) : DEFAULTS.maxPlaces,
-			1,
-			50
-		)
-		const maxUniversePages = clamp(
-			Number.isFinite(toInt(req.query.maxUniversePages)) ? toInt(req.query.maxUniversePages) : DEFAULTS.maxUniversePages,
-			1,
-			100
-		)
-		const maxInventoryPages = clamp(
-			Number.isFinite(toInt(req.query.maxInventoryPages)) ? toInt(req.query.maxInventoryPages) : DEFAULTS.maxInventoryPages,
-			1,
-			100
-		)
-
-		let pageSize = Number.isFinite(toInt(req.query.pageSize)) ? toInt(req.query.pageSize) : DEFAULTS.pageSize
-		pageSize = clamp(pageSize, 1, 100)
-
-		const limiter = createLimiter(DEFAULTS.concurrency)
-
-		const openCloudKey = (process.env.ROBLOX_OPEN_CLOUD_KEY || "").trim()
-		const rbxCookie = normalizeRobloxCookie(process.env.ROBLOX_SECURITY_COOKIE)
-
-		const baseHeaders = {
-			Accept: "application/json",
-		"User-Agent":
-			"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
-			"(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-		Referer: "https://www.roblox.com/",
-		"Cache-Control": "no-cache",
-	}
-
-		function buildAuthHeaders() {
-			const headers = { ...baseHeaders }
-
-			if (truthy(openCloudKey)) {
-				headers["x-api-key"] = openCloudKey
-			}
-
-			if (truthy(rbxCookie)) {
-				headers.Cookie = rbxCookie
-			}
-
-			return headers
-		}
-
-		// CSRF token stored per-request (not global)
-		let csrfToken = null
-
-		function buildCatalogHeaders(csrfOrNull) {
-			const headers = {
-				...baseHeaders,
-				"Content-Type": "application/json",
-			}
-
-			if (truthy(openCloudKey)) {
-				headers["x-api-key"] = openCloudKey
-			}
-
-			if (truthy(rbxCookie)) {
-				headers.Cookie = rbxCookie
-			}
-
-			if (truthy(csrfOrNull)) {
-				headers["x-csrf-token"] = csrfOrNull
-			}
-
-			return headers
-		}
-
-		async function robloxGetJson(url, step, context) {
-			let urlObj
-			try {
-				urlObj = new URL(url)
-			} catch {
-				errors.push({ step, message: "Invalid URL format", context: { ...context, url } })
-				log.warn(`FAIL step=${step} reason=invalid_url`)
-				return null
-			}
-
-			if (!ALLOWED_HOSTS.includes(urlObj.host)) {
-				errors.push({ step, message: "Host not allowed", context: { ...context, host: urlObj.host, url } })
-				log.warn(`FAIL step=${step} reason=host_not_allowed host=${urlObj.host}`)
-				return null
-			}
-
-		const headers = step === "gamepasses.list" ? { ...baseHeaders } : buildAuthHeaders()
-
-		async function fetchTextOnce(targetUrl) {
-			await sleep(getUpstreamDelayMs())
-
-			const cacheBust = Date.now().toString()
-			const addCacheBuster = (rawUrl) => {
-				const u = new URL(rawUrl)
-				u.searchParams.append("cb", cacheBust)
-				return u.toString()
-			}
-
-			const start = Date.now()
-			const upstream = await fetchWithTimeout(
-				addCacheBuster(targetUrl),
-				{ method: "GET", headers, redirect: "manual", cache: "no-store", next: { revalidate: 0 } },
-				UPSTREAM_TIMEOUT_MS
-			)
-
-				// follow 1 redirect with same headers
-				if (upstream.status >= 300 && upstream.status < 400) {
-					const loc = upstream.headers.get("location")
-				if (loc) {
-					const nextUrl = new URL(loc, targetUrl).toString()
-					const nextObj = new URL(nextUrl)
-
-						if (!ALLOWED_HOSTS.includes(nextObj.host)) {
-							return {
-								status: 0,
-								ms: Date.now() - start,
-								text: "",
-								contentType: "",
-								rate: null,
-								redirectBlocked: { from: targetUrl, to: nextUrl, host: nextObj.host },
-							}
-						}
-
-						await sleep(getUpstreamDelayMs())
-
-					const upstream2 = await fetchWithTimeout(
-						addCacheBuster(nextUrl),
-						{ method: "GET", headers, redirect: "manual", cache: "no-store", next: { revalidate: 0 } },
-						UPSTREAM_TIMEOUT_MS
-					)
-
-						const text2 = await upstream2.text()
-						return {
-							status: upstream2.status,
-							ms: Date.now() - start,
-							text: text2 || "",
-							contentType: upstream2.headers.get("content-type") || "",
-							rate: getRateLimitInfo(upstream2.headers),
-						}
-					}
-				}
-
-				const text = await upstream.text()
-				return {
-					status: upstream.status,
-					ms: Date.now() - start,
-					text: text || "",
-					contentType: upstream.headers.get("content-type") || "",
-					rate: getRateLimitInfo(upstream.headers),
-				}
-			}
-
-			metrics.upstreamCalls += 1
-
-			for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
-				try {
-					if (DEBUG_LOG_ALL) {
-						log.debug(
-							`GET step=${step} attempt=${attempt}/${MAX_ATTEMPTS} host=${urlObj.host} path=${safeUpstreamLabel(urlObj)}`
-						)
-					}
-
-					const result = await fetchTextOnce(url)
-
-					if (result.redirectBlocked) {
-						errors.push({
-							step,
-							message: "Redirect host not allowed",
-							context: { ...context, ...result.redirectBlocked },
-						})
-						log.warn(`FAIL step=${step} reason=redirect_host_not_allowed host=${result.redirectBlocked.host}`)
-						return null
-					}
-
-					const ok = result.status >= 200 && result.status < 300
-					if (!ok) {
-						metrics.upstreamNon2xx += 1
-						if (result.status === 429) metrics.upstream429 += 1
-
-						log.warn(`FAIL step=${step} status=${result.status} ms=${result.ms} snippet="${getSnippet(result.text)}"`)
-
-						if (isRetryableStatus(result.status) && attempt < MAX_ATTEMPTS) {
-							const waitMs = computeBackoffMs(attempt, null)
-							metrics.upstreamRetries += 1
-							log.warn(`RETRY step=${step} status=${result.status} attempt=${attempt}/${MAX_ATTEMPTS} wait=${waitMs}ms`)
-							await sleep(waitMs)
-							continue
-						}
-
-						errors.push({
-							step,
-							message: "Upstream error",
-							context: {
-								...context,
-								url,
-								upstreamStatus: result.status,
-								ms: result.ms,
-								rateLimit: result.rate,
-								bodySnippet: String(result.text || "").slice(0, 300),
-							},
-						})
-						return null
-					}
-
-					const parsed = safeJsonParse(result.text)
-					if (!parsed.ok) {
-						errors.push({
-							step,
-							message: "Upstream returned non-JSON response",
-							context: {
-								...context,
-								url,
-								upstreamStatus: result.status,
-								ms: result.ms,
-								upstreamContentType: result.contentType,
-								bodySnippet: String(result.text || "").slice(0, 300),
-							},
-						})
-						log.warn(`FAIL step=${step} reason=non_json status=${result.status} ms=${result.ms}`)
-						return null
-					}
-
-					return parsed.value
-				} catch (e) {
-					const isAbort = String(e && e.name) === "AbortError"
-					const isLast = attempt >= MAX_ATTEMPTS
-
-					if (!isLast) {
-						const waitMs = computeBackoffMs(attempt, null)
-						metrics.upstreamRetries += 1
-						log.warn(
-							`RETRY step=${step} reason=${isAbort ? "timeout" : "network"} attempt=${attempt}/${MAX_ATTEMPTS} wait=${waitMs}ms error="${String(e)}"`
-						)
-						await sleep(waitMs)
-						continue
-					}
-
-					errors.push({ step, message: "Upstream fetch failed", context: { ...context, url, error: String(e) } })
-					log.error(`FAIL step=${step} reason=fetch_failed error="${String(e)}"`)
-					return null
-				}
-			}
-
-			return null
-		}
-
-		log.info(
-			`START userId=${userId} includeGamepasses=${includeGamepasses} includeClothing=${includeClothing} ` +
-				`concurrency=${DEFAULTS.concurrency} delayMs=${UPSTREAM_DELAY_MIN_MS}-${UPSTREAM_DELAY_MAX_MS} ` +
-				`timeoutMs=${UPSTREAM_TIMEOUT_MS} maxAttempts=${MAX_ATTEMPTS}`
-		)
-
-		const data = {}
-		for (const key of ASSET_LIST_KEYS) data[key] = {}
-
-		// A) games -> placeIds
-		const gamesUrl = `https://games.roblox.com/v2/users/${userId}/games?sortOrder=Asc&limit=50`
-		const gamesJson = await robloxGetJson(gamesUrl, "games.list", { userId })
-
-		const gamesArr = Array.isArray(gamesJson?.data) ? gamesJson.data : []
-		const placeIdsRaw = []
-		for (const item of gamesArr) {
-			const pid = item?.rootPlace?.id
-			if (typeof pid === "number" && Number.isFinite(pid)) placeIdsRaw.push(pid)
-		}
-
-		const placeIds = Array.from(new Set(placeIdsRaw)).slice(0, maxPlaces)
-		out.summary.places = placeIds.length
-
-		// B) place -> universe
-		const universeIdSet = new Set()
-		await Promise.all(
-			placeIds.map((placeId) =>
-				limiter(async () => {
-					const universeUrl = `https://apis.roblox.com/universes/v1/places/${placeId}/universe`
-					const uniJson = await robloxGetJson(universeUrl, "universes.fromPlace", { userId, placeId })
-
-					const universeId = uniJson?.universeId
-					if (typeof universeId === "number" && Number.isFinite(universeId)) {
-						universeIdSet.add(universeId)
-					} else if (uniJson != null) {
-						errors.push({
-							step: "universes.fromPlace",
-							message: "Invalid universe response (missing universeId)",
-							context: { userId, placeId, response: uniJson },
-						})
-						log.warn(`FAIL step=universes.fromPlace reason=missing_universeId placeId=${placeId}`)
-					}
-				})
-			)
-		)
-
-		const universeIds = Array.from(universeIdSet)
-		out.summary.universes = universeIds.length
-
-		// C) gamepasses
-		if (includeGamepasses) {
-			const seenGamepassIds = new Set()
-
-			await Promise.all(
-				universeIds.map((universeId) =>
-					limiter(async () => {
-						let pageToken = null
-						for (let page = 0; page < maxUniversePages; page += 1) {
-							const url =
-								`https://apis.roblox.com/game-passes/v1/universes/${universeId}/game-passes` +
-								`?passView=Full&pageSize=${pageSize}` +
-								(pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "")
-
-							const gpJson = await robloxGetJson(url, "gamepasses.list", { userId, universeId, page })
-							if (!gpJson) return
-
-							const passes = Array.isArray(gpJson?.gamePasses) ? gpJson.gamePasses : []
-							for (const gp of passes) {
-								const gpId = gp?.id
-								if (typeof gpId !== "number" || !Number.isFinite(gpId)) continue
-								if (seenGamepassIds.has(gpId)) continue
-								if (gp?.isForSale !== true) continue
-
-								const price = parseRobuxPrice(gp?.price)
-								if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) continue
-
-								const name =
-									(typeof gp?.name === "string" && gp.name.trim() !== "" && gp.name) ||
-									(typeof gp?.displayName === "string" &&
-										gp.displayName.trim() !== "" &&
-										gp.displayName) ||
-									`Game Pass ${gpId}`
-
-								seenGamepassIds.add(gpId)
-								data.GAMEPASS[String(gpId)] = makeAssetEntry(name, "GAMEPASS", 34, price)
-							}
-
-							pageToken = getNextPageToken(gpJson)
-							if (!pageToken) break
-						}
-					})
-				)
-			)
-		}
-
-		// --- NEW: inventory visibility check (gate clothing pipeline) ---
-		let canViewInventory = true
-		if (includeClothing) {
-			const canViewUrl = `https://apis.roblox.com/cloud/v2/users/${userId}/inventory-items?maxPageSize=1`
-			const canViewJson = await robloxGetJson(canViewUrl, "inventory.canView", { userId })
-
-			// If API returns the tiny schema: { canView: boolean }
-			if (canViewJson && typeof canViewJson.canView === "boolean") {
-				canViewInventory = canViewJson.canView
-			} else if (canViewJson && Array.isArray(canViewJson.inventoryItems)) {
-				// Some responses may already be the normal inventory schema -> treat as viewable
-				canViewInventory = true
-			} else if (canViewJson == null) {
-				// robloxGetJson already recorded an error; skip clothing to avoid more failures
-				canViewInventory = false
-			} else {
-				// unknown shape, but we don't want to block clothing unexpectedly
-				canViewInventory = true
-			}
-
-			log.info(`inventory.canView=${canViewInventory}`)
-		}
-
-		// D/E) inventory + catalog enrich
-		if (includeClothing && canViewInventory) {
-			const assetsByType = {
-				CLASSIC_TSHIRT: new Set(),
-				CLASSIC_SHIRT: new Set(),
-				CLASSIC_PANTS: new Set(),
-			}
-
-			for (const assetType of INVENTORY_ASSET_TYPES) {
-				let pageToken = null
-				for (let page = 0; page < maxInventoryPages; page += 1) {
-					const filterValue = `inventoryItemAssetTypes=${assetType}`
-					const url =
-						`https://apis.roblox.com/cloud/v2/users/${userId}/inventory-items` +
-						`?maxPageSize=${pageSize}` +
-						`&filter=${encodeURIComponent(filterValue)}` +
-						(pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "")
-
-					const invJson = await robloxGetJson(url, "inventory.list", { userId, assetType, page })
-					if (!invJson) break
-
-					const items = Array.isArray(invJson?.inventoryItems) ? invJson.inventoryItems : []
-					for (const it of items) {
-						const rawAssetId = it?.assetDetails?.assetId
-						if (typeof rawAssetId !== "string" || rawAssetId.trim() === "") continue
-						const assetId = Number(rawAssetId)
-						if (Number.isFinite(assetId) && assetId > 0) assetsByType[assetType].add(assetId)
-					}
-
-					pageToken = getNextPageToken(invJson)
-					if (!pageToken) break
-				}
-			}
-
-			const allAssetIds = Array.from(
-				new Set([
-					...assetsByType.CLASSIC_TSHIRT,
-					...assetsByType.CLASSIC_SHIRT,
-					...assetsByType.CLASSIC_PANTS,
-				])
-			)
-
-			if (allAssetIds.length > 0) {
-				const assetTypeLookup = new Map()
-				for (const id of assetsByType.CLASSIC_TSHIRT) assetTypeLookup.set(id, "CLASSIC_TSHIRT")
-				for (const id of assetsByType.CLASSIC_SHIRT) assetTypeLookup.set(id, "CLASSIC_SHIRT")
-				for (const id of assetsByType.CLASSIC_PANTS) assetTypeLookup.set(id, "CLASSIC_PANTS")
-
-				const groupOwnerCache = new Map()
-
-				async function getGroupOwner(groupId) {
-					if (groupOwnerCache.has(groupId)) return groupOwnerCache.get(groupId)
-
-					const url = `https://apis.roblox.com/cloud/v2/groups/${groupId}`
-					const gJson = await robloxGetJson(url, "groups.get", { userId, groupId })
-					const ownerUserId = gJson ? parseGroupOwnerUserId(gJson) : null
-					groupOwnerCache.set(groupId, ownerUserId)
-					return ownerUserId
-				}
-
-				for (let i = 0; i < allAssetIds.length; i += DEFAULTS.catalogBatchSize) {
-					const batchIds = allAssetIds.slice(i, i + DEFAULTS.catalogBatchSize)
-
-					const details = await catalogPostItemsDetails(
-						batchIds,
-						errors,
-						userId,
-						log,
-						metrics,
-						buildCatalogHeaders,
-						() => csrfToken,
-						(v) => {
-							csrfToken = v
-						}
-					)
-
-					if (!details) continue
-
-					const groupChecks = []
-
-					for (const item of details) {
-						const assetId = item?.id
-						if (typeof assetId !== "number" || !Number.isFinite(assetId) || assetId <= 0) continue
-
-						const invKey = assetTypeLookup.get(assetId)
-						if (!invKey) continue
-						if (!isCatalogForSale(item)) continue
-
-						const price = parseRobuxPrice(item.price)
-						if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) continue
-
-						const name =
-							(typeof item?.name === "string" && item.name.trim() !== "" && item.name) || `Asset ${assetId}`
-
-						const creatorTargetId = item?.creatorTargetId
-						const creatorTypeNorm = normalizeCatalogCreatorType(item?.creatorType)
-
-						const typeId = invKey === "CLASSIC_TSHIRT" ? 2 : invKey === "CLASSIC_SHIRT" ? 11 : 12
-
-						if (creatorTypeNorm === "User") {
-							if (Number(creatorTargetId) !== userId) continue
-							data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
-						} else if (creatorTypeNorm === "Group") {
-							const groupId = Number(creatorTargetId)
-							if (!Number.isFinite(groupId) || groupId <= 0) continue
-
-							groupChecks.push(
-								limiter(async () => {
-									const ownerUserId = await getGroupOwner(groupId)
-									if (ownerUserId === userId) {
-										data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
-									}
-								})
-							)
-						} else if (creatorTypeNorm === "Unknown") {
-							const maybeId = Number(creatorTargetId)
-							if (!Number.isFinite(maybeId) || maybeId <= 0) continue
-
-							groupChecks.push(
-								limiter(async () => {
-									const ownerUserId = await getGroupOwner(maybeId)
-									if (ownerUserId != null) {
-										if (ownerUserId === userId) {
-											data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
-										}
-										return
-									}
-
-									if (maybeId === userId) {
-										data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
-									}
-								})
-							)
-						}
-					}
-
-					if (groupChecks.length > 0) await Promise.all(groupChecks)
-				}
-			}
-		} else if (includeClothing && !canViewInventory) {
-			// Not an error: user inventory is private / not viewable
-			log.info("SKIP clothing: inventory not viewable (canView=false)")
-		}
-
-		out.Data = data
-		out.summary.gamepasses = Object.keys(data.GAMEPASS).length
-		out.summary.clothing =
-			Object.keys(data.CLASSIC_TSHIRT).length +
-			Object.keys(data.CLASSIC_SHIRT).length +
-			Object.keys(data.CLASSIC_PANTS).length
-
-		out.ok = errors.length === 0
-
-		const totalMs = Date.now() - requestStart
-		log.info(
-			`END ok=${out.ok} ms=${totalMs} errors=${errors.length} ` +
-				`places=${out.summary.places} universes=${out.summary.universes} ` +
-				`gamepasses=${out.summary.gamepasses} clothing=${out.summary.clothing} ` +
-				`upstreamCalls=${metrics.upstreamCalls} retries=${metrics.upstreamRetries} ` +
-				`429=${metrics.upstream429} non2xx=${metrics.upstreamNon2xx}`
-		)
-
-		out.debug = {
-			serverTime: new Date().toISOString(),
-			region: process.env.VERCEL_REGION || "local",
-		}
-
-		return res.status(200).json(out)
-	} catch (e) {
-		errors.push({
-			step: "fatal",
-			message: "Unhandled server error",
-			context: { error: String(e) },
-		})
-
-		out.ok = false
-		log.error(`END ok=false reason=fatal ms=${Date.now() - requestStart} error="${String(e)}"`)
-		return res.status(200).json(out)
-	}
-}
+import {
+	UPSTREAM_DELAY_MAX_MS,
+	UPSTREAM_DELAY_MIN_MS,
+	MAX_ATTEMPTS,
+	UPSTREAM_TIMEOUT_MS,
+	createLimiter,
+	createMetrics,
+	createRobloxClient,
+	safeJsonParse,
+} from "../lib/roblox-client.js"
+import { requestLogger } from "../lib/logger.js"
+import {
+	discoverUniverses,
+	getNextPageToken,
+	listDeveloperProducts,
+	listGamepasses,
+	makeAssetEntry,
+	parseRobuxPrice,
+	recordCursorSources,
+	shouldResumePage,
+} from "../lib/asset-pipeline.js"
+import {
+	STEP_TTLS,
+	cacheDetailHeaderValue,
+	cacheHeaderValue,
+	cachedFetch,
+	createCacheStats,
+	getSharedCache,
+	isCacheDisabled,
+} from "../lib/cache.js"
+import { createDeadline, isDeadlineError } from "../lib/deadline.js"
+import { createCursorState, decodeCursor, encodeCursor } from "../lib/cursor.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { pipelineStatus, statusFor } from "../lib/http-status.js"
+import { fetchFailureCode, hasFailures, pipelineError, upstreamStatusCode } from "../lib/error-codes.js"
+import { ASSET_TYPE_GROUPS, CLASSIC_CLOTHING_TYPES, assetTypeId, parseAssetTypes } from "../lib/asset-types.js"
+import { QUERY_WARNINGS_HEADER, checkQuery, isStrictQuery, warningsHeaderValue } from "../lib/query.js"
+
+export const config = { runtime: "nodejs" }
+export const dynamic = "force-dynamic"
+export const fetchCache = "force-no-store"
+
+const DEFAULTS = {
+	includeGamepasses: true,
+	includeDevProducts: true,
+	includeGroupGames: false,
+	includeClothing: true,
+	maxPlaces: 50,
+	maxGamesPages: 10,
+	maxUniversePages: 10,
+	maxInventoryPages: 10,
+	pageSize: 100,
+
+	concurrency: 5,
+	catalogBatchSize: 50,
+
+	// whole-request time budget; stays under Vercel's function timeout so partial results get out
+	budgetMs: 8000,
+}
+
+const MIN_BUDGET_MS = 1000
+const MAX_BUDGET_MS = 60000
+
+// Query parameters (lib/query.js); out-of-range values are clamped with a warning
+const QUERY = {
+	userId: { type: "int", min: 1, required: true, reject: true, message: "Missing or invalid userId (must be a positive integer)" },
+	includeGamepasses: { type: "bool", default: DEFAULTS.includeGamepasses },
+	includeDevProducts: { type: "bool", default: DEFAULTS.includeDevProducts },
+	includeGroupGames: { type: "bool", default: DEFAULTS.includeGroupGames },
+	includeClothing: { type: "bool", default: DEFAULTS.includeClothing },
+	refresh: { type: "bool", default: false },
+	assetTypes: { type: "list" },
+	cursor: { type: "string" },
+	maxPlaces: { type: "int", min: 1, max: 500, default: DEFAULTS.maxPlaces },
+	maxGamesPages: { type: "int", min: 1, max: 50, default: DEFAULTS.maxGamesPages },
+	maxUniversePages: { type: "int", min: 1, max: 100, default: DEFAULTS.maxUniversePages },
+	maxInventoryPages: { type: "int", min: 1, max: 100, default: DEFAULTS.maxInventoryPages },
+	pageSize: { type: "int", min: 1, max: 100, default: DEFAULTS.pageSize },
+	budgetMs: { type: "int", min: MIN_BUDGET_MS, max: MAX_BUDGET_MS, default: DEFAULTS.budgetMs },
+}
+
+// Only the hosts this endpoint actually calls
+const ALLOWED_HOSTS = [
+	"apis.roblox.com",
+	"catalog.roblox.com",
+	"games.roblox.com",
+	"groups.roblox.com",
+]
+
+function parseGroupOwnerUserId(groupObj) {
+	const ownerRaw = groupObj?.owner
+	if (ownerRaw == null) return null
+	const s = String(ownerRaw).trim()
+	const m = s.match(/users\/(\d+)/i)
+	if (!m) return null
+	const n = Number(m[1])
+	return Number.isFinite(n) ? n : null
+}
+
+function normalizeCatalogCreatorType(creatorTypeRaw) {
+	if (typeof creatorTypeRaw === "string") {
+		const s = creatorTypeRaw.trim().toLowerCase()
+		if (s === "group") return "Group"
+		if (s === "user") return "User"
+		return null
+	}
+
+	if (typeof creatorTypeRaw === "number" && Number.isFinite(creatorTypeRaw)) {
+		if (creatorTypeRaw === 2) return "Group"
+		if (creatorTypeRaw === 1) return "User"
+		return "Unknown"
+	}
+
+	return null
+}
+
+function isCatalogForSale(item) {
+	if (!item || typeof item !== "object") return false
+	if (item.isOffSale === true) return false
+
+	const price = parseRobuxPrice(item.price)
+	if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) return false
+
+	if (typeof item.priceStatus === "string") {
+		const ps = item.priceStatus.trim().toLowerCase()
+		if (ps === "offsale") return false
+	}
+
+	return true
+}
+
+// ---- Catalog POST (CSRF negotiated by the shared client) ----
+
+async function catalogPostItemsDetails(client, assetIds, errors, userId, log) {
+	const body = {
+		items: assetIds.map((id) => ({
+			itemType: 1,
+			id,
+		})),
+	}
+
+	let result
+	try {
+		result = await client.request("https://catalog.roblox.com/v1/catalog/items/details", {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(body),
+			step: "catalog.details",
+			// read-only lookup; safe to retry like a GET
+			idempotent: true,
+		})
+	} catch (e) {
+		// cut off by the time budget: reported in `skipped`, not as an error
+		if (isDeadlineError(e)) return null
+
+		errors.push(pipelineError(fetchFailureCode(e), "catalog.details", "Catalog POST failed", { userId, error: String(e) }))
+		log.error(`FAIL step=catalog.details reason=post_failed error="${String(e)}"`)
+		return null
+	}
+
+	const ok = result.status >= 200 && result.status < 300
+	if (!ok) {
+		errors.push(
+			pipelineError(upstreamStatusCode(result), "catalog.details", "Catalog upstream error", {
+				userId,
+				status: result.status,
+				ms: result.ms,
+				rateLimit: result.rate,
+				bodySnippet: String(result.text || "").slice(0, 300),
+			})
+		)
+		return null
+	}
+
+	const parsed = safeJsonParse(result.text)
+	if (!parsed.ok) {
+		errors.push(
+			pipelineError("UPSTREAM_BAD_RESPONSE", "catalog.details", "Catalog returned non-JSON response", {
+				userId,
+				status: result.status,
+				ms: result.ms,
+				bodySnippet: String(result.text || "").slice(0, 300),
+			})
+		)
+		log.warn(`FAIL step=catalog.details reason=non_json status=${result.status} ms=${result.ms}`)
+		return null
+	}
+
+	const data = parsed.value?.data
+	if (!Array.isArray(data)) {
+		errors.push(
+			pipelineError("UPSTREAM_BAD_RESPONSE", "catalog.details", "Catalog response missing data[]", {
+				userId,
+				status: result.status,
+				ms: result.ms,
+				response: parsed.value,
+			})
+		)
+		log.warn(`FAIL step=catalog.details reason=missing_data status=${result.status} ms=${result.ms}`)
+		return null
+	}
+
+	log.debug(`OK step=catalog.details status=${result.status} ms=${result.ms} items=${assetIds.length}`)
+	return data
+}
+
+export default async function handler(req, res) {
+	res.setHeader("Content-Type", "application/json; charset=utf-8")
+	res.setHeader("Cache-Control", "no-store")
+
+	const log = requestLogger(req, res, "GetDonationAsset")
+
+	const errors = []
+	const out = {
+		ok: false,
+		partial: false,
+		userId: 0,
+		summary: {
+			places: 0,
+			universes: 0,
+			groups: 0,
+			gamepasses: 0,
+			devproducts: 0,
+			clothing: 0,
+			assets: 0,
+			assetTypes: {},
+		},
+		Data: {},
+		errors,
+		skipped: [],
+		nextCursor: null,
+		params: {},
+		warnings: [],
+	}
+
+	const metrics = createMetrics()
+	const cacheStats = createCacheStats()
+
+	// X-Cache reflects every cached step this request touched
+	function setCacheHeaders() {
+		res.setHeader("X-Cache", cacheHeaderValue(cacheStats))
+		res.setHeader("X-Cache-Detail", cacheDetailHeaderValue(cacheStats))
+	}
+
+	const requestStart = Date.now()
+	let deadline = null
+
+	try {
+		const guard = await guardRequest(req, res, {
+			route: "get-donation-asset",
+			log,
+			reject: (failure) => {
+				errors.push(pipelineError(failure.code, failure.step, failure.message, failure.context))
+				out.ok = false
+				log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
+				return out
+			},
+		})
+		if (!guard) return
+
+		const query = checkQuery(req, res, QUERY)
+		out.warnings = query.warnings
+		if (!query.ok) {
+			for (const e of query.errors) {
+				errors.push(pipelineError("INVALID_PARAMETER", "validate", e.message, { param: e.param, value: e.value }))
+			}
+			log.warn(`FAIL step=validate reason=invalid_query params=${query.errors.map((e) => e.param).join(",")}`)
+			out.ok = false
+			log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
+			return res.status(statusFor(req, res, 400)).json(out)
+		}
+		if (query.warnings.length > 0) {
+			log.warn(`QUERY warnings=${warningsHeaderValue(query.warnings)}`)
+		}
+
+		const {
+			userId,
+			includeGamepasses,
+			includeDevProducts,
+			includeGroupGames,
+			includeClothing,
+			refresh,
+			maxPlaces,
+			maxGamesPages,
+			maxUniversePages,
+			maxInventoryPages,
+			pageSize,
+			budgetMs,
+		} = query.params
+		out.userId = userId
+		out.params = { ...query.params }
+
+		const assetTypesInput = parseAssetTypes(query.params.assetTypes)
+		if (!assetTypesInput.ok) {
+			errors.push(
+				pipelineError(
+					"INVALID_PARAMETER",
+					"validate",
+					`Unknown assetTypes (use registry names, ${ASSET_TYPE_GROUPS.join("/")} or all)`,
+					{ unknown: assetTypesInput.unknown }
+				)
+			)
+			log.warn(`FAIL step=validate reason=invalid_assetTypes unknown=${assetTypesInput.unknown.join(",")}`)
+			out.ok = false
+			log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
+			return res.status(statusFor(req, res, 400)).json(out)
+		}
+
+		// ?cursor= resumes a previous call: its universes, asset types and page tokens replace discovery
+		let resume = null
+		if (query.params.cursor != null) {
+			const decoded = decodeCursor(query.params.cursor, "get-donation-asset", userId)
+			if (!decoded.ok) {
+				errors.push(pipelineError("INVALID_CURSOR", "validate", `Invalid cursor: ${decoded.message}`, { reason: decoded.reason }))
+				log.warn(`FAIL step=validate reason=invalid_cursor cursor=${decoded.reason}`)
+				out.ok = false
+				log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
+				return res.status(statusFor(req, res, 400)).json(out)
+			}
+			resume = decoded.state
+		}
+		// A resumed call keeps the first call's asset types; an explicit ?assetTypes= can narrow them
+		let inventoryAssetTypes = assetTypesInput.types
+		if (resume) {
+			inventoryAssetTypes = resume.t
+			if (query.params.assetTypes != null) {
+				inventoryAssetTypes = resume.t.filter((t) => assetTypesInput.types.includes(t))
+				const ignored = assetTypesInput.types.filter((t) => !resume.t.includes(t))
+				if (ignored.length > 0 && isStrictQuery(req.query)) {
+					errors.push(
+						pipelineError("INVALID_PARAMETER", "validate", "assetTypes names types the cursor does not have [strict]", {
+							param: "assetTypes",
+							value: ignored,
+						})
+					)
+					log.warn(`FAIL step=validate reason=assetTypes_not_in_cursor types=${ignored.join(",")}`)
+					out.ok = false
+					log.info(`END ok=false ms=${Date.now() - requestStart} errors=${errors.length}`)
+					return res.status(statusFor(req, res, 400)).json(out)
+				}
+				if (ignored.length > 0) {
+					query.warnings.push({
+						param: "assetTypes",
+						code: "IGNORED_BY_CURSOR",
+						message: `Asset types not in the cursor are ignored (${ignored.join(",")})`,
+						value: ignored,
+						used: inventoryAssetTypes,
+					})
+					res.setHeader(QUERY_WARNINGS_HEADER, warningsHeaderValue(query.warnings))
+				}
+			}
+		}
+		// echo the resolved asset types rather than the raw tokens
+		out.params.assetTypes = inventoryAssetTypes
+
+		// every step below shares this deadline; when it fires, pending upstream work is aborted
+		deadline = createDeadline(budgetMs)
+
+		const limiter = createLimiter(DEFAULTS.concurrency)
+
+		const cache = isCacheDisabled() ? null : getSharedCache()
+
+		// bypassCache only disables HTTP-level caches upstream; lib/cache.js is our own cache
+		const client = createRobloxClient({
+			allowedHosts: ALLOWED_HOSTS,
+			log,
+			errors,
+			metrics,
+			bypassCache: true,
+			cache,
+			cacheTtls: STEP_TTLS,
+			cacheStats,
+			refresh,
+			signal: deadline.signal,
+		})
+
+		// gamepasses.list is public; every other step sends auth
+		function robloxGetJson(url, step, context) {
+			return deadline.run(step, () => client.getJson(url, step, context, { auth: step !== "gamepasses.list" }))
+		}
+
+		log.info(
+			`START userId=${userId} includeGamepasses=${includeGamepasses} includeDevProducts=${includeDevProducts} includeGroupGames=${includeGroupGames} includeClothing=${includeClothing} ` +
+				`assetTypes=${inventoryAssetTypes.join(",")} resume=${resume != null} ` +
+				`concurrency=${DEFAULTS.concurrency} delayMs=${UPSTREAM_DELAY_MIN_MS}-${UPSTREAM_DELAY_MAX_MS} ` +
+				`timeoutMs=${UPSTREAM_TIMEOUT_MS} maxAttempts=${MAX_ATTEMPTS} budgetMs=${budgetMs}`
+		)
+
+		const data = {}
+		for (const key of ["GAMEPASS", "DEVPRODUCT", ...inventoryAssetTypes]) data[key] = {}
+
+		// A + B) games -> placeIds -> universes (user games, plus owned groups' games when includeGroupGames)
+		const { places, groups, universeIds, universeSource } = await discoverUniverses(
+			{ client, getJson: robloxGetJson, limiter, errors, log, cacheStats, run: deadline.run },
+			{ userId, includeGroupGames, maxPlaces, maxGamesPages, refresh, resume }
+		)
+		out.summary.places = places.length
+		out.summary.groups = groups.length
+
+		// Where each paged source starts ("" = first page) and, in `next`, where it stopped.
+		// include*=0 on a resumed call drops the matching sources of the cursor.
+		const fromFirstPage = (include) => new Map(include ? universeIds.map((id) => [id, ""]) : [])
+		const startsFor = (include, resumed) => (resume ? new Map(include ? resumed : []) : fromFirstPage(include))
+		const gamepassStarts = startsFor(includeGamepasses, resume?.gp)
+		const devProductStarts = startsFor(includeDevProducts, resume?.dp)
+		const next = createCursorState(inventoryAssetTypes)
+		out.summary.universes = new Set([...gamepassStarts.keys(), ...devProductStarts.keys()]).size
+
+		// C) gamepasses
+		if (gamepassStarts.size > 0) {
+			await listGamepasses(
+				{ getJson: robloxGetJson, limiter, universeSource, errors },
+				{
+					userId,
+					starts: gamepassStarts,
+					maxUniversePages,
+					pageSize,
+					bucket: data.GAMEPASS,
+					resumeTokens: next.gp,
+					expired: () => deadline.expired,
+				}
+			)
+		}
+
+		// C2) developer products
+		if (devProductStarts.size > 0) {
+			await listDeveloperProducts(
+				{ getJson: robloxGetJson, limiter, universeSource, errors },
+				{
+					userId,
+					starts: devProductStarts,
+					maxUniversePages,
+					pageSize,
+					bucket: data.DEVPRODUCT,
+					resumeTokens: next.dp,
+					expired: () => deadline.expired,
+				}
+			)
+		}
+
+		// Where each inventory type starts; include flags and ?assetTypes= apply to a resumed cursor too
+		const plannedInventory = new Map(
+			!includeClothing
+				? []
+				: resume
+					? Array.from(resume.inv).filter(([t]) => inventoryAssetTypes.includes(t))
+					: inventoryAssetTypes.map((t) => [t, ""])
+		)
+
+		// --- NEW: inventory visibility check (gate clothing pipeline) ---
+		// a resumed call skips it only when its cursor records that the check passed (`cv`)
+		let canViewInventory = true
+		next.cv = resume?.cv === true
+		if (plannedInventory.size > 0 && !next.cv) {
+			const canViewUrl = `https://apis.roblox.com/cloud/v2/users/${userId}/inventory-items?maxPageSize=1`
+			const canViewJson = await robloxGetJson(canViewUrl, "inventory.canView", { userId })
+
+			// If API returns the tiny schema: { canView: boolean }
+			if (canViewJson && typeof canViewJson.canView === "boolean") {
+				canViewInventory = canViewJson.canView
+				// severity info: ok stays true, but clients can tell a private inventory from an empty one
+				if (!canViewInventory) {
+					errors.push(pipelineError("INVENTORY_PRIVATE", "inventory.canView", "Inventory is not viewable", { userId }))
+				}
+			} else if (canViewJson && Array.isArray(canViewJson.inventoryItems)) {
+				// Some responses may already be the normal inventory schema -> treat as viewable
+				canViewInventory = true
+			} else if (canViewJson == null) {
+				// robloxGetJson already recorded an error; skip clothing to avoid more failures
+				canViewInventory = false
+			} else {
+				// unknown shape, but we don't want to block clothing unexpectedly
+				canViewInventory = true
+			}
+
+			// cut off by the time budget before the inventory started: the next call checks again and
+			// starts every type where this one would have
+			if (canViewJson == null && deadline.expired) {
+				for (const [assetType, pageToken] of plannedInventory) next.inv.set(assetType, pageToken)
+			}
+			next.cv = canViewJson != null && canViewInventory
+
+			log.info(`inventory.canView=${canViewInventory}`)
+		}
+
+		const inventoryStarts = canViewInventory ? plannedInventory : new Map()
+
+		// D/E) inventory + catalog enrich
+		if (inventoryStarts.size > 0) {
+			// assetType -> Map<assetId, page token of the page that listed it>
+			const assetsByType = {}
+			for (const assetType of inventoryAssetTypes) assetsByType[assetType] = new Map()
+
+			for (const [assetType, startToken] of inventoryStarts) {
+				let pageToken = startToken || null
+				let resumeToken = null
+				for (let page = 0; page < maxInventoryPages; page += 1) {
+					const listedFrom = pageToken || ""
+					const filterValue = `inventoryItemAssetTypes=${assetType}`
+					const url =
+						`https://apis.roblox.com/cloud/v2/users/${userId}/inventory-items` +
+						`?maxPageSize=${pageSize}` +
+						`&filter=${encodeURIComponent(filterValue)}` +
+						(pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "")
+
+					const invJson = await robloxGetJson(url, "inventory.list", { userId, assetType, page })
+					if (!invJson) {
+						if (shouldResumePage(errors, "inventory.list", (c) => c.assetType === assetType, () => deadline.expired)) {
+							resumeToken = pageToken || ""
+						}
+						break
+					}
+
+					const items = Array.isArray(invJson?.inventoryItems) ? invJson.inventoryItems : []
+					for (const it of items) {
+						const rawAssetId = it?.assetDetails?.assetId
+						if (typeof rawAssetId !== "string" || rawAssetId.trim() === "") continue
+						const assetId = Number(rawAssetId)
+						if (Number.isFinite(assetId) && assetId > 0 && !assetsByType[assetType].has(assetId)) {
+							assetsByType[assetType].set(assetId, listedFrom)
+						}
+					}
+
+					pageToken = getNextPageToken(invJson)
+					if (!pageToken) break
+					if (page === maxInventoryPages - 1) resumeToken = pageToken
+				}
+
+				if (resumeToken != null) next.inv.set(assetType, resumeToken)
+			}
+
+			const assetTypeLookup = new Map()
+			for (const assetType of inventoryAssetTypes) {
+				for (const id of assetsByType[assetType].keys()) assetTypeLookup.set(id, assetType)
+			}
+			const allAssetIds = Array.from(assetTypeLookup.keys())
+			// index of the first catalog batch the time budget cut off
+			let cutAt = null
+
+			if (allAssetIds.length > 0) {
+				const groupOwnerCache = new Map()
+
+				async function getGroupOwner(groupId) {
+					if (groupOwnerCache.has(groupId)) return groupOwnerCache.get(groupId)
+
+					const url = `https://apis.roblox.com/cloud/v2/groups/${groupId}`
+					const gJson = await robloxGetJson(url, "groups.get", { userId, groupId })
+					const ownerUserId = gJson ? parseGroupOwnerUserId(gJson) : null
+					groupOwnerCache.set(groupId, ownerUserId)
+					return ownerUserId
+				}
+
+				async function enrichBatch(batchIds) {
+					const loadDetails = ({ background }) =>
+						catalogPostItemsDetails(client, batchIds, background ? [] : errors, userId, log)
+
+					const details = await deadline.run("catalog.details", () =>
+						cache
+							? cachedFetch(
+									cache,
+									`rbx:catalog.details:${[...batchIds].sort((a, b) => a - b).join(",")}`,
+									{ ...STEP_TTLS["catalog.details"], refresh },
+									loadDetails,
+									cacheStats
+								)
+							: loadDetails({ background: false })
+					)
+
+					if (!details) return
+
+					const groupChecks = []
+
+					for (const item of details) {
+						const assetId = item?.id
+						if (typeof assetId !== "number" || !Number.isFinite(assetId) || assetId <= 0) continue
+
+						const invKey = assetTypeLookup.get(assetId)
+						if (!invKey) continue
+						if (!isCatalogForSale(item)) continue
+
+						const price = parseRobuxPrice(item.price)
+						if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) continue
+
+						const name =
+							(typeof item?.name === "string" && item.name.trim() !== "" && item.name) || `Asset ${assetId}`
+
+						const creatorTargetId = item?.creatorTargetId
+						const creatorTypeNorm = normalizeCatalogCreatorType(item?.creatorType)
+
+						const typeId = assetTypeId(invKey)
+
+						if (creatorTypeNorm === "User") {
+							if (Number(creatorTargetId) !== userId) continue
+							data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
+						} else if (creatorTypeNorm === "Group") {
+							const groupId = Number(creatorTargetId)
+							if (!Number.isFinite(groupId) || groupId <= 0) continue
+
+							groupChecks.push(
+								limiter(async () => {
+									const ownerUserId = await getGroupOwner(groupId)
+									if (ownerUserId === userId) {
+										data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
+									}
+								})
+							)
+						} else if (creatorTypeNorm === "Unknown") {
+							const maybeId = Number(creatorTargetId)
+							if (!Number.isFinite(maybeId) || maybeId <= 0) continue
+
+							groupChecks.push(
+								limiter(async () => {
+									const ownerUserId = await getGroupOwner(maybeId)
+									if (ownerUserId != null) {
+										if (ownerUserId === userId) {
+											data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
+										}
+										return
+									}
+
+									if (maybeId === userId) {
+										data[invKey][String(assetId)] = makeAssetEntry(name, invKey, typeId, price)
+									}
+								})
+							)
+						}
+					}
+
+					if (groupChecks.length > 0) await Promise.all(groupChecks)
+				}
+
+				for (let i = 0; i < allAssetIds.length; i += DEFAULTS.catalogBatchSize) {
+					await enrichBatch(allAssetIds.slice(i, i + DEFAULTS.catalogBatchSize))
+					// a batch (or its group owner lookups) that ran into the deadline is not fully enriched
+					if (cutAt == null && deadline.expired) cutAt = i
+				}
+			}
+
+			// Listed items whose catalog lookups were cut off are lost, so each type resumes at the page
+			// that listed its first item not enriched. Pages before it are done and not listed again; a
+			// page enriched in part is listed again, which is harmless as entries are keyed by assetId.
+			if (cutAt != null) {
+				const resumed = new Set()
+				for (const assetId of allAssetIds.slice(cutAt)) {
+					const assetType = assetTypeLookup.get(assetId)
+					if (resumed.has(assetType)) continue
+					resumed.add(assetType)
+					next.inv.set(assetType, assetsByType[assetType].get(assetId))
+				}
+			}
+		} else if (includeClothing && deadline.expired) {
+			log.info("SKIP inventory assets: time budget exhausted")
+		} else if (includeClothing && !canViewInventory) {
+			// Not an error: user inventory is private / not viewable
+			log.info("SKIP inventory assets: inventory not viewable (canView=false)")
+		}
+
+		out.Data = data
+		out.summary.gamepasses = Object.keys(data.GAMEPASS).length
+		out.summary.devproducts = Object.keys(data.DEVPRODUCT).length
+		for (const assetType of inventoryAssetTypes) {
+			out.summary.assetTypes[assetType] = Object.keys(data[assetType]).length
+		}
+		out.summary.assets = Object.values(out.summary.assetTypes).reduce((sum, n) => sum + n, 0)
+		out.summary.clothing = CLASSIC_CLOTHING_TYPES.reduce((sum, t) => sum + (out.summary.assetTypes[t] || 0), 0)
+
+		out.ok = !hasFailures(errors)
+		out.skipped = deadline.skipped()
+		out.partial = out.skipped.length > 0
+		const status = pipelineStatus({
+			failed: !out.ok,
+			hasData: Object.values(data).some((bucket) => Object.keys(bucket).length > 0),
+			timedOut: out.partial,
+		})
+
+		recordCursorSources(next, universeSource)
+		out.nextCursor = encodeCursor("get-donation-asset", userId, next)
+
+		const totalMs = Date.now() - requestStart
+		log.info(
+			`END ok=${out.ok} status=${status} partial=${out.partial} more=${out.nextCursor != null} ms=${totalMs} errors=${errors.length} ` +
+				`places=${out.summary.places} groups=${out.summary.groups} universes=${out.summary.universes} ` +
+				`gamepasses=${out.summary.gamepasses} devproducts=${out.summary.devproducts} clothing=${out.summary.clothing} assets=${out.summary.assets} ` +
+				`cache=${cacheDetailHeaderValue(cacheStats).replace(/ /g, ",")} ` +
+				`upstreamCalls=${metrics.upstreamCalls} retries=${metrics.upstreamRetries} ` +
+				`429=${metrics.upstream429} non2xx=${metrics.upstreamNon2xx}`
+		)
+
+		out.debug = {
+			serverTime: new Date().toISOString(),
+			region: process.env.VERCEL_REGION || "local",
+			budgetMs,
+		}
+
+		setCacheHeaders()
+		return res.status(statusFor(req, res, status)).json(out)
+	} catch (e) {
+		errors.push(pipelineError("INTERNAL_ERROR", "fatal", "Unhandled server error", { error: String(e) }))
+
+		out.ok = false
+		log.error(`END ok=false reason=fatal ms=${Date.now() - requestStart} error="${String(e)}"`)
+		return res.status(statusFor(req, res, 500)).json(out)
+	} finally {
+		deadline?.clear()
+	}
+}
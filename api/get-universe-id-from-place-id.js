@@ -1,108 +1,79 @@
+import { createRobloxClient, redirectBlockedMessage } from "../lib/roblox-client.js";
+import { requestLogger } from "../lib/logger.js";
+import { guardRequest } from "../lib/request-guard.js";
+import { networkFailureStatus, pipelineStatus, proxiedStatus, statusFor, upstreamRetryAfterSec } from "../lib/http-status.js";
+import { errorCode, fetchFailureCode, hasFailures, upstreamStatusCode } from "../lib/error-codes.js";
+import {
+  isInvalidPlaceStatus,
+  readPlaceIdsInput,
+  resolvePlaceUniverse,
+  resolvePlaceUniverseBatch,
+  universeUrl,
+} from "../lib/universe-map.js";
+import { checkQuery, invalidQueryBody } from "../lib/query.js";
+
 export const config = { runtime: "nodejs" };
 export const dynamic = "force-dynamic";
 export const fetchCache = "force-no-store";
 
 const ROBLOX_API_HOST = "apis.roblox.com";
-const ROBLOX_UNIVERSE_URL = `https://${ROBLOX_API_HOST}/universes/v1/places`;
 const TIMEOUT_MS = 12000;
 
-const sendJson = (res, status, payload) => {
-  res.status(status);
+const sendJson = (req, res, status, payload) => {
+  res.status(statusFor(req, res, status));
   res.setHeader("Content-Type", "application/json; charset=utf-8");
   res.setHeader("Cache-Control", "no-store");
   res.end(JSON.stringify(payload));
 };
 
-const normalizeCookie = (cookieRaw) => {
-  if (!cookieRaw) return "";
-  let value = cookieRaw.trim();
-  if (
-    (value.startsWith('"') && value.endsWith('"')) ||
-    (value.startsWith("'") && value.endsWith("'"))
-  ) {
-    value = value.slice(1, -1);
-  }
-  value = value.replace(/\s+/g, "");
-  if (!value.includes("ROBLOSECURITY=") && !value.includes(".ROBLOSECURITY=")) {
-    value = `.ROBLOSECURITY=${value}`;
-  }
-  return value;
+// Query parameters (lib/query.js). placeId has no minimum so 0 / negatives answer 400 instead of
+// being clamped onto a real place.
+const QUERY = {
+  placeId: { type: "int" },
+  placeIds: { type: "list" },
+  refresh: { type: "bool", default: false },
 };
 
-const fetchWithTimeout = async (url, options = {}, timeoutMs = TIMEOUT_MS) => {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+// Fetcher for resolvePlaceUniverse. When the upstream call does not produce a mapping,
+// onFailure receives the { status, payload } the single-place response is built from.
+const makeUniverseFetcher = (client, placeId, onFailure) => async () => {
+  let upstreamRes;
   try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(timer);
-  }
-};
-
-export default async function handler(req, res) {
-  if (req.method !== "GET") {
-    return sendJson(res, 405, { ok: false, error: "Method not allowed" });
-  }
-
-  const placeParam = Array.isArray(req.query?.placeId)
-    ? req.query.placeId[0]
-    : req.query?.placeId;
-  const placeId = Number.parseInt(placeParam, 10);
-  if (!Number.isInteger(placeId) || placeId <= 0) {
-    return sendJson(res, 400, { ok: false, error: "Invalid placeId" });
-  }
-
-  const headers = { Accept: "application/json" };
-  const apiKey = process.env.ROBLOX_OPEN_CLOUD_KEY;
-  if (apiKey) {
-    headers["x-api-key"] = apiKey;
-  }
-  const cookieValue = normalizeCookie(process.env.ROBLOX_SECURITY_COOKIE);
-  if (cookieValue) {
-    headers.Cookie = cookieValue;
-  }
-
-  const upstreamUrl = `${ROBLOX_UNIVERSE_URL}/${placeId}/universe`;
+    upstreamRes = await client.request(universeUrl(placeId), { step: "universes.fromPlace" });
+  } catch (err) {
+    if (err && (err.code === "INVALID_URL" || err.code === "HOST_NOT_ALLOWED")) {
+      onFailure({ status: 500, payload: { ok: false, error: "Invalid upstream host", ...errorCode(err.code), placeId } });
+      return null;
+    }
 
-  try {
-    const { host } = new URL(upstreamUrl);
-    if (host !== ROBLOX_API_HOST) {
-      return sendJson(res, 500, {
+    const isTimeout = err && err.name === "AbortError";
+    onFailure({
+      status: networkFailureStatus(err),
+      payload: {
         ok: false,
-        error: "Invalid upstream host",
+        error: isTimeout ? "Upstream request timed out" : "Upstream request failed",
+        ...errorCode(fetchFailureCode(err)),
         placeId,
-      });
-    }
-  } catch {
-    return sendJson(res, 500, {
-      ok: false,
-      error: "Failed to construct upstream URL",
-      placeId,
+      },
     });
+    return null;
   }
 
-  let upstreamRes;
-  try {
-    upstreamRes = await fetchWithTimeout(upstreamUrl, {
-      method: "GET",
-      headers,
-      cache: "no-store",
-    });
-  } catch (err) {
-    const isTimeout = err && err.name === "AbortError";
-    return sendJson(res, 502, {
-      ok: false,
-      error: isTimeout ? "Upstream request timed out" : "Upstream request failed",
-      placeId,
+  if (upstreamRes.redirectBlocked) {
+    onFailure({
+      status: 502,
+      payload: {
+        ok: false,
+        error: redirectBlockedMessage(upstreamRes.redirectBlocked),
+        ...errorCode("REDIRECT_BLOCKED"),
+        placeId,
+        redirects: upstreamRes.redirects,
+      },
     });
+    return null;
   }
 
-  let rawBody = "";
-  try {
-    rawBody = await upstreamRes.text();
-  } catch {
-    rawBody = "";
-  }
+  const rawBody = upstreamRes.text;
 
   let parsedBody;
   try {
@@ -111,30 +82,182 @@ export default async function handler(req, res) {
     parsedBody = rawBody ? rawBody.slice(0, 500) : "";
   }
 
-  if (!upstreamRes.ok) {
-    return sendJson(res, upstreamRes.status || 502, {
-      ok: false,
-      error: "Upstream error",
-      placeId,
-      status: upstreamRes.status,
-      body: parsedBody,
+  if (upstreamRes.status < 200 || upstreamRes.status >= 300) {
+    onFailure({
+      status: proxiedStatus(upstreamRes.status),
+      retryAfterSec: upstreamRes.status === 429 ? upstreamRetryAfterSec(upstreamRes.rate) : null,
+      payload: {
+        ok: false,
+        error: "Upstream error",
+        ...errorCode(isInvalidPlaceStatus(upstreamRes.status) ? "INVALID_PLACE" : upstreamStatusCode(upstreamRes)),
+        placeId,
+        status: upstreamRes.status,
+        body: parsedBody,
+      },
     });
+    return isInvalidPlaceStatus(upstreamRes.status) ? { invalid: true } : null;
   }
 
+  // Cached negatively below, so it is INVALID_PLACE now as well as on the cached lookups that follow
   const universeId = parsedBody && parsedBody.universeId;
   if (!universeId) {
-    return sendJson(res, 502, {
-      ok: false,
-      error: "Missing universeId in upstream response",
-      placeId,
-      upstream: parsedBody,
+    onFailure({
+      status: 404,
+      payload: {
+        ok: false,
+        error: "Invalid place (no universeId in upstream response)",
+        ...errorCode("INVALID_PLACE"),
+        placeId,
+        upstream: parsedBody,
+      },
     });
+    return { invalid: true };
   }
 
-  return sendJson(res, 200, {
-    ok: true,
-    placeId,
-    universeId,
-    upstream: parsedBody,
+  return { universeId, upstream: parsedBody };
+};
+
+const NEGATIVE_LOOKUP_ERROR = "Invalid placeId (cached negative lookup)";
+
+// ?placeIds=1,2,3 or POST [1, 2, 3] / { "placeIds": [...] }.
+// Every place gets an entry in `results` (universeId or null) and failed places are described in
+// `errors` under their placeId. Invalid places are counted in `summary.invalid` (severity warning) and
+// do not make the batch fail: `ok` is false only when an entry has severity error, as on every other
+// route. 200 when nothing failed, 207 when some failed but others resolved; when none resolved, 404 if
+// every place is invalid and 502 otherwise.
+async function handleBatch(req, res, { client, query }) {
+  const { refresh } = query.params;
+  const input = readPlaceIdsInput(req);
+  if (!input.ok) {
+    return sendJson(req, res, 400, { ok: false, error: input.error, ...errorCode("INVALID_PARAMETER"), warnings: query.warnings });
+  }
+
+  const failures = new Map();
+  const resolvedMap = await resolvePlaceUniverseBatch(
+    input.placeIds,
+    (placeId) => makeUniverseFetcher(client, placeId, (failure) => failures.set(placeId, failure)),
+    { refresh }
+  );
+
+  const results = {};
+  const errors = {};
+  const summary = { requested: input.placeIds.length, resolved: 0, cached: 0, invalid: 0, failed: 0 };
+
+  for (const [placeId, resolved] of resolvedMap) {
+    results[placeId] = resolved.universeId;
+
+    if (resolved.universeId) {
+      summary.resolved += 1;
+      if (resolved.cached) summary.cached += 1;
+      continue;
+    }
+
+    const failure = failures.get(placeId);
+    if (failure) {
+      const { ok: _ok, placeId: _placeId, ...detail } = failure.payload;
+      errors[placeId] = { ...detail, httpStatus: failure.status, invalid: resolved.invalid };
+    } else if (resolved.cached) {
+      errors[placeId] = { error: NEGATIVE_LOOKUP_ERROR, ...errorCode("INVALID_PLACE"), httpStatus: 404, invalid: true, cached: true };
+    } else {
+      errors[placeId] = {
+        error: resolved.error || "Upstream request failed",
+        ...errorCode("UPSTREAM_FETCH_FAILED"),
+        httpStatus: 502,
+        invalid: false,
+      };
+    }
+
+    if (errors[placeId].code === "INVALID_PLACE") summary.invalid += 1;
+    else summary.failed += 1;
+  }
+
+  const failedStatuses = Object.values(errors).map((e) => e.httpStatus);
+  const status =
+    summary.resolved === 0 && failedStatuses.length > 0 && failedStatuses.every((s) => s === 404)
+      ? 404
+      : pipelineStatus({ failed: summary.failed > 0, hasData: summary.resolved > 0 });
+
+  return sendJson(req, res, status, {
+    ok: !hasFailures(Object.values(errors)),
+    summary,
+    results,
+    errors,
+    rejected: input.rejected,
+    params: { ...query.params, placeIds: input.placeIds },
+    warnings: query.warnings,
   });
 }
+
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+
+  const log = requestLogger(req, res, "UniverseFromPlace");
+
+  try {
+    const guard = await guardRequest(req, res, { route: "get-universe-id-from-place-id", methods: ["GET", "POST"], log });
+    if (!guard) return;
+
+    const isBatch = guard.method === "POST" || req.query?.placeIds != null;
+
+    const query = checkQuery(req, res, QUERY);
+    if (!query.ok) {
+      return sendJson(req, res, 400, invalidQueryBody(query));
+    }
+    const { refresh } = query.params;
+
+    const client = createRobloxClient({
+      allowedHosts: [ROBLOX_API_HOST],
+      log,
+      jitter: false,
+      timeoutMs: TIMEOUT_MS,
+    });
+
+    if (isBatch) {
+      return await handleBatch(req, res, { client, query });
+    }
+
+    const { placeId } = query.params;
+    if (placeId == null || placeId <= 0) {
+      return sendJson(req, res, 400, { ok: false, error: "Invalid placeId", ...errorCode("INVALID_PARAMETER"), warnings: query.warnings });
+    }
+
+    let failure = null;
+    const resolved = await resolvePlaceUniverse(
+      placeId,
+      makeUniverseFetcher(client, placeId, (f) => {
+        failure = f;
+      }),
+      { refresh }
+    );
+
+    if (resolved.universeId) {
+      return sendJson(req, res, 200, {
+        ok: true,
+        placeId,
+        universeId: resolved.universeId,
+        cached: resolved.cached,
+        upstream: resolved.upstream ?? null,
+        params: query.params,
+        warnings: query.warnings,
+      });
+    }
+
+    if (failure) {
+      if (failure.retryAfterSec) res.setHeader("Retry-After", String(failure.retryAfterSec));
+      return sendJson(req, res, failure.status, failure.payload);
+    }
+
+    return sendJson(req, res, 404, {
+      ok: false,
+      error: NEGATIVE_LOOKUP_ERROR,
+      ...errorCode("INVALID_PLACE"),
+      placeId,
+      cached: true,
+    });
+  } catch (err) {
+    // a throw in batch parsing or the mapping store still answers with the typed envelope
+    log.error(`HANDLER ERROR: ${String(err)}`);
+    if (res.headersSent) return res.end();
+    return sendJson(req, res, 500, { ok: false, error: "Unhandled server error", ...errorCode("INTERNAL_ERROR") });
+  }
+}
@@ -0,0 +1,134 @@
+// api/health.js
+// Self-check of the Roblox credentials, for uptime monitors
+//
+// GET only. For every credential pool slot (lib/credential-pool.js):
+// - cookie: users.roblox.com/v1/users/authenticated -> the signed-in user id and name
+// - apiKey: apis.roblox.com/api-keys/v1/introspect  -> the key's name, scopes and enabled / expired state
+// plus the host allowlist size and the region serving the request.
+//
+// 200 when every configured credential works, 503 ("degraded") when any check fails or no
+// credential is configured. Response is ALWAYS JSON.
+
+import { ROBLOX_HOSTS, createMetrics, createRobloxClient } from "../lib/roblox-client.js"
+import { requestLogger } from "../lib/logger.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { statusFor } from "../lib/http-status.js"
+import { errorCode } from "../lib/error-codes.js"
+import { checkQuery, invalidQueryBody } from "../lib/query.js"
+import { createCredentialPool, getCredentialPool } from "../lib/credential-pool.js"
+import { FETCH_POLICY, POLICY_HOSTS } from "../lib/fetch-policy.js"
+
+export const config = { runtime: "nodejs" }
+
+const ALLOWED_HOSTS = ["apis.roblox.com", "users.roblox.com"]
+
+// a monitor should hear back well within its own timeout
+const CHECK_TIMEOUT_MS = 5000
+
+const AUTHENTICATED_USER_URL = "https://users.roblox.com/v1/users/authenticated"
+const INTROSPECT_URL = "https://apis.roblox.com/api-keys/v1/introspect"
+
+const POLICY_RULES = Object.values(FETCH_POLICY).reduce((sum, host) => sum + host.rules.length, 0)
+
+function clientFor(slot, log) {
+	return createRobloxClient({
+		allowedHosts: ALLOWED_HOSTS,
+		log,
+		metrics: createMetrics(),
+		jitter: false,
+		maxAttempts: 2,
+		timeoutMs: CHECK_TIMEOUT_MS,
+		// only this slot, so a failing credential is not masked by the rest of the pool
+		credentials: createCredentialPool([slot]),
+	})
+}
+
+async function checkCookie(client) {
+	try {
+		const result = await client.request(AUTHENTICATED_USER_URL, { step: "health.cookie", auth: { cookie: true } })
+		const user = result.status === 200 ? JSON.parse(result.text || "{}") : null
+		if (!user?.id) return { ok: false, status: result.status, error: `Cookie rejected (${result.status})` }
+		return { ok: true, status: result.status, userId: user.id, userName: user.name, displayName: user.displayName }
+	} catch (e) {
+		return { ok: false, status: 0, error: String(e) }
+	}
+}
+
+async function checkApiKey(client, apiKey) {
+	try {
+		// the key goes in the body; introspection needs no other credential
+		const result = await client.request(INTROSPECT_URL, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ apiKey }),
+			step: "health.apiKey",
+			auth: false,
+			idempotent: true,
+		})
+		const info = result.status === 200 ? JSON.parse(result.text || "{}") : null
+		if (!info) return { ok: false, status: result.status, error: `API key rejected (${result.status})` }
+
+		const usable = info.enabled !== false && info.expired !== true
+		return {
+			ok: usable,
+			status: result.status,
+			name: info.name || "",
+			scopes: Array.isArray(info.scopes) ? info.scopes : [],
+			enabled: info.enabled !== false,
+			expired: info.expired === true,
+			...(usable ? {} : { error: "API key is disabled or expired" }),
+		}
+	} catch (e) {
+		return { ok: false, status: 0, error: String(e) }
+	}
+}
+
+export default async function handler(req, res) {
+	res.setHeader("Content-Type", "application/json; charset=utf-8")
+	res.setHeader("Cache-Control", "no-store")
+
+	const log = requestLogger(req, res, "Health")
+	const requestStart = Date.now()
+
+	try {
+		const guard = await guardRequest(req, res, { route: "health", log })
+		if (!guard) return
+
+		const query = checkQuery(req, res)
+		if (!query.ok) return res.status(statusFor(req, res, 400)).json(invalidQueryBody(query))
+
+		const pool = getCredentialPool()
+		const { strategy, size, healthy } = pool.snapshot()
+		const credentials = await Promise.all(
+			pool.entries().map(async (slot) => {
+				const client = clientFor(slot, log)
+				const [cookie, apiKey] = await Promise.all([
+					slot.cookie ? checkCookie(client) : null,
+					slot.apiKey ? checkApiKey(client, slot.apiKey) : null,
+				])
+				return { slot: slot.index, name: slot.name, cookie, apiKey }
+			})
+		)
+
+		const failed = credentials.filter((c) => c.cookie?.ok === false || c.apiKey?.ok === false)
+		const ok = credentials.length > 0 && failed.length === 0
+
+		log.info(
+			`END ok=${ok} ms=${Date.now() - requestStart} slots=${credentials.length} failed=${failed.map((c) => c.name).join(",") || "none"}`
+		)
+
+		return res.status(statusFor(req, res, ok ? 200 : 503)).json({
+			ok,
+			status: ok ? "ok" : "degraded",
+			...(credentials.length === 0 ? { error: "No Roblox credentials configured" } : {}),
+			credentials,
+			pool: { strategy, size, healthy },
+			allowlist: { hosts: ROBLOX_HOSTS.length, policyHosts: POLICY_HOSTS.length, policyRules: POLICY_RULES },
+			region: process.env.VERCEL_REGION || "local",
+			ms: Date.now() - requestStart,
+		})
+	} catch (err) {
+		log.error(`HANDLER ERROR: ${String(err)}`)
+		return res.status(statusFor(req, res, 500)).json({ ok: false, status: "degraded", error: String(err), ...errorCode("INTERNAL_ERROR") })
+	}
+}
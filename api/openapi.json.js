@@ -0,0 +1,34 @@
+// api/openapi.json.js
+// Serves the OpenAPI 3.1 description of every /api route at /api/openapi.json (lib/openapi.js)
+//
+// GET only, behind the same caller authentication and rate limit as every other route.
+// Response is ALWAYS JSON.
+
+import { requestLogger } from "../lib/logger.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { statusFor } from "../lib/http-status.js"
+import { errorCode } from "../lib/error-codes.js"
+import { checkQuery, invalidQueryBody } from "../lib/query.js"
+import { getOpenApiDocument } from "../lib/openapi.js"
+
+export const config = { runtime: "nodejs" }
+
+export default async function handler(req, res) {
+	res.setHeader("Content-Type", "application/json; charset=utf-8")
+	res.setHeader("Cache-Control", "no-store")
+
+	const log = requestLogger(req, res, "OpenApi")
+
+	try {
+		const guard = await guardRequest(req, res, { route: "openapi", log })
+		if (!guard) return
+
+		const query = checkQuery(req, res)
+		if (!query.ok) return res.status(statusFor(req, res, 400)).json(invalidQueryBody(query))
+
+		return res.status(statusFor(req, res, 200)).json(getOpenApiDocument())
+	} catch (err) {
+		log.error(`HANDLER ERROR: ${String(err)}`)
+		return res.status(statusFor(req, res, 500)).json({ ok: false, error: String(err), ...errorCode("INTERNAL_ERROR") })
+	}
+}
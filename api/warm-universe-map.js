@@ -0,0 +1,93 @@
+// api/warm-universe-map.js
+// Bulk warm-up of the place -> universe mapping (lib/universe-map.js)
+//
+// GET  ?placeIds=1,2,3
+// POST { "placeIds": [1, 2, 3] }   (or a bare JSON array)
+//
+// Already-known places are skipped; the rest are resolved upstream with bounded concurrency.
+// Response is ALWAYS JSON.
+
+import { createMetrics, createRobloxClient } from "../lib/roblox-client.js"
+import { requestLogger } from "../lib/logger.js"
+import { guardRequest } from "../lib/request-guard.js"
+import { pipelineStatus, statusFor } from "../lib/http-status.js"
+import { errorCode, hasFailures } from "../lib/error-codes.js"
+import { clientUniverseFetcher, readPlaceIdsInput, resolvePlaceUniverseBatch, unresolvedPlaceError } from "../lib/universe-map.js"
+import { checkQuery, invalidQueryBody } from "../lib/query.js"
+
+export const config = { runtime: "nodejs" }
+
+const ALLOWED_HOSTS = ["apis.roblox.com"]
+
+const QUERY = { placeIds: { type: "list" } }
+
+export default async function handler(req, res) {
+	res.setHeader("Content-Type", "application/json; charset=utf-8")
+	res.setHeader("Cache-Control", "no-store")
+
+	const log = requestLogger(req, res, "WarmUniverseMap")
+	const requestStart = Date.now()
+
+	try {
+		const guard = await guardRequest(req, res, { route: "warm-universe-map", methods: ["GET", "POST"], log })
+		if (!guard) return
+
+		const query = checkQuery(req, res, QUERY)
+		if (!query.ok) {
+			log.info(`400 Invalid query params=${query.errors.map((e) => e.param).join(",")}`)
+			return res.status(statusFor(req, res, 400)).json(invalidQueryBody(query))
+		}
+
+		const input = readPlaceIdsInput(req)
+		if (!input.ok) {
+			log.info(`400 ${input.error}`)
+			return res.status(statusFor(req, res, 400)).json({ ok: false, error: input.error, ...errorCode("INVALID_PARAMETER"), warnings: query.warnings })
+		}
+
+		const errors = []
+		const metrics = createMetrics()
+		const client = createRobloxClient({ allowedHosts: ALLOWED_HOSTS, log, errors, metrics })
+
+		const summary = { requested: input.placeIds.length, alreadyCached: 0, resolved: 0, invalid: 0, failed: 0 }
+		const results = {}
+
+		log.info(`START placeIds=${input.placeIds.length} rejected=${input.rejected.length}`)
+
+		// Known places (positive or negative) come straight from the mapping store
+		const resolvedMap = await resolvePlaceUniverseBatch(input.placeIds, (placeId) =>
+			clientUniverseFetcher(client, placeId, { placeId })
+		)
+
+		for (const [placeId, resolved] of resolvedMap) {
+			results[placeId] = resolved.universeId
+			const error = unresolvedPlaceError(resolved, { placeId })
+			if (error) errors.push(error)
+			if (resolved.cached) summary.alreadyCached += 1
+			else if (resolved.universeId) summary.resolved += 1
+			else if (resolved.invalid) summary.invalid += 1
+			else summary.failed += 1
+		}
+
+		log.info(
+			`END ms=${Date.now() - requestStart} cached=${summary.alreadyCached} resolved=${summary.resolved} ` +
+				`invalid=${summary.invalid} failed=${summary.failed} upstreamCalls=${metrics.upstreamCalls}`
+		)
+
+		const status = pipelineStatus({
+			failed: summary.failed > 0,
+			hasData: summary.alreadyCached + summary.resolved + summary.invalid > 0,
+		})
+		return res.status(statusFor(req, res, status)).json({
+			ok: !hasFailures(errors),
+			summary,
+			results,
+			rejected: input.rejected,
+			errors,
+			params: { ...query.params, placeIds: input.placeIds },
+			warnings: query.warnings,
+		})
+	} catch (err) {
+		log.error(`HANDLER ERROR: ${String(err)}`)
+		return res.status(statusFor(req, res, 500)).json({ ok: false, error: String(err), ...errorCode("INTERNAL_ERROR") })
+	}
+}
@@ -0,0 +1,235 @@
+// lib/asset-pipeline.js
+// Pipeline steps shared by get-donation-asset and get-gamepass
+//
+// A) games -> placeIds (lib/games-discovery.js), B) place -> universe through the mapping store
+// (lib/universe-map.js), C) gamepasses and C2) developer products per universe, plus the entry
+// helpers both handlers use.
+// Steps take the handler's getJson (client.getJson, or a deadline-wrapped version of it) and
+// push their failures onto the shared errors[]; a cut-off or failed step never throws.
+
+import { discoverPlaces, provenanceFields } from "./games-discovery.js"
+import { clientUniverseFetcher, resolvePlaceUniverse, unresolvedPlaceError } from "./universe-map.js"
+
+export const GAMEPASS_ASSET_TYPE_ID = 34
+
+export function getNextPageToken(obj) {
+	const t = obj?.nextPageToken
+	if (t == null) return null
+	const s = String(t).trim()
+	return s.length > 0 ? s : null
+}
+
+export function parseRobuxPrice(value) {
+	if (typeof value === "number" && Number.isFinite(value)) return value
+	if (typeof value === "string") {
+		const s = value.trim()
+		if (s !== "") {
+			const n = Number(s)
+			if (Number.isFinite(n)) return n
+		}
+	}
+	return null
+}
+
+export function makeAssetEntry(assetName, assetType, assetTypeId, assetPrice, extra) {
+	return {
+		AssetName: String(assetName || ""),
+		AssetType: assetType,
+		AssetTypeId: Number(assetTypeId) || 0,
+		AssetPrice: Number(assetPrice) || 0,
+		...(extra || {}),
+	}
+}
+
+const runDirectly = (step, fn) => fn()
+
+// A + B. A resumed call (`resume` = decoded cursor state) skips both and only restores provenance.
+// run: (step, fn) => Promise, wraps each universe lookup (the deadline in get-donation-asset)
+//
+// Returns { places, groups, universeIds, universeSource: Map<universeId, source> }
+export async function discoverUniverses(
+	{ client, getJson, limiter, errors, log, cacheStats, run = runDirectly },
+	{ userId, includeGroupGames, maxPlaces, maxGamesPages, refresh, resume = null }
+) {
+	const discovered = resume
+		? { places: [], groups: [] }
+		: await discoverPlaces(getJson, { userId, includeGroupGames, maxPlaces, maxGamesPages })
+	const placeSource = new Map(discovered.places.map((p) => [p.placeId, p.source]))
+
+	const universeIdSet = new Set()
+	const universeSource = new Map(resume?.src)
+	await Promise.all(
+		discovered.places.map(({ placeId }) =>
+			limiter(async () => {
+				const fetchUniverse = clientUniverseFetcher(client, placeId, { userId, placeId })
+				const resolved = await resolvePlaceUniverse(
+					placeId,
+					() => run("universes.fromPlace", fetchUniverse),
+					{ refresh, stats: cacheStats }
+				)
+
+				const universeId = resolved.universeId
+				if (typeof universeId === "number" && Number.isFinite(universeId)) {
+					universeIdSet.add(universeId)
+					const source = placeSource.get(placeId)
+					const prev = universeSource.get(universeId)
+					if (!prev || (prev.type === "Group" && source?.type === "User")) universeSource.set(universeId, source)
+				} else {
+					const error = unresolvedPlaceError(resolved, { userId, placeId })
+					if (error) {
+						errors.push(error)
+						log.info(`SKIP step=universes.fromPlace reason=invalid_place placeId=${placeId} code=${error.code}`)
+					}
+				}
+			})
+		)
+	)
+
+	return { ...discovered, universeIds: Array.from(universeIdSet), universeSource }
+}
+
+// Whether a page that came back null goes back into the cursor: it was cut off (`expired()`, the
+// time budget) or the last failure reported for it (step + matching context) is retryable. A
+// non-retryable failure (e.g. a redirect off the allowlist) is only reported, so the cursor does not
+// hand the same dead page out forever.
+export function shouldResumePage(errors, step, matchesContext, expired) {
+	if (expired()) return true
+	const failure = errors.findLast((e) => e.step === step && matchesContext(e.context || {}))
+	return failure?.retryable === true
+}
+
+// Pages every universe in `starts` (Map<universeId, pageToken>, "" = first page) and hands each page
+// to onPage(universeId, json). Where a universe stops early is recorded in `resumeTokens`: after
+// maxUniversePages, or when a page failed and shouldResumePage says so.
+async function pageUniverses(
+	{ getJson, limiter, errors },
+	{ step, pageUrl, userId, starts, maxUniversePages, resumeTokens, expired, onPage }
+) {
+	await Promise.all(
+		Array.from(starts, ([universeId, startToken]) =>
+			limiter(async () => {
+				let pageToken = startToken || null
+				for (let page = 0; page < maxUniversePages; page += 1) {
+					const json = await getJson(pageUrl(universeId, pageToken), step, { userId, universeId, page })
+					if (!json) {
+						if (shouldResumePage(errors, step, (c) => c.universeId === universeId, expired)) {
+							resumeTokens.set(universeId, pageToken || "")
+						}
+						return
+					}
+
+					onPage(universeId, json)
+
+					pageToken = getNextPageToken(json)
+					if (!pageToken) break
+					if (page === maxUniversePages - 1) resumeTokens.set(universeId, pageToken)
+				}
+			})
+		)
+	)
+}
+
+function pageTokenParam(pageToken) {
+	return pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ""
+}
+
+// C. Game passes of every universe in `starts` into `bucket` (keyed by gamepass id)
+export async function listGamepasses(
+	{ getJson, limiter, universeSource, errors },
+	{ userId, starts, maxUniversePages, pageSize, bucket, resumeTokens, expired = () => false }
+) {
+	const seenGamepassIds = new Set()
+
+	await pageUniverses(
+		{ getJson, limiter, errors },
+		{
+			step: "gamepasses.list",
+			pageUrl: (universeId, pageToken) =>
+				`https://apis.roblox.com/game-passes/v1/universes/${universeId}/game-passes` +
+				`?passView=Full&pageSize=${pageSize}` +
+				pageTokenParam(pageToken),
+			userId,
+			starts,
+			maxUniversePages,
+			resumeTokens,
+			expired,
+			onPage: (universeId, gpJson) => {
+				const passes = Array.isArray(gpJson?.gamePasses) ? gpJson.gamePasses : []
+				for (const gp of passes) {
+					const gpId = gp?.id
+					if (typeof gpId !== "number" || !Number.isFinite(gpId)) continue
+					if (seenGamepassIds.has(gpId)) continue
+					if (gp?.isForSale !== true) continue
+
+					const price = parseRobuxPrice(gp?.price)
+					if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) continue
+
+					const name =
+						(typeof gp?.name === "string" && gp.name.trim() !== "" && gp.name) ||
+						(typeof gp?.displayName === "string" && gp.displayName.trim() !== "" && gp.displayName) ||
+						`Game Pass ${gpId}`
+
+					seenGamepassIds.add(gpId)
+					bucket[String(gpId)] = makeAssetEntry(
+						name,
+						"GAMEPASS",
+						GAMEPASS_ASSET_TYPE_ID,
+						price,
+						provenanceFields(universeSource.get(universeId))
+					)
+				}
+			},
+		}
+	)
+}
+
+// C2. Developer products of every universe in `starts` into `bucket` (keyed by product id), same
+// paging and resume rules as listGamepasses
+export async function listDeveloperProducts(
+	{ getJson, limiter, universeSource, errors },
+	{ userId, starts, maxUniversePages, pageSize, bucket, resumeTokens, expired = () => false }
+) {
+	await pageUniverses(
+		{ getJson, limiter, errors },
+		{
+			step: "devproducts.list",
+			pageUrl: (universeId, pageToken) =>
+				`https://apis.roblox.com/developer-products/v2/universes/${universeId}/developer-products/creator` +
+				`?pageSize=${pageSize}` +
+				pageTokenParam(pageToken),
+			userId,
+			starts,
+			maxUniversePages,
+			resumeTokens,
+			expired,
+			onPage: (universeId, dpJson) => {
+				const products = Array.isArray(dpJson?.developerProducts) ? dpJson.developerProducts : []
+				for (const dp of products) {
+					const productId = dp?.productId
+					if (typeof productId !== "number" || !Number.isFinite(productId)) continue
+					if (dp?.isForSale !== true) continue
+
+					const price = parseRobuxPrice(dp?.priceInformation?.defaultPriceInRobux)
+					if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) continue
+
+					const name =
+						(typeof dp?.name === "string" && dp.name.trim() !== "" && dp.name) || `Developer Product ${productId}`
+
+					bucket[String(productId)] = makeAssetEntry(name, "DEVPRODUCT", 0, price, {
+						ProductId: productId,
+						UniverseId: universeId,
+						...provenanceFields(universeSource.get(universeId)),
+					})
+				}
+			},
+		}
+	)
+}
+
+// Keeps group provenance in the cursor for every universe it resumes
+export function recordCursorSources(next, universeSource) {
+	for (const universeId of [...next.gp.keys(), ...next.dp.keys()]) {
+		const source = universeSource.get(universeId)
+		if (source?.type === "Group") next.src.set(universeId, source)
+	}
+}
@@ -0,0 +1,83 @@
+// lib/asset-types.js
+// Catalog asset types the donation pipeline can collect from a creator's inventory
+//
+// Keys are the Open Cloud `inventoryItemAssetTypes` filter names; they double as the `Data`
+// bucket / `AssetType` value in the response. `typeId` is the catalog AssetTypeId written to
+// every entry. `group` lets callers select several types at once (?assetTypes=accessories).
+
+export const ASSET_TYPE_REGISTRY = {
+	// classic clothing
+	CLASSIC_TSHIRT: { typeId: 2, group: "clothing" },
+	CLASSIC_SHIRT: { typeId: 11, group: "clothing" },
+	CLASSIC_PANTS: { typeId: 12, group: "clothing" },
+
+	// rigid UGC accessories
+	HAT: { typeId: 8, group: "accessories" },
+	HAIR_ACCESSORY: { typeId: 41, group: "accessories" },
+	FACE_ACCESSORY: { typeId: 42, group: "accessories" },
+	NECK_ACCESSORY: { typeId: 43, group: "accessories" },
+	SHOULDER_ACCESSORY: { typeId: 44, group: "accessories" },
+	FRONT_ACCESSORY: { typeId: 45, group: "accessories" },
+	BACK_ACCESSORY: { typeId: 46, group: "accessories" },
+	WAIST_ACCESSORY: { typeId: 47, group: "accessories" },
+
+	// layered clothing
+	TSHIRT_ACCESSORY: { typeId: 64, group: "layered" },
+	SHIRT_ACCESSORY: { typeId: 65, group: "layered" },
+	PANTS_ACCESSORY: { typeId: 66, group: "layered" },
+	JACKET_ACCESSORY: { typeId: 67, group: "layered" },
+	SWEATER_ACCESSORY: { typeId: 68, group: "layered" },
+	SHORTS_ACCESSORY: { typeId: 69, group: "layered" },
+	LEFT_SHOE_ACCESSORY: { typeId: 70, group: "layered" },
+	RIGHT_SHOE_ACCESSORY: { typeId: 71, group: "layered" },
+	DRESS_SKIRT_ACCESSORY: { typeId: 72, group: "layered" },
+
+	EMOTE_ANIMATION: { typeId: 61, group: "emotes" },
+}
+
+export const ASSET_TYPE_NAMES = Object.keys(ASSET_TYPE_REGISTRY)
+
+export const ASSET_TYPE_GROUPS = Array.from(new Set(Object.values(ASSET_TYPE_REGISTRY).map((t) => t.group)))
+
+// Classic clothing keeps the historical default (and summary.clothing)
+export const CLASSIC_CLOTHING_TYPES = ASSET_TYPE_NAMES.filter((name) => ASSET_TYPE_REGISTRY[name].group === "clothing")
+
+export const DEFAULT_ASSET_TYPES = CLASSIC_CLOTHING_TYPES
+
+export function assetTypeId(name) {
+	return ASSET_TYPE_REGISTRY[name]?.typeId ?? 0
+}
+
+// Parses ?assetTypes=HAT,layered,CLASSIC_SHIRT (case-insensitive; group names and "all" expand).
+// Empty / missing -> DEFAULT_ASSET_TYPES.
+//
+// Returns { ok: true, types } in registry order | { ok: false, unknown: [...] }
+export function parseAssetTypes(value) {
+	const raw = Array.isArray(value) ? value.join(",") : value
+	const tokens = String(raw ?? "")
+		.split(",")
+		.map((s) => s.trim())
+		.filter((s) => s !== "")
+
+	if (tokens.length === 0) return { ok: true, types: [...DEFAULT_ASSET_TYPES] }
+
+	const selected = new Set()
+	const unknown = []
+	for (const token of tokens) {
+		const lower = token.toLowerCase()
+		const upper = token.toUpperCase()
+
+		if (lower === "all") {
+			for (const name of ASSET_TYPE_NAMES) selected.add(name)
+		} else if (ASSET_TYPE_GROUPS.includes(lower)) {
+			for (const name of ASSET_TYPE_NAMES) if (ASSET_TYPE_REGISTRY[name].group === lower) selected.add(name)
+		} else if (ASSET_TYPE_REGISTRY[upper]) {
+			selected.add(upper)
+		} else {
+			unknown.push(token)
+		}
+	}
+
+	if (unknown.length > 0) return { ok: false, unknown }
+	return { ok: true, types: ASSET_TYPE_NAMES.filter((name) => selected.has(name)) }
+}
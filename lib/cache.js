@@ -0,0 +1,253 @@
+// lib/cache.js
+// Upstream response cache shared by the donation handlers
+//
+// Two tiers:
+// - in-memory LRU per warm instance (always on)
+// - optional Redis-compatible REST backend (Vercel KV / Upstash), shared by all instances
+//
+// Entries are stored as { v, t, ttl, swr }: fresh while age < ttl, served stale (and revalidated
+// in the background) while age < ttl + swr, then treated as missing. Null values are never cached.
+// A background revalidation is registered with Vercel's waitUntil, so the function is not frozen
+// before it finishes; outside Vercel (dev server, tests) it simply runs on the live process.
+//
+// Env vars (Vercel):
+// - KV_REST_API_URL / KV_REST_API_TOKEN   enable the KV tier (set automatically by Vercel KV)
+// - CACHE_MAX_ENTRIES                     memory LRU size (default 2000)
+// - CACHE_DISABLED=1                      bypass every cache read/write
+
+import { waitUntil } from "@vercel/functions"
+import { createLogger } from "./logger.js"
+
+const moduleLog = createLogger("Cache")
+
+const DEFAULT_MAX_ENTRIES = 2000
+const KV_TIMEOUT_MS = 1500
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Per-step TTLs (step names match the robloxGetJson steps).
+// place -> universe has its own long-lived store: lib/universe-map.js
+export const STEP_TTLS = {
+	"games.list": { ttlMs: 10 * MINUTE, swrMs: HOUR },
+	"games.listGroup": { ttlMs: 10 * MINUTE, swrMs: HOUR },
+	"groups.owned": { ttlMs: 30 * MINUTE, swrMs: 6 * HOUR },
+	"groups.get": { ttlMs: HOUR, swrMs: DAY },
+	// prices / for-sale flags change often
+	"gamepasses.list": { ttlMs: 2 * MINUTE, swrMs: 10 * MINUTE },
+	"devproducts.list": { ttlMs: 2 * MINUTE, swrMs: 10 * MINUTE },
+	"inventory.canView": { ttlMs: 5 * MINUTE, swrMs: 30 * MINUTE },
+	"inventory.list": { ttlMs: 5 * MINUTE, swrMs: 30 * MINUTE },
+	"catalog.details": { ttlMs: 5 * MINUTE, swrMs: 30 * MINUTE },
+}
+
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+	const map = new Map()
+
+	return {
+		name: "memory",
+		async get(key) {
+			if (!map.has(key)) return null
+			const entry = map.get(key)
+			// refresh LRU position
+			map.delete(key)
+			map.set(key, entry)
+			return entry
+		},
+		async set(key, entry) {
+			if (map.has(key)) map.delete(key)
+			map.set(key, entry)
+			while (map.size > maxEntries) {
+				map.delete(map.keys().next().value)
+			}
+		},
+		async delete(key) {
+			map.delete(key)
+		},
+		size: () => map.size,
+	}
+}
+
+// Redis-compatible REST API (Upstash / Vercel KV): POST <url> with a JSON command array.
+// Resolves to the command's `result` (null for a Redis nil); rejects on a non-2xx answer, so a KV
+// outage is never mistaken for a nil reply.
+export function createKvCommand({ url, token }) {
+	return async function command(args) {
+		const controller = new AbortController()
+		const timer = setTimeout(() => controller.abort(), KV_TIMEOUT_MS)
+		try {
+			const res = await fetch(url, {
+				method: "POST",
+				headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+				body: JSON.stringify(args),
+				signal: controller.signal,
+			})
+			if (!res.ok) throw new Error(`KV command ${args[0]} failed: HTTP ${res.status}`)
+			const json = await res.json()
+			return json?.result ?? null
+		} finally {
+			clearTimeout(timer)
+		}
+	}
+}
+
+export function createKvStore({ url, token }) {
+	const command = createKvCommand({ url, token })
+
+	return {
+		name: "kv",
+		async get(key) {
+			const raw = await command(["GET", key])
+			if (typeof raw !== "string") return null
+			try {
+				return JSON.parse(raw)
+			} catch {
+				return null
+			}
+		},
+		async set(key, entry) {
+			const exSec = Math.max(1, Math.ceil((entry.ttl + entry.swr) / 1000))
+			await command(["SET", key, JSON.stringify(entry), "EX", String(exSec)])
+		},
+		async delete(key) {
+			await command(["DEL", key])
+		},
+	}
+}
+
+// Memory first, then KV; KV hits are copied into memory. KV failures never fail a request.
+export function createTieredCache({ memory, kv, log }) {
+	const warn = (msg) => (log || moduleLog).warn(msg)
+
+	return {
+		backends: kv ? ["memory", "kv"] : ["memory"],
+		async get(key) {
+			const hit = await memory.get(key)
+			if (hit) return hit
+			if (!kv) return null
+
+			try {
+				const entry = await kv.get(key)
+				if (entry) await memory.set(key, entry)
+				return entry
+			} catch (e) {
+				warn(`kv get failed key=${key} error="${String(e)}"`)
+				return null
+			}
+		},
+		async set(key, entry) {
+			await memory.set(key, entry)
+			if (!kv) return
+
+			try {
+				await kv.set(key, entry)
+			} catch (e) {
+				warn(`kv set failed key=${key} error="${String(e)}"`)
+			}
+		},
+		async delete(key) {
+			await memory.delete(key)
+			if (!kv) return
+
+			try {
+				await kv.delete(key)
+			} catch (e) {
+				warn(`kv delete failed key=${key} error="${String(e)}"`)
+			}
+		},
+	}
+}
+
+let sharedCache = null
+
+// One cache per warm instance
+export function getSharedCache() {
+	if (sharedCache) return sharedCache
+
+	const maxEntries = Number(process.env.CACHE_MAX_ENTRIES)
+	const memory = createMemoryStore({
+		maxEntries: Number.isFinite(maxEntries) && maxEntries > 0 ? Math.trunc(maxEntries) : DEFAULT_MAX_ENTRIES,
+	})
+
+	const kvUrl = (process.env.KV_REST_API_URL || "").trim()
+	const kvToken = (process.env.KV_REST_API_TOKEN || "").trim()
+	const kv = kvUrl && kvToken ? createKvStore({ url: kvUrl, token: kvToken }) : null
+
+	sharedCache = createTieredCache({ memory, kv })
+	return sharedCache
+}
+
+export function isCacheDisabled() {
+	return process.env.CACHE_DISABLED === "1"
+}
+
+export function createCacheStats() {
+	return { hit: 0, miss: 0, stale: 0, bypass: 0 }
+}
+
+// X-Cache: BYPASS (refresh=1), MISS (any upstream fetch), STALE (any stale entry served), HIT (all cached)
+export function cacheHeaderValue(stats) {
+	if (stats.bypass > 0) return "BYPASS"
+	if (stats.miss > 0) return "MISS"
+	if (stats.stale > 0) return "STALE"
+	if (stats.hit > 0) return "HIT"
+	return "MISS"
+}
+
+export function cacheDetailHeaderValue(stats) {
+	return `hit=${stats.hit} stale=${stats.stale} miss=${stats.miss} bypass=${stats.bypass}`
+}
+
+// per-instance background revalidations, so one stale key is refreshed once
+const revalidating = new Map()
+
+// Read-through helper.
+// policy: { ttlMs, swrMs, refresh } — refresh skips the read but still stores the fresh value.
+// loader: async ({ background }) => value (null = do not cache). Background revalidations run
+// after the caller already has its (stale) value, so they must not report into the caller's errors.
+export async function cachedFetch(cache, key, policy, loader, stats) {
+	const { ttlMs, swrMs = 0, refresh = false } = policy
+
+	const store = async (value) => {
+		if (value == null) return
+		await cache.set(key, { v: value, t: Date.now(), ttl: ttlMs, swr: swrMs })
+	}
+
+	if (refresh) {
+		if (stats) stats.bypass += 1
+		const value = await loader({ background: false })
+		await store(value)
+		return value
+	}
+
+	const entry = await cache.get(key)
+	if (entry) {
+		const age = Date.now() - entry.t
+		if (age < entry.ttl) {
+			if (stats) stats.hit += 1
+			return entry.v
+		}
+
+		if (age < entry.ttl + entry.swr) {
+			if (stats) stats.stale += 1
+
+			if (!revalidating.has(key)) {
+				const job = Promise.resolve()
+					.then(() => loader({ background: true }))
+					.then(store)
+					.catch(() => {})
+					.finally(() => revalidating.delete(key))
+				revalidating.set(key, job)
+				waitUntil(job)
+			}
+
+			return entry.v
+		}
+	}
+
+	if (stats) stats.miss += 1
+	const value = await loader({ background: false })
+	await store(value)
+	return value
+}
@@ -0,0 +1,226 @@
+// lib/caller-auth.js
+// Caller authentication shared by every /api handler
+//
+// A caller must present ONE of:
+// - static token:  "Authorization: Bearer <token>"  (or "X-Gateway-Token: <token>")
+// - HMAC signature:
+//     X-Gateway-Timestamp: <unix seconds>
+//     X-Gateway-Nonce:     <random string, unique per request>
+//     X-Gateway-Signature: hex(HMAC-SHA256(secret, stringToSign))
+//
+//   stringToSign = METHOD + "\n" + PATH + "\n" + CANONICAL_QUERY + "\n" + TIMESTAMP + "\n" + NONCE + "\n" + BODY_SHA256
+//   CANONICAL_QUERY = params sorted by key (then value), each "enc(k)=enc(v)", joined with "&"
+//                     (empty string when there is no query). enc() is RFC 3986 percent-encoding,
+//                     which matches HttpService:UrlEncode.
+//   BODY_SHA256     = lowercase hex SHA-256 of the raw request body bytes, exactly as sent (of "" when
+//                     there is none). Key order and number formatting are the caller's; the gateway
+//                     never re-serializes a body it can read raw (see readRawBody).
+//
+// Replay protection: the timestamp must be within GATEWAY_HMAC_MAX_SKEW_SEC and a nonce is
+// accepted only once while it is inside that window. With KV configured (lib/cache.js) nonces are
+// recorded there (SET NX), so the once holds across instances; without KV, or while KV is
+// unreachable, each warm instance only remembers its own nonces and a captured request can be
+// replayed once on every other instance inside the window.
+//
+// Env vars (Vercel):
+// - GATEWAY_TOKENS             comma-separated static bearer tokens
+// - GATEWAY_HMAC_SECRET        shared HMAC secret
+// - GATEWAY_HMAC_MAX_SKEW_SEC  allowed clock skew (default 300)
+// - GATEWAY_AUTH_DISABLED=1    explicit opt-out (local development only)
+// - KV_REST_API_URL / KV_REST_API_TOKEN   shared nonce store (see above)
+//
+// With neither GATEWAY_TOKENS nor GATEWAY_HMAC_SECRET set, every call is rejected.
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto"
+import { createKvCommand } from "./cache.js"
+import { createLogger } from "./logger.js"
+
+const moduleLog = createLogger("CallerAuth")
+
+const DEFAULT_MAX_SKEW_SEC = 300
+
+// nonce -> expiresAtMs (per warm instance)
+const seenNonces = new Map()
+
+// KV command for the shared nonce store, rebuilt when the KV env vars change
+let kvNonces = { key: null, command: null }
+
+function headerValue(req, name) {
+	const v = req.headers?.[name]
+	if (Array.isArray(v)) return v[0]
+	return typeof v === "string" ? v : ""
+}
+
+function safeEqual(a, b) {
+	const bufA = Buffer.from(String(a))
+	const bufB = Buffer.from(String(b))
+	if (bufA.length !== bufB.length) return false
+	return timingSafeEqual(bufA, bufB)
+}
+
+function fingerprint(value) {
+	return createHash("sha256").update(String(value)).digest("hex").slice(0, 12)
+}
+
+function getStaticTokens() {
+	return String(process.env.GATEWAY_TOKENS || "")
+		.split(",")
+		.map((t) => t.trim())
+		.filter((t) => t !== "")
+}
+
+function getMaxSkewSec() {
+	const n = Number(process.env.GATEWAY_HMAC_MAX_SKEW_SEC)
+	return Number.isFinite(n) && n > 0 ? Math.trunc(n) : DEFAULT_MAX_SKEW_SEC
+}
+
+function pruneNonces(nowMs) {
+	for (const [nonce, expiresAt] of seenNonces) {
+		if (expiresAt <= nowMs) seenNonces.delete(nonce)
+	}
+}
+
+// encodeURIComponent leaves !'()* alone; RFC 3986 (and HttpService:UrlEncode) does not
+function encodeRfc3986(value) {
+	return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+export function canonicalQuery(searchParams) {
+	const pairs = []
+	for (const [k, v] of searchParams) pairs.push([k, v])
+
+	pairs.sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : a[0] < b[0] ? -1 : 1))
+	return pairs.map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).join("&")
+}
+
+// Raw request body as the caller sent it:
+// - req.rawBody, kept by lib/vercel-node.js (and by frameworks that store it under that name)
+// - a string / Buffer req.body
+// - the request stream while it is still readable (Vercel replays the buffered body on it after
+//   parsing req.body); the bytes are kept on req.rawBody
+// Only a body a framework parsed without keeping its bytes falls back to compact JSON.
+export async function readRawBody(req) {
+	if (typeof req.rawBody === "string" || Buffer.isBuffer(req.rawBody)) return req.rawBody
+	if (typeof req.body === "string" || Buffer.isBuffer(req.body)) return req.body
+
+	if (typeof req.on === "function" && req.readable && !req.readableEnded) {
+		const chunks = []
+		for await (const chunk of req) chunks.push(Buffer.from(chunk))
+		const raw = Buffer.concat(chunks)
+		Object.defineProperty(req, "rawBody", { value: raw, writable: true, configurable: true })
+		return raw
+	}
+
+	return req.body == null ? "" : JSON.stringify(req.body)
+}
+
+// Hex SHA-256 of string / Buffer bytes as given; a parsed body is hashed as compact JSON and
+// nothing as ""
+export function bodyDigest(body) {
+	let bytes = ""
+	if (typeof body === "string" || Buffer.isBuffer(body)) bytes = body
+	else if (body != null) bytes = JSON.stringify(body)
+	return createHash("sha256").update(bytes).digest("hex")
+}
+
+export function buildStringToSign({ method, path, query, timestamp, nonce, bodySha256 = bodyDigest() }) {
+	return [String(method).toUpperCase(), path, query, String(timestamp), nonce, bodySha256].join("\n")
+}
+
+export function signRequest(secret, parts) {
+	return createHmac("sha256", secret).update(buildStringToSign(parts)).digest("hex")
+}
+
+function nonceKvCommand() {
+	const url = (process.env.KV_REST_API_URL || "").trim()
+	const token = (process.env.KV_REST_API_TOKEN || "").trim()
+	const key = `${url}\n${token}`
+	if (kvNonces.key !== key) kvNonces = { key, command: url && token ? createKvCommand({ url, token }) : null }
+	return kvNonces.command
+}
+
+// True the first time `nonce` is seen inside its window: this instance's Map first, then KV
+async function claimNonce(nonce, nowMs, ttlMs) {
+	pruneNonces(nowMs)
+	if (seenNonces.has(nonce)) return false
+	seenNonces.set(nonce, nowMs + ttlMs)
+
+	const command = nonceKvCommand()
+	if (!command) return true
+	try {
+		// SET NX answers "OK" only to the first writer
+		const result = await command(["SET", `gw:nonce:${createHash("sha256").update(nonce).digest("hex")}`, "1", "NX", "PX", String(ttlMs)])
+		return result === "OK"
+	} catch (e) {
+		moduleLog.warn(`kv nonce check failed error="${String(e)}"; checked on this instance only`)
+		return true
+	}
+}
+
+async function verifyHmac(req, secret) {
+	const timestamp = headerValue(req, "x-gateway-timestamp").trim()
+	const nonce = headerValue(req, "x-gateway-nonce").trim()
+	const signature = headerValue(req, "x-gateway-signature").trim().toLowerCase()
+
+	if (!timestamp || !nonce || !signature) {
+		return { ok: false, reason: "missing_signature_headers", message: "Missing HMAC signature headers" }
+	}
+
+	const ts = Number(timestamp)
+	const nowMs = Date.now()
+	const maxSkewSec = getMaxSkewSec()
+	if (!Number.isFinite(ts) || Math.abs(nowMs / 1000 - ts) > maxSkewSec) {
+		return { ok: false, reason: "stale_timestamp", message: "Signature timestamp outside allowed window" }
+	}
+
+	const urlObj = new URL(req.url || "/", "http://localhost")
+	const expected = signRequest(secret, {
+		method: req.method || "GET",
+		path: urlObj.pathname,
+		query: canonicalQuery(urlObj.searchParams),
+		timestamp,
+		nonce,
+		bodySha256: bodyDigest(await readRawBody(req)),
+	})
+
+	if (!safeEqual(expected, signature)) {
+		return { ok: false, reason: "bad_signature", message: "Invalid request signature" }
+	}
+
+	if (!(await claimNonce(nonce, nowMs, maxSkewSec * 2 * 1000))) {
+		return { ok: false, reason: "replayed_nonce", message: "Request nonce already used" }
+	}
+
+	return { ok: true, method: "hmac", callerId: "hmac" }
+}
+
+// Resolves to { ok: true, method, callerId } or { ok: false, reason, message }.
+// callerId never contains the secret (token callers get a short sha256 fingerprint).
+export async function authenticateCaller(req) {
+	if (process.env.GATEWAY_AUTH_DISABLED === "1") {
+		return { ok: true, method: "disabled", callerId: "anonymous" }
+	}
+
+	const tokens = getStaticTokens()
+	const secret = String(process.env.GATEWAY_HMAC_SECRET || "").trim()
+
+	if (tokens.length === 0 && secret === "") {
+		return { ok: false, reason: "not_configured", message: "Gateway caller auth is not configured" }
+	}
+
+	const authz = headerValue(req, "authorization").trim()
+	const bearer = /^bearer\s+/i.test(authz) ? authz.replace(/^bearer\s+/i, "").trim() : ""
+	const presented = bearer || headerValue(req, "x-gateway-token").trim()
+
+	if (presented) {
+		const match = tokens.find((t) => safeEqual(t, presented))
+		if (match) return { ok: true, method: "token", callerId: `token:${fingerprint(match)}` }
+		return { ok: false, reason: "bad_token", message: "Invalid caller token" }
+	}
+
+	if (secret !== "" && headerValue(req, "x-gateway-signature")) {
+		return verifyHmac(req, secret)
+	}
+
+	return { ok: false, reason: "missing_credentials", message: "Missing caller credentials" }
+}
@@ -0,0 +1,286 @@
+// lib/credential-pool.js
+// Pool of Roblox credentials shared by every upstream call on a warm instance
+//
+// ROBLOX_CREDENTIALS is a JSON array, one slot per entry:
+//   [{ "name": "main", "cookie": "...", "apiKey": "..." }, { "apiKey": "...", "scopes": ["apis.roblox.com"] }]
+// - cookie / apiKey   either may be omitted; a slot only serves calls that want one of its credentials
+// - scopes            optional list of Roblox hosts the slot may be sent to (default: every host)
+// - name              optional label for logs and the status route (default: "slot-<index>")
+// Without ROBLOX_CREDENTIALS the ROBLOX_SECURITY_COOKIE / ROBLOX_OPEN_CLOUD_KEY pair is the only slot.
+//
+// Selection: slots holding EVERY wanted credential come first, so a call that wants cookie + apiKey
+// only falls back to a cookie-only or key-only slot when no complete slot is healthy. Among the
+// healthy slots of that tier:
+// - round-robin (default)
+// - least-429: the slot whose last 429 is oldest (never rate-limited first), then least recently used
+// Health:
+// - a 401 benches the credentials it is about (expired cookie / revoked key) for
+//   CREDENTIAL_UNAUTHORIZED_OUT_MS; the slot keeps serving calls that want its other one. Nothing is
+//   benched when the call went out without a credential it wanted (a slot missing one cannot tell
+//   whether the 401 is about its credential or the missing one), or when Roblox says the key lacks a
+//   scope: that only concerns the endpoint, not the key
+// - CREDENTIAL_MAX_CONSECUTIVE_429 429s in a row take the whole slot out until Retry-After /
+//   x-ratelimit-reset (CREDENTIAL_RATE_LIMITED_OUT_MS when the response says nothing)
+// - a 2xx puts back the slot and the credentials it carried, and clears the 429 streak
+// When every eligible slot is out, the one due back first is still used rather than none.
+//
+// Env vars (Vercel):
+// - ROBLOX_CREDENTIALS              JSON array (see above)
+// - ROBLOX_CREDENTIAL_STRATEGY      round-robin | least-429
+// - ROBLOX_SECURITY_COOKIE / ROBLOX_OPEN_CLOUD_KEY   single-slot fallback
+
+import { pauseMsFor } from "./upstream-throttle.js"
+import { createLogger } from "./logger.js"
+
+const log = createLogger("CredentialPool")
+
+export const CREDENTIAL_STRATEGIES = ["round-robin", "least-429"]
+export const CREDENTIAL_MAX_CONSECUTIVE_429 = 3
+export const CREDENTIAL_UNAUTHORIZED_OUT_MS = 10 * 60 * 1000
+export const CREDENTIAL_RATE_LIMITED_OUT_MS = 60 * 1000
+const MAX_RATE_LIMITED_OUT_MS = 10 * 60 * 1000
+const CREDENTIALS = ["cookie", "apiKey"]
+
+export function normalizeRobloxCookie(raw) {
+	if (typeof raw !== "string") return ""
+
+	let s = raw.trim()
+
+	// strip wrapping quotes (common in env UI)
+	if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
+		s = s.slice(1, -1).trim()
+	}
+
+	// remove ALL whitespace (spaces/newlines/tabs) that can break cookie parsing
+	s = s.replace(/\s+/g, "").trim()
+
+	// allow storing token-only; prefix it
+	if (s !== "" && !s.includes("ROBLOSECURITY=")) {
+		s = `.ROBLOSECURITY=${s}`
+	}
+
+	return s
+}
+
+// ROBLOX_CREDENTIALS -> [{ name, cookie, apiKey, scopes }]. Throws on anything malformed.
+export function parseCredentials(raw) {
+	let list
+	try {
+		list = JSON.parse(raw)
+	} catch {
+		throw new Error("ROBLOX_CREDENTIALS: not valid JSON")
+	}
+	if (!Array.isArray(list)) throw new Error("ROBLOX_CREDENTIALS: expected a JSON array")
+
+	return list.map((entry, index) => {
+		if (!entry || typeof entry !== "object") throw new Error(`ROBLOX_CREDENTIALS[${index}]: expected an object`)
+
+		const cookie = normalizeRobloxCookie(entry.cookie)
+		const apiKey = typeof entry.apiKey === "string" ? entry.apiKey.trim() : ""
+		if (!cookie && !apiKey) throw new Error(`ROBLOX_CREDENTIALS[${index}]: needs a cookie and/or an apiKey`)
+
+		const scopes = entry.scopes == null ? [] : entry.scopes
+		if (!Array.isArray(scopes) || !scopes.every((h) => typeof h === "string" && h.trim() !== "")) {
+			throw new Error(`ROBLOX_CREDENTIALS[${index}]: scopes must be a list of hosts`)
+		}
+
+		return {
+			name: typeof entry.name === "string" && entry.name.trim() !== "" ? entry.name.trim() : `slot-${index}`,
+			cookie,
+			apiKey,
+			scopes: scopes.map((h) => h.trim().toLowerCase()),
+		}
+	})
+}
+
+// entries: [{ name, cookie, apiKey, scopes }] (parseCredentials)
+export function createCredentialPool(entries, { strategy = "round-robin" } = {}) {
+	const slots = entries.map((entry, index) => ({
+		index,
+		...entry,
+		uses: 0,
+		lastUsedAt: 0,
+		count429: 0,
+		consecutive429: 0,
+		last429At: 0,
+		outUntil: 0,
+		outReason: null,
+		benchedUntil: { cookie: 0, apiKey: 0 },
+	}))
+	let cursor = 0
+
+	// The credentials of `slot` a call wants and the slot holds
+	function held(slot, want) {
+		return CREDENTIALS.filter((c) => want[c] && slot[c] !== "")
+	}
+
+	function usable(slot, credential, now) {
+		return slot[credential] !== "" && slot.benchedUntil[credential] <= now
+	}
+
+	function eligible(slot, host, want) {
+		if (slot.scopes.length > 0 && !slot.scopes.includes(host)) return false
+		return held(slot, want).length > 0
+	}
+
+	function inRotation(slot, want, now) {
+		return slot.outUntil <= now && held(slot, want).some((c) => usable(slot, c, now))
+	}
+
+	function complete(slot, want, now) {
+		return CREDENTIALS.every((c) => !want[c] || usable(slot, c, now))
+	}
+
+	// When the slot serves one of `credentials` again
+	function backAt(slot, credentials) {
+		return Math.max(slot.outUntil, Math.min(...credentials.map((c) => slot.benchedUntil[c])))
+	}
+
+	function choose(candidates) {
+		if (strategy === "least-429") {
+			return candidates.reduce((best, s) =>
+				s.last429At < best.last429At || (s.last429At === best.last429At && s.lastUsedAt < best.lastUsedAt) ? s : best
+			)
+		}
+
+		// round-robin: first candidate at or after the cursor
+		const chosen = candidates.find((s) => s.index >= cursor) || candidates[0]
+		cursor = chosen.index + 1
+		return chosen
+	}
+
+	return {
+		size: slots.length,
+		strategy,
+
+		// The slot to use for one call to `host`, or null when no slot has a wanted credential.
+		// want: { cookie, apiKey }
+		pick(host, want, now = Date.now()) {
+			const candidates = slots.filter((s) => eligible(s, host, want))
+			if (candidates.length === 0) return null
+
+			const healthy = candidates.filter((s) => inRotation(s, want, now))
+			const healthyComplete = healthy.filter((s) => complete(s, want, now))
+			const slot =
+				healthyComplete.length > 0
+					? choose(healthyComplete)
+					: healthy.length > 0
+						? choose(healthy)
+						: candidates.reduce((best, s) => (backAt(s, held(s, want)) < backAt(best, held(best, want)) ? s : best))
+
+			slot.uses += 1
+			slot.lastUsedAt = now
+			return slot
+		},
+
+		// Whether the pool would rather not send this credential of `slot` right now (benched by a 401)
+		benched(slot, credential, now = Date.now()) {
+			return slot[credential] !== "" && !usable(slot, credential, now)
+		},
+
+		// Feeds one upstream response back. Returns { event: "out", reason, outForMs } when the slot or
+		// some of its credentials (`credentials`, for a 401) went out of rotation (worth a log line),
+		// otherwise null.
+		// complete:   the call carried every credential it wanted (buildAuthHeaders in lib/roblox-client.js)
+		// sent:       the credentials the endpoint authenticated the call with (default: all the slot holds)
+		// scopeError: the 401 says the key lacks a scope for this endpoint
+		report(slot, { status, rate, complete = true, sent = null, scopeError = false }, now = Date.now()) {
+			if (!slot || !status) return null
+			const carried = (sent ?? CREDENTIALS).filter((c) => slot[c] !== "")
+
+			if (status === 401) {
+				if (!complete || scopeError || carried.length === 0) return null
+				for (const c of carried) slot.benchedUntil[c] = now + CREDENTIAL_UNAUTHORIZED_OUT_MS
+				return { event: "out", reason: "unauthorized", credentials: carried, outForMs: CREDENTIAL_UNAUTHORIZED_OUT_MS }
+			}
+
+			if (status === 429) {
+				slot.count429 += 1
+				slot.consecutive429 += 1
+				slot.last429At = now
+				if (slot.consecutive429 < CREDENTIAL_MAX_CONSECUTIVE_429) return null
+
+				const outForMs = Math.min(pauseMsFor(rate, now) ?? CREDENTIAL_RATE_LIMITED_OUT_MS, MAX_RATE_LIMITED_OUT_MS)
+				slot.outUntil = now + outForMs
+				slot.outReason = "rate_limited"
+				return { event: "out", reason: slot.outReason, outForMs }
+			}
+
+			slot.consecutive429 = 0
+			if (status >= 200 && status < 300) {
+				slot.outUntil = 0
+				slot.outReason = null
+				for (const c of carried) slot.benchedUntil[c] = 0
+			}
+			return null
+		},
+
+		// The configured slots WITH their secrets, for self-checks (api/health.js); never send these out
+		entries() {
+			return slots.map(({ index, name, cookie, apiKey, scopes }) => ({ index, name, cookie, apiKey, scopes }))
+		},
+
+		// Pool health without any secret
+		snapshot(now = Date.now()) {
+			const list = slots.map((s) => {
+				const all = held(s, { cookie: true, apiKey: true })
+				const benched = all.filter((c) => !usable(s, c, now))
+				const rateLimited = s.outUntil > now
+				return {
+					slot: s.index,
+					name: s.name,
+					cookie: s.cookie !== "",
+					apiKey: s.apiKey !== "",
+					scopes: s.scopes,
+					healthy: !rateLimited && benched.length < all.length,
+					outForMs: Math.max(0, backAt(s, all) - now),
+					reason: rateLimited ? s.outReason : benched.length === all.length ? "unauthorized" : null,
+					benched,
+					uses: s.uses,
+					count429: s.count429,
+					consecutive429: s.consecutive429,
+					last429At: s.last429At ? new Date(s.last429At).toISOString() : null,
+				}
+			})
+			return { strategy, size: list.length, healthy: list.filter((s) => s.healthy).length, slots: list }
+		},
+	}
+}
+
+function poolFromEnv(env) {
+	const strategy = CREDENTIAL_STRATEGIES.includes(env.ROBLOX_CREDENTIAL_STRATEGY)
+		? env.ROBLOX_CREDENTIAL_STRATEGY
+		: "round-robin"
+
+	if (String(env.ROBLOX_CREDENTIALS || "").trim() !== "") {
+		try {
+			return createCredentialPool(parseCredentials(env.ROBLOX_CREDENTIALS), { strategy })
+		} catch (e) {
+			log.warn(`${e.message}; falling back to ROBLOX_SECURITY_COOKIE / ROBLOX_OPEN_CLOUD_KEY`)
+		}
+	}
+
+	const cookie = normalizeRobloxCookie(env.ROBLOX_SECURITY_COOKIE)
+	const apiKey = String(env.ROBLOX_OPEN_CLOUD_KEY || "").trim()
+	const entries = cookie || apiKey ? [{ name: "default", cookie, apiKey, scopes: [] }] : []
+	return createCredentialPool(entries, { strategy })
+}
+
+let sharedPool = null
+let sharedPoolKey = null
+
+// One pool per warm instance, rebuilt (with fresh health) when the credential env vars change
+export function getCredentialPool() {
+	const env = process.env
+	const key = JSON.stringify([
+		env.ROBLOX_CREDENTIALS,
+		env.ROBLOX_CREDENTIAL_STRATEGY,
+		env.ROBLOX_SECURITY_COOKIE,
+		env.ROBLOX_OPEN_CLOUD_KEY,
+	])
+	if (!sharedPool || key !== sharedPoolKey) {
+		sharedPool = poolFromEnv(env)
+		sharedPoolKey = key
+	}
+	return sharedPool
+}
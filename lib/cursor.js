@@ -0,0 +1,143 @@
+// lib/cursor.js
+// Signed continuation tokens for get-donation-asset / get-gamepass (`?cursor=` / `nextCursor`)
+//
+// A cursor records where each paged source stopped, as [key, pageToken] pairs:
+// - gp:  gamepasses per universeId
+// - dp:  developer products per universeId
+// - inv: inventory pages per asset type
+// A pageToken of "" means "from the first page" (the source was cut off before its first page).
+// `src` keeps group provenance of the listed universes and `t` the asset types of the first call,
+// so resumed pages come back in the same shape. `cv` is true once the inventory visibility check
+// passed; a cursor without it checks again before listing inventory.
+//
+// Token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload)). The payload is bound to
+// the endpoint and userId and expires after CURSOR_TTL_MS. Callers must treat it as opaque.
+//
+// Env vars (Vercel):
+// - CURSOR_SECRET   signing key. Without it a key is derived from GATEWAY_HMAC_SECRET / GATEWAY_TOKENS;
+//                   with none of them a random per-instance key is used (cursors then only resume on
+//                   the warm instance that issued them)
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto"
+import { createLogger } from "./logger.js"
+
+const log = createLogger("Cursor")
+
+const CURSOR_VERSION = 1
+export const CURSOR_TTL_MS = 24 * 60 * 60 * 1000
+
+// Roblox page tokens are short; this only guards against garbage input
+const MAX_CURSOR_LENGTH = 64 * 1024
+
+let randomSecret = null
+
+function cursorSecret() {
+	const explicit = String(process.env.CURSOR_SECRET || "").trim()
+	if (explicit) return explicit
+
+	const gatewaySecret = String(process.env.GATEWAY_HMAC_SECRET || process.env.GATEWAY_TOKENS || "").trim()
+	if (gatewaySecret) return createHash("sha256").update(`cursor:${gatewaySecret}`).digest("hex")
+
+	if (!randomSecret) {
+		randomSecret = randomBytes(32).toString("hex")
+		log.warn("CURSOR_SECRET not set; cursors only resume on this instance")
+	}
+	return randomSecret
+}
+
+function sign(payload) {
+	return createHmac("sha256", cursorSecret()).update(payload).digest("base64url")
+}
+
+export function createCursorState(types = []) {
+	return { gp: new Map(), dp: new Map(), inv: new Map(), src: new Map(), t: types, cv: false }
+}
+
+export function cursorHasMore(state) {
+	return state.gp.size + state.dp.size + state.inv.size > 0
+}
+
+// Returns the token, or null when every source is finished
+export function encodeCursor(endpoint, userId, state, now = Date.now()) {
+	if (!cursorHasMore(state)) return null
+
+	const payload = Buffer.from(
+		JSON.stringify({
+			v: CURSOR_VERSION,
+			e: endpoint,
+			u: userId,
+			exp: now + CURSOR_TTL_MS,
+			gp: Array.from(state.gp),
+			dp: Array.from(state.dp),
+			inv: Array.from(state.inv),
+			src: Array.from(state.src, ([universeId, source]) => [universeId, source.id, source.name || ""]),
+			t: state.t,
+			cv: state.cv === true,
+		})
+	).toString("base64url")
+
+	return `${payload}.${sign(payload)}`
+}
+
+const isPairList = (value, keyCheck) =>
+	Array.isArray(value) &&
+	value.every((p) => Array.isArray(p) && p.length === 2 && keyCheck(p[0]) && typeof p[1] === "string")
+const isUniverseId = (v) => Number.isInteger(v) && v > 0
+const isTypeName = (v) => typeof v === "string" && v !== ""
+
+function invalid(reason, message) {
+	return { ok: false, reason, message }
+}
+
+// Returns { ok: true, state } | { ok: false, reason, message }
+export function decodeCursor(token, endpoint, userId, now = Date.now()) {
+	const raw = String(token || "")
+	if (raw.length > MAX_CURSOR_LENGTH) return invalid("too_large", "Cursor is too large")
+
+	const [payload, signature, extra] = raw.split(".")
+	if (!payload || !signature || extra !== undefined) return invalid("malformed", "Malformed cursor")
+
+	const expected = Buffer.from(sign(payload))
+	const presented = Buffer.from(signature)
+	if (expected.length !== presented.length || !timingSafeEqual(expected, presented)) {
+		return invalid("bad_signature", "Cursor signature does not match")
+	}
+
+	let body
+	try {
+		body = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+	} catch {
+		return invalid("malformed", "Malformed cursor")
+	}
+
+	if (body?.v !== CURSOR_VERSION) return invalid("version", "Cursor version is not supported")
+	if (body.e !== endpoint) return invalid("endpoint_mismatch", `Cursor was issued by another endpoint (${body.e})`)
+	if (body.u !== userId) return invalid("user_mismatch", "Cursor was issued for another userId")
+	if (!(body.exp > now)) return invalid("expired", "Cursor has expired")
+
+	const srcOk =
+		Array.isArray(body.src) &&
+		body.src.every((s) => Array.isArray(s) && isUniverseId(s[0]) && Number.isFinite(s[1]) && typeof s[2] === "string")
+	if (
+		!isPairList(body.gp, isUniverseId) ||
+		!isPairList(body.dp, isUniverseId) ||
+		!isPairList(body.inv, isTypeName) ||
+		!srcOk ||
+		!Array.isArray(body.t) ||
+		!body.t.every(isTypeName)
+	) {
+		return invalid("malformed", "Malformed cursor")
+	}
+
+	return {
+		ok: true,
+		state: {
+			gp: new Map(body.gp),
+			dp: new Map(body.dp),
+			inv: new Map(body.inv),
+			src: new Map(body.src.map(([universeId, id, name]) => [universeId, { type: "Group", id, name }])),
+			t: body.t,
+			cv: body.cv === true,
+		},
+	}
+}
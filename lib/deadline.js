@@ -0,0 +1,93 @@
+// lib/deadline.js
+// Time budget shared by every step of one handler invocation
+//
+// createDeadline(budgetMs) aborts `signal` when the budget runs out; pass it to createRobloxClient
+// ({ signal }) so in-flight calls, backoff sleeps and throttle waits are cancelled with it.
+// Steps wrapped in run() are counted as skipped when they could not finish in time, so the
+// handler can answer with what it has plus `partial: true` and `skipped`.
+//
+// Tests can register a hook (setDeadlineHook) that receives every deadline created, and expire() it
+// at a chosen point instead of racing the clock.
+
+const BUDGET_EXHAUSTED = "BUDGET_EXHAUSTED"
+
+// True for the abort reason of an expired deadline (what aborted fetches / sleeps reject with)
+export function isDeadlineError(err) {
+	return err?.code === BUDGET_EXHAUSTED
+}
+
+let createdHook = null
+
+// fn(deadline) runs for every deadline created; null removes it
+export function setDeadlineHook(fn) {
+	createdHook = fn || null
+}
+
+export function createDeadline(budgetMs) {
+	const controller = new AbortController()
+	const startedAt = Date.now()
+	const skipped = new Map()
+
+	function expire() {
+		if (controller.signal.aborted) return
+		const reason = new Error(`Time budget of ${budgetMs}ms exhausted`)
+		reason.name = "AbortError"
+		reason.code = BUDGET_EXHAUSTED
+		controller.abort(reason)
+	}
+
+	const timer = setTimeout(expire, budgetMs)
+
+	function skip(step) {
+		skipped.set(step, (skipped.get(step) || 0) + 1)
+	}
+
+	const deadline = {
+		budgetMs,
+		signal: controller.signal,
+
+		get expired() {
+			return controller.signal.aborted
+		},
+
+		// Ends the budget now, as if the timer had fired
+		expire,
+
+		remainingMs() {
+			return Math.max(0, startedAt + budgetMs - Date.now())
+		},
+
+		skip,
+
+		// Runs fn unless the budget is already spent. A null result (or a throw) after the budget ran
+		// out counts the step as skipped and resolves to null; other throws propagate.
+		async run(step, fn) {
+			if (controller.signal.aborted) {
+				skip(step)
+				return null
+			}
+
+			try {
+				const value = await fn()
+				if (value == null && controller.signal.aborted) skip(step)
+				return value
+			} catch (e) {
+				if (!controller.signal.aborted) throw e
+				skip(step)
+				return null
+			}
+		},
+
+		// [{ step, count }] in the order steps were first skipped
+		skipped() {
+			return Array.from(skipped, ([step, count]) => ({ step, count }))
+		},
+
+		clear() {
+			clearTimeout(timer)
+		},
+	}
+
+	createdHook?.(deadline)
+	return deadline
+}
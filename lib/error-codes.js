@@ -0,0 +1,84 @@
+// lib/error-codes.js
+// Stable error codes for every JSON error the gateway sends
+//
+// Clients branch on `code` (never on `message`, which is for humans and may change):
+// - pipeline endpoints (get-donation-asset / get-gamepass, warm-universe-map) put
+//   { code, retryable, severity, step, message, context } in `errors[]`
+// - single-result errors (fetch-url, get-universe-id-from-place-id, ...) add { code, retryable, severity }
+//   next to `error`; the universe batch does the same per place in `errors`
+//
+// retryable: the same request may succeed later (rate limits, timeouts, Roblox 5xx); a client
+//            should back off, not change the request
+// severity:
+// - fatal    the request did not run (auth, validation, gateway failure)
+// - error    a step failed; its data is missing from the result
+// - warning  a known-bad input was skipped (e.g. a deleted place); the result is still complete
+// - info     nothing failed, but the result is shaped by it (e.g. a private inventory)
+// `ok` is false when any entry is fatal or error (hasFailures).
+
+export const ERROR_SEVERITIES = ["fatal", "error", "warning", "info"]
+
+export const ERROR_CODES = {
+	// caller / request
+	UNAUTHORIZED: { retryable: false, severity: "fatal" },
+	RATE_LIMITED: { retryable: true, severity: "fatal" },
+	METHOD_NOT_ALLOWED: { retryable: false, severity: "fatal" },
+	INVALID_PARAMETER: { retryable: false, severity: "fatal" },
+	INVALID_CURSOR: { retryable: false, severity: "fatal" },
+	POLICY_BLOCKED: { retryable: false, severity: "fatal" },
+
+	// upstream call (per step)
+	INVALID_URL: { retryable: false, severity: "error" },
+	HOST_NOT_ALLOWED: { retryable: false, severity: "error" },
+	REDIRECT_BLOCKED: { retryable: false, severity: "error" },
+	CSRF_BOOTSTRAP_FAILED: { retryable: true, severity: "error" },
+	UPSTREAM_RATE_LIMITED: { retryable: true, severity: "error" },
+	UPSTREAM_UNAUTHORIZED: { retryable: false, severity: "error" },
+	UPSTREAM_NOT_FOUND: { retryable: false, severity: "error" },
+	UPSTREAM_UNAVAILABLE: { retryable: true, severity: "error" },
+	UPSTREAM_ERROR: { retryable: false, severity: "error" },
+	UPSTREAM_BAD_RESPONSE: { retryable: true, severity: "error" },
+	UPSTREAM_FETCH_FAILED: { retryable: true, severity: "error" },
+	TIMEOUT: { retryable: true, severity: "error" },
+
+	// skipped input / shaped result
+	INVALID_PLACE: { retryable: false, severity: "warning" },
+	INVENTORY_PRIVATE: { retryable: false, severity: "info" },
+
+	// gateway
+	INTERNAL_ERROR: { retryable: false, severity: "fatal" },
+}
+
+// { code, retryable, severity } for `code`; throws on a code missing from ERROR_CODES
+export function errorCode(code) {
+	const def = ERROR_CODES[code]
+	if (!def) throw new Error(`Unknown error code: ${code}`)
+	return { code, retryable: def.retryable, severity: def.severity }
+}
+
+// One `errors[]` entry of a pipeline endpoint
+export function pipelineError(code, step, message, context = {}) {
+	return { ...errorCode(code), step, message, context }
+}
+
+// True when an entry makes the result incomplete (fatal or error); warnings and info do not
+export function hasFailures(errors) {
+	return errors.some((e) => e.severity === "fatal" || e.severity === "error")
+}
+
+// Code for a non-2xx upstream result (see roblox-client request())
+export function upstreamStatusCode(result) {
+	const status = result?.status
+	if (result?.csrfFailed) return "CSRF_BOOTSTRAP_FAILED"
+	if (status === 429) return "UPSTREAM_RATE_LIMITED"
+	if (status === 401 || status === 403) return "UPSTREAM_UNAUTHORIZED"
+	if (status === 404) return "UPSTREAM_NOT_FOUND"
+	if (status === 408 || status >= 500) return "UPSTREAM_UNAVAILABLE"
+	return "UPSTREAM_ERROR"
+}
+
+// Code for an upstream call that threw (no HTTP response)
+export function fetchFailureCode(err) {
+	if (err?.code === "INVALID_URL" || err?.code === "HOST_NOT_ALLOWED") return err.code
+	return String(err?.name) === "AbortError" ? "TIMEOUT" : "UPSTREAM_FETCH_FAILED"
+}
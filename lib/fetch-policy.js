@@ -0,0 +1,337 @@
+// lib/fetch-policy.js
+// Declarative path + method policy for /api/fetch-url
+//
+// Each host lists ordered rules. The first rule whose methods AND one of its paths match decides:
+// - effect "allow" (default): forward, attaching the cookie and/or API key only if the rule says so
+// - effect "deny": block with 403 naming the rule
+// No matching rule -> blocked by the implicit "<host>#default-deny" rule.
+// Hosts missing from FETCH_POLICY are not reachable at all.
+//
+// Path patterns are globs (`*` = one path segment, `**` = anything, including "/") or RegExp.
+// `/**` is only used for hosts read without credentials: a rule that attaches the cookie or the API
+// key names its paths, so nothing reaches the gateway account's own balance, inventory or settings.
+// The README host table is generated from this file: `npm run docs:policy`.
+
+const READ = ["GET"]
+const WRITE = ["POST", "PATCH", "DELETE"]
+
+// Public read-only APIs: no credentials needed
+const publicRead = (id, paths = ["/**"]) => ({ id, methods: READ, paths, cookie: false, apiKey: false })
+
+export const FETCH_POLICY = {
+	"apis.roblox.com": {
+		note: "Open Cloud + web APIs",
+		rules: [
+			{ id: "cloud-read", methods: READ, paths: ["/cloud/**"], cookie: false, apiKey: true },
+			{
+				id: "web-read",
+				methods: READ,
+				paths: [
+					"/universes/v1/places/*/universe",
+					"/game-passes/v1/universes/*/game-passes",
+					"/developer-products/v2/universes/*/developer-products/creator",
+				],
+				cookie: true,
+				apiKey: false,
+			},
+			{ id: "cloud-v2-write", methods: WRITE, paths: ["/cloud/v2/**"], cookie: false, apiKey: true },
+		],
+	},
+	"accountinformation.roblox.com": {
+		note: "public profile fields only",
+		rules: [publicRead("public-profile", ["/v1/users/*/roblox-badges", "/v1/users/*/promotion-channels"])],
+	},
+	"accountsettings.roblox.com": {
+		note: "every endpoint acts on the gateway's own account",
+		rules: [],
+	},
+	"adconfiguration.roblox.com": {
+		note: "every endpoint acts on the gateway's own ads",
+		rules: [],
+	},
+	"assetdelivery.roblox.com": {
+		note: "asset download",
+		rules: [{ id: "read", methods: READ, paths: ["/v1/asset", "/v1/assetId/*", "/v2/asset", "/v2/assetId/*"], cookie: true, apiKey: false }],
+	},
+	"auth.roblox.com": {
+		note: "metadata/validation only; login, logout and session endpoints are denied",
+		rules: [
+			{ id: "session-deny", effect: "deny", methods: [...READ, ...WRITE], paths: ["/v*/login", "/v*/logout", "/v*/logoutfromallsessionsandreauthenticate", "/v*/signup", "/v*/session/**"] },
+			publicRead("public-metadata", ["/v1/usernames/validate", "/v2/metadata", "/v2/passwords/validate"]),
+		],
+	},
+	"avatar.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"badges.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"catalog.roblox.com": {
+		note: "search + item details (details is a read-only POST)",
+		rules: [
+			publicRead("read"),
+			{ id: "item-details", methods: ["POST"], paths: ["/v1/catalog/items/details"], cookie: true, apiKey: false },
+		],
+	},
+	"clientsettings.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"contacts.roblox.com": {
+		note: "personal contact data",
+		rules: [],
+	},
+	"develop.roblox.com": {
+		note: "universe/place configuration",
+		rules: [
+			{
+				id: "read",
+				methods: READ,
+				paths: [
+					"/v1/universes/*",
+					"/v1/universes/multiget",
+					"/v1/universes/*/places",
+					"/v1/universes/*/configuration",
+					"/v2/universes/*/configuration",
+					"/v1/places/*",
+					"/v2/places/*",
+				],
+				cookie: true,
+				apiKey: false,
+			},
+			{ id: "universe-config-write", methods: ["PATCH", "POST"], paths: ["/v1/universes/*/configuration", "/v2/universes/*/configuration", "/v1/places/*"], cookie: true, apiKey: false },
+		],
+	},
+	"economy.roblox.com": {
+		note: "resale and product info; the gateway account's currency and transactions are not reachable",
+		rules: [
+			publicRead("product-info", [
+				"/v1/assets/*/resale-data",
+				"/v1/assets/*/resellers",
+				"/v2/assets/*/details",
+				"/v1/game-pass/*/game-pass-product-info",
+				"/v2/developer-products/*/info",
+			]),
+		],
+	},
+	"economycreatorstats.roblox.com": {
+		note: "universe stats",
+		rules: [{ id: "universe-stats", methods: READ, paths: ["/v1/universes/*/stats"], cookie: true, apiKey: false }],
+	},
+	"engagementpayouts.roblox.com": {
+		note: "universe payout history",
+		rules: [{ id: "payout-history", methods: READ, paths: ["/v1/universe-payout-history"], cookie: true, apiKey: false }],
+	},
+	"followings.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"friends.roblox.com": {
+		note: "read-only; friend requests are not proxied",
+		rules: [publicRead("read")],
+	},
+	"gameinternationalization.roblox.com": {
+		note: "per-game localized metadata",
+		rules: [
+			{
+				id: "game-read",
+				methods: READ,
+				paths: [
+					"/v1/name-description/games/*",
+					"/v1/supported-languages/games/*",
+					"/v1/source-language/games/*",
+					"/v1/game-icon/games/*",
+					"/v1/game-thumbnails/games/*/images",
+				],
+				cookie: true,
+				apiKey: false,
+			},
+		],
+	},
+	"games.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"groups.roblox.com": {
+		note: "public group reads + group payouts",
+		rules: [
+			publicRead("read", [
+				"/v1/groups/*",
+				"/v2/groups",
+				"/v1/groups/*/roles",
+				"/v1/groups/*/roles/*/users",
+				"/v1/groups/*/users",
+				"/v1/users/*/groups/roles",
+				"/v2/users/*/groups/roles",
+			]),
+			{ id: "group-payouts", methods: ["POST"], paths: ["/v1/groups/*/payouts", "/v1/groups/*/payouts/recurring"], cookie: true, apiKey: false },
+		],
+	},
+	"inventory.roblox.com": {
+		note: "public inventories only (no cookie, so a private inventory stays private)",
+		rules: [
+			publicRead("read", [
+				"/v1/users/*/can-view-inventory",
+				"/v1/users/*/items/*/*",
+				"/v1/users/*/assets/collectibles",
+				"/v2/users/*/inventory",
+				"/v2/users/*/inventory/*",
+			]),
+		],
+	},
+	"itemconfiguration.roblox.com": {
+		note: "creations listing + asset configuration",
+		rules: [
+			{ id: "creations-read", methods: READ, paths: ["/v1/creations/get-assets"], cookie: true, apiKey: false },
+			{ id: "asset-config-write", methods: ["POST", "PATCH"], paths: ["/v1/assets/*/release", "/v1/assets/*/update-price", /^\/v1\/collectibles\/[^/]+$/], cookie: true, apiKey: false },
+		],
+	},
+	"locale.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"localizationtables.roblox.com": {
+		note: "localization table reads",
+		rules: [
+			{
+				id: "table-read",
+				methods: READ,
+				paths: ["/v1/localization-table/tables/*", "/v1/localization-table/tables/*/entries", "/v1/localization-table/tables/*/entry-count"],
+				cookie: true,
+				apiKey: false,
+			},
+		],
+	},
+	"notifications.roblox.com": {
+		note: "gateway account notifications",
+		rules: [],
+	},
+	"premiumfeatures.roblox.com": {
+		note: "premium status lookup",
+		rules: [publicRead("read", ["/v1/users/*/validate-membership"])],
+	},
+	"presence.roblox.com": {
+		note: "presence lookup (read-only POST)",
+		rules: [{ id: "presence-lookup", methods: ["POST"], paths: ["/v1/presence/users", "/v1/presence/last-online"], cookie: true, apiKey: false }],
+	},
+	"privatemessages.roblox.com": {
+		note: "gateway account inbox",
+		rules: [],
+	},
+	"publish.roblox.com": {
+		note: "uploads act as the gateway account",
+		rules: [],
+	},
+	"thumbnails.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"thumbnailsresizer.roblox.com": {
+		note: "read-only",
+		rules: [publicRead("read")],
+	},
+	"users.roblox.com": {
+		note: "user lookup (username lookup is a read-only POST)",
+		rules: [
+			publicRead("read"),
+			{ id: "user-lookup", methods: ["POST"], paths: ["/v1/usernames/users", "/v1/users"], cookie: false, apiKey: false },
+		],
+	},
+}
+
+export const POLICY_HOSTS = Object.keys(FETCH_POLICY)
+
+function globToRegExp(glob) {
+	let re = ""
+	for (let i = 0; i < glob.length; i += 1) {
+		const c = glob[i]
+		if (c === "*") {
+			if (glob[i + 1] === "*") {
+				re += ".*"
+				i += 1
+			} else {
+				re += "[^/]*"
+			}
+		} else {
+			re += c.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+		}
+	}
+	return new RegExp(`^${re}$`)
+}
+
+function compilePattern(pattern) {
+	return pattern instanceof RegExp ? pattern : globToRegExp(pattern)
+}
+
+const compiled = new Map()
+for (const [host, entry] of Object.entries(FETCH_POLICY)) {
+	compiled.set(
+		host,
+		entry.rules.map((rule) => ({
+			...rule,
+			effect: rule.effect || "allow",
+			matchers: rule.paths.map(compilePattern),
+		}))
+	)
+}
+
+function describePattern(pattern) {
+	return pattern instanceof RegExp ? `/${pattern.source}/` : pattern
+}
+
+// Returns { allowed, rule, reason, cookie, apiKey }.
+// `rule` is "<host>#<id>" so the 403 body and logs name exactly what decided.
+export function evaluatePolicy(method, urlObj) {
+	const host = urlObj.host
+	const path = urlObj.pathname
+	const rules = compiled.get(host)
+
+	if (!rules) {
+		return { allowed: false, rule: "host-not-allowed", reason: `Host ${host} is not in the policy`, cookie: false, apiKey: false }
+	}
+
+	for (const rule of rules) {
+		if (!rule.methods.includes(method)) continue
+		if (!rule.matchers.some((m) => m.test(path))) continue
+
+		const ruleName = `${host}#${rule.id}`
+		if (rule.effect === "deny") {
+			return { allowed: false, rule: ruleName, reason: `Denied by ${ruleName}`, cookie: false, apiKey: false }
+		}
+
+		return {
+			allowed: true,
+			rule: ruleName,
+			reason: `Allowed by ${ruleName}`,
+			cookie: rule.cookie === true,
+			apiKey: rule.apiKey === true,
+		}
+	}
+
+	const ruleName = `${host}#default-deny`
+	return { allowed: false, rule: ruleName, reason: `No rule allows ${method} ${path}`, cookie: false, apiKey: false }
+}
+
+// Markdown table for the README (see scripts/generate-policy-docs.js)
+export function renderPolicyMarkdown() {
+	const lines = ["| Host | Methods | Paths | Cookie | API key | Notes |", "| --- | --- | --- | --- | --- | --- |"]
+
+	for (const [host, entry] of Object.entries(FETCH_POLICY)) {
+		if (entry.rules.length === 0) {
+			lines.push(`| ${host} | — | _closed_ | — | — | ${entry.note || ""} |`)
+			continue
+		}
+
+		for (const rule of entry.rules) {
+			const effect = rule.effect === "deny" ? "**deny** " : ""
+			const paths = rule.paths.map((p) => `\`${describePattern(p)}\``).join("<br>")
+			const cookie = rule.effect === "deny" ? "—" : rule.cookie ? "yes" : "no"
+			const apiKey = rule.effect === "deny" ? "—" : rule.apiKey ? "yes" : "no"
+			lines.push(`| ${host} | ${effect}${rule.methods.join(", ")} | ${paths} | ${cookie} | ${apiKey} | ${entry.note || ""} |`)
+		}
+	}
+
+	return lines.join("\n")
+}
@@ -0,0 +1,102 @@
+// lib/games-discovery.js
+// Experience discovery shared by get-donation-asset and get-gamepass
+//
+// - follows nextPageCursor on the user's games list
+// - optionally (includeGroupGames) adds games of every group the user OWNS
+// Every place carries its provenance: { type: "User", id } or { type: "Group", id, name }.
+
+const GAMES_PAGE_LIMIT = 50
+
+function getNextCursor(obj) {
+	const c = obj?.nextPageCursor
+	if (c == null) return null
+	const s = String(c).trim()
+	return s.length > 0 ? s : null
+}
+
+// Collects up to `maxPlaces` root places from a paged games endpoint.
+async function collectGamePlaces(getJson, baseUrl, step, context, source, { maxPlaces, maxGamesPages, places, seen }) {
+	let cursor = null
+	for (let page = 0; page < maxGamesPages; page += 1) {
+		if (places.length >= maxPlaces) return
+
+		const url = baseUrl + (cursor ? `&cursor=${encodeURIComponent(cursor)}` : "")
+		const json = await getJson(url, step, { ...context, page })
+		if (!json) return
+
+		const items = Array.isArray(json?.data) ? json.data : []
+		for (const item of items) {
+			const pid = item?.rootPlace?.id
+			if (typeof pid !== "number" || !Number.isFinite(pid)) continue
+			if (seen.has(pid)) continue
+			seen.add(pid)
+			places.push({ placeId: pid, source })
+			if (places.length >= maxPlaces) return
+		}
+
+		cursor = getNextCursor(json)
+		if (!cursor) return
+	}
+}
+
+// Groups where `userId` is the owner (groups API roles listing).
+export async function listOwnedGroups(getJson, userId) {
+	const url = `https://groups.roblox.com/v1/users/${userId}/groups/roles`
+	const json = await getJson(url, "groups.owned", { userId })
+	if (!json) return []
+
+	const rows = Array.isArray(json?.data) ? json.data : []
+	const groups = []
+	for (const row of rows) {
+		const group = row?.group
+		const groupId = group?.id
+		if (typeof groupId !== "number" || !Number.isFinite(groupId)) continue
+
+		const ownerId = group?.owner?.userId
+		const isOwner = ownerId === userId || (ownerId == null && row?.role?.rank === 255)
+		if (!isOwner) continue
+
+		groups.push({ id: groupId, name: typeof group?.name === "string" ? group.name : "" })
+	}
+	return groups
+}
+
+// Returns { places: [{ placeId, source }], groups: [{ id, name }] }.
+// User games come first so a place is attributed to the user when both lists contain it.
+export async function discoverPlaces(getJson, { userId, includeGroupGames, maxPlaces, maxGamesPages }) {
+	const places = []
+	const seen = new Set()
+	const opts = { maxPlaces, maxGamesPages, places, seen }
+
+	const userUrl = `https://games.roblox.com/v2/users/${userId}/games?sortOrder=Asc&limit=${GAMES_PAGE_LIMIT}`
+	await collectGamePlaces(getJson, userUrl, "games.list", { userId }, { type: "User", id: userId }, opts)
+
+	let groups = []
+	if (includeGroupGames) {
+		groups = await listOwnedGroups(getJson, userId)
+
+		for (const group of groups) {
+			if (places.length >= maxPlaces) break
+
+			const groupUrl =
+				`https://games.roblox.com/v2/groups/${group.id}/gamesV2` +
+				`?accessFilter=Public&sortOrder=Asc&limit=${GAMES_PAGE_LIMIT}`
+			await collectGamePlaces(
+				getJson,
+				groupUrl,
+				"games.listGroup",
+				{ userId, groupId: group.id },
+				{ type: "Group", id: group.id, name: group.name },
+				opts
+			)
+		}
+	}
+
+	return { places, groups }
+}
+
+// Extra entry fields for assets found through a group-owned experience
+export function provenanceFields(source) {
+	if (!source || source.type !== "Group") return {}
+	return { GroupId: source.id, GroupName: source.name || "" }
+}
@@ -0,0 +1,70 @@
+// lib/http-status.js
+// One HTTP status policy for every JSON route
+//
+// - 4xx: the caller's request is at fault (400 validation, 401 auth, 403 policy, 404 unknown id,
+//        405 method, 429 rate limit)
+// - 502: Roblox failed or answered with an error the gateway could not work around (including a
+//        401 / 403 to the gateway's own Roblox credentials)
+// - 503: Roblox rate-limited the gateway (upstream 429), with Retry-After
+// - 504: Roblox (or the request's time budget) timed out before anything useful came back
+// - 207: a pipeline or batch returned some data but not all of it (`errors` / `partial` say what is missing)
+// - 500: the gateway itself failed
+//
+// Legacy mode answers every JSON response with 200 for clients that cannot read a non-200 body
+// (Roblox HttpService:GetAsync throws on them); the status the policy picked is still sent as
+// X-Gateway-Status. Raw passthrough (`fetch-url?mode=raw`) is never rewritten.
+//
+// Opt in per request with `?legacyStatus=1` or the `X-Legacy-Status: 1` header.
+
+import { pauseMsFor } from "./upstream-throttle.js"
+
+export const LEGACY_STATUS_HEADER = "x-legacy-status"
+
+const TRUE_VALUES = ["1", "true", "yes"]
+
+function firstValue(value) {
+	return Array.isArray(value) ? value[0] : value
+}
+
+export function wantsLegacyStatus(req) {
+	const flag = firstValue(req?.query?.legacyStatus) ?? firstValue(req?.headers?.[LEGACY_STATUS_HEADER])
+	return flag != null && TRUE_VALUES.includes(String(flag).trim().toLowerCase())
+}
+
+// The status to send for `status`: itself, or 200 (plus X-Gateway-Status) for legacy callers
+export function statusFor(req, res, status) {
+	if (!wantsLegacyStatus(req)) return status
+	res.setHeader("X-Gateway-Status", String(status))
+	return 200
+}
+
+// Pipelines (get-donation-asset / get-gamepass) and batches: 200 when complete; 207 when something
+// failed or was cut short but there is data; otherwise 502 (upstream errors) or 504 (ran out of time)
+export function pipelineStatus({ failed, hasData, timedOut = false }) {
+	if (!failed && !timedOut) return 200
+	if (hasData) return 207
+	return failed ? 502 : 504
+}
+
+// fetch-url envelope (and the universe lookup): the proxied call's own 4xx is the caller's, except the
+// ones a client would read as the gateway's: upstream 401 / 403 become 502 and upstream 429 becomes 503,
+// so they are never mistaken for caller auth or the inbound rate limit. Roblox 5xx becomes 502.
+// The upstream status itself stays in the body (`upstreamStatus` / `status`).
+export function proxiedStatus(upstreamStatus) {
+	if (upstreamStatus === 401 || upstreamStatus === 403) return 502
+	if (upstreamStatus === 429) return 503
+	if (upstreamStatus >= 400 && upstreamStatus < 500) return upstreamStatus
+	if (upstreamStatus >= 500 || upstreamStatus === 0) return 502
+	return 200
+}
+
+// Retry-After seconds for a 503 from an upstream 429: Roblox's own Retry-After / x-ratelimit-reset, else 1
+export function upstreamRetryAfterSec(rate, now = Date.now()) {
+	const ms = pauseMsFor(rate, now)
+	return Math.max(1, Math.ceil((ms ?? 0) / 1000))
+}
+
+// Network-level failure of an upstream call: 504 for timeouts (AbortError), 502 otherwise
+export function networkFailureStatus(err) {
+	return String(err?.name) === "AbortError" ? 504 : 502
+}
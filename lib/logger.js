@@ -0,0 +1,223 @@
+// lib/logger.js
+// Structured JSON logs and request tracing for every /api handler
+//
+// One JSON object per line, so Vercel log drains can filter on fields:
+//   {"time":"…","level":"warn","route":"GetGamepass","requestId":"…","traceId":"…","msg":"FAIL step=…","step":"games.list","status":503,"durationMs":120}
+// Fields are passed explicitly (`log.warn(msg, { step, status })`); `key=value` pairs already in the
+// message are lifted into fields too (`ms=` becomes `durationMs`), explicit fields win.
+//
+// Every record goes through redact(): keys that name credentials (cookie, apiKey, token, secret,
+// authorization, signature, …) are masked, and string values are scrubbed of .ROBLOSECURITY
+// cookies, Bearer tokens, `name=value` / `name: value` pairs under such names (header dumps, query
+// strings) and every secret configured in the env vars below, however short. Secrets shorter than
+// MIN_SUBSTRING_SECRET_LENGTH are only replaced where they stand alone, so a short token does not
+// shred every word that happens to contain it.
+//
+// Tracing: an inbound W3C `traceparent` is continued (same trace id, new span) and a valid
+// `X-Request-Id` is kept as the request id; otherwise both are generated. requestLogger() echoes the
+// request id in the X-Request-Id response header, and the Roblox client forwards `traceparent` upstream.
+//
+// Env vars (Vercel):
+// - DEBUG_LOG_ALL=1   debug records
+// - Secrets scrubbed from every record: ROBLOX_SECURITY_COOKIE, ROBLOX_OPEN_CLOUD_KEY, ROBLOX_CREDENTIALS
+//   (cookie / apiKey of every slot), GATEWAY_TOKENS, GATEWAY_HMAC_SECRET, CURSOR_SECRET, KV_REST_API_TOKEN
+
+import { randomBytes, randomUUID } from "node:crypto"
+
+export const REQUEST_ID_HEADER = "X-Request-Id"
+export const REDACTED = "[REDACTED]"
+
+const LEVELS = { debug: "log", info: "log", warn: "warn", error: "error" }
+
+// numbers / booleans under such keys (cookieLen, apiKey: true) say nothing about the value and are kept
+const SECRET_KEY = /cookie|api[-_]?key|token|secret|password|authorization|signature|roblosecurity/i
+const SECRET_PATTERNS = [
+	[/\.ROBLOSECURITY=[^;\s"']+/gi, `.ROBLOSECURITY=${REDACTED}`],
+	[/_\|WARNING:-DO-NOT-SHARE-THIS[^;\s"']*/g, REDACTED],
+	[/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+	// "x-api-key: …", "token=…"; numbers, booleans and an already-scrubbed "Bearer …" are kept
+	[
+		/\b([\w-]*(?:cookie|api[-_]?key|token|secret|password|authorization|signature|roblosecurity)[\w-]*)(\s*[:=]\s*)(?!(?:-?\d+(?:\.\d+)?|true|false)(?![^\s,;&"'])|(?:Bearer|Basic)\s)("[^"]*"|[^\s,;&"']+)/gi,
+		`$1$2${REDACTED}`,
+	],
+]
+const MIN_SUBSTRING_SECRET_LENGTH = 8
+// characters that can be part of a token, for the stand-alone match of short secrets
+const TOKEN_CHAR = "[\\w.~+/=-]"
+const MAX_DEPTH = 6
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/
+const TRACEPARENT_RE = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/
+
+// ---- Redaction ----
+
+let secretsKey = null
+let secrets = []
+let shortSecretPatterns = []
+
+const SECRET_ENV_VARS = [
+	"ROBLOX_SECURITY_COOKIE",
+	"ROBLOX_OPEN_CLOUD_KEY",
+	"ROBLOX_CREDENTIALS",
+	"GATEWAY_TOKENS",
+	"GATEWAY_HMAC_SECRET",
+	"CURSOR_SECRET",
+	"KV_REST_API_TOKEN",
+]
+
+function credentialSecrets(raw) {
+	try {
+		const list = JSON.parse(raw)
+		return Array.isArray(list) ? list.flatMap((e) => [e?.cookie, e?.apiKey]) : []
+	} catch {
+		return []
+	}
+}
+
+// Secret values configured right now, longest first (recomputed when the env changes)
+function knownSecrets() {
+	const key = SECRET_ENV_VARS.map((name) => process.env[name] || "").join("\n")
+	if (key === secretsKey) return secrets
+
+	const values = [
+		process.env.ROBLOX_SECURITY_COOKIE,
+		String(process.env.ROBLOX_SECURITY_COOKIE || "").replace(/^\s*\.?ROBLOSECURITY=/i, ""),
+		process.env.ROBLOX_OPEN_CLOUD_KEY,
+		...credentialSecrets(process.env.ROBLOX_CREDENTIALS || ""),
+		...String(process.env.GATEWAY_TOKENS || "").split(","),
+		process.env.GATEWAY_HMAC_SECRET,
+		process.env.CURSOR_SECRET,
+		process.env.KV_REST_API_TOKEN,
+	]
+		.map((v) => String(v ?? "").trim().replace(/^["']|["']$/g, ""))
+		.filter((v) => v !== "")
+
+	const unique = Array.from(new Set(values)).sort((a, b) => b.length - a.length)
+	secretsKey = key
+	secrets = unique.filter((v) => v.length >= MIN_SUBSTRING_SECRET_LENGTH)
+	shortSecretPatterns = unique
+		.filter((v) => v.length < MIN_SUBSTRING_SECRET_LENGTH)
+		.map((v) => new RegExp(`(?<!${TOKEN_CHAR})${v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?!${TOKEN_CHAR})`, "g"))
+	return secrets
+}
+
+function scrub(text) {
+	let out = text
+	for (const [pattern, replacement] of SECRET_PATTERNS) out = out.replace(pattern, replacement)
+	for (const secret of knownSecrets()) out = out.split(secret).join(REDACTED)
+	for (const pattern of shortSecretPatterns) out = out.replace(pattern, REDACTED)
+	return out
+}
+
+// Copy of `value` safe to log: credential-named keys masked, strings scrubbed
+export function redact(value, depth = 0) {
+	if (typeof value === "string") return scrub(value)
+	if (value == null || typeof value !== "object") return value
+	if (depth >= MAX_DEPTH) return "[Truncated]"
+	if (value instanceof Error) return scrub(String(value))
+	if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1))
+
+	const out = {}
+	for (const [key, v] of Object.entries(value)) {
+		const masked = SECRET_KEY.test(key) && v != null && typeof v !== "number" && typeof v !== "boolean"
+		out[key] = masked ? REDACTED : redact(v, depth + 1)
+	}
+	return out
+}
+
+// ---- Fields ----
+
+const FIELD_ALIASES = { ms: "durationMs" }
+const RESERVED_FIELDS = ["time", "level", "route", "requestId", "traceId", "spanId", "msg"]
+
+// "FAIL step=games.list status=503 ms=120" -> { step: "games.list", status: 503, durationMs: 120 }
+export function messageFields(msg) {
+	const fields = {}
+	for (const [, key, raw] of String(msg).matchAll(/(?:^|\s)([A-Za-z][\w.]*)=("[^"]*"|\{[^}]*\}|[^\s]+)/g)) {
+		const value = raw.startsWith('"') ? raw.slice(1, -1) : raw
+		let parsed = value
+		if (/^-?\d+(\.\d+)?$/.test(value)) parsed = Number(value)
+		else if (value === "true" || value === "false") parsed = value === "true"
+		fields[FIELD_ALIASES[key] || key] = parsed
+	}
+	return fields
+}
+
+// ---- Tracing ----
+
+function randomHex(bytes) {
+	return randomBytes(bytes).toString("hex")
+}
+
+function headerValue(headers, name) {
+	const raw = headers?.[name] ?? headers?.[name.toLowerCase()]
+	return Array.isArray(raw) ? raw[0] : raw
+}
+
+// { requestId, traceId, spanId, parentSpanId, flags, traceparent } for one inbound request
+export function readTraceContext(headers = {}) {
+	const inboundId = String(headerValue(headers, "x-request-id") ?? "").trim()
+	const requestId = REQUEST_ID_RE.test(inboundId) ? inboundId : randomUUID()
+
+	const match = TRACEPARENT_RE.exec(String(headerValue(headers, "traceparent") ?? "").trim().toLowerCase())
+	const valid = match && match[1] !== "ff" && !/^0+$/.test(match[2]) && !/^0+$/.test(match[3])
+
+	const traceId = valid ? match[2] : randomHex(16)
+	const spanId = randomHex(8)
+	const flags = valid ? match[4] : "01"
+	return {
+		requestId,
+		traceId,
+		spanId,
+		parentSpanId: valid ? match[3] : null,
+		flags,
+		traceparent: `00-${traceId}-${spanId}-${flags}`,
+	}
+}
+
+// ---- Logger ----
+
+// log.info(msg, fields) etc. plus child(fields) for a logger that adds `fields` to every record.
+// trace: readTraceContext() result, just { requestId }, or nothing for module-level logs.
+export function createLogger(route, trace = {}, baseFields = {}) {
+	const requestId = trace.requestId ?? null
+	const base = {
+		route,
+		...(requestId ? { requestId } : {}),
+		...(trace.traceId ? { traceId: trace.traceId, spanId: trace.spanId } : {}),
+		...baseFields,
+	}
+
+	function write(level, msg, fields) {
+		if (level === "debug" && process.env.DEBUG_LOG_ALL !== "1") return
+		const lifted = messageFields(msg)
+		for (const key of RESERVED_FIELDS) delete lifted[key]
+		const record = redact({
+			time: new Date().toISOString(),
+			level,
+			...base,
+			msg: String(msg),
+			...lifted,
+			...(fields || {}),
+		})
+		console[LEVELS[level]](JSON.stringify(record))
+	}
+
+	return {
+		requestId,
+		traceId: trace.traceId ?? null,
+		traceparent: trace.traceparent ?? null,
+		debug: (msg, fields) => write("debug", msg, fields),
+		info: (msg, fields) => write("info", msg, fields),
+		warn: (msg, fields) => write("warn", msg, fields),
+		error: (msg, fields) => write("error", msg, fields),
+		child: (fields) => createLogger(route, { ...trace, requestId }, { ...baseFields, ...fields }),
+	}
+}
+
+// Logger for one handler call: continues the inbound trace and returns the request id in X-Request-Id
+export function requestLogger(req, res, route) {
+	const trace = readTraceContext(req?.headers)
+	res?.setHeader?.(REQUEST_ID_HEADER, trace.requestId)
+	return createLogger(route, trace)
+}
@@ -0,0 +1,603 @@
+// lib/openapi.js
+// OpenAPI 3.1 description of every /api route, served by api/openapi.json.js
+//
+// Built from the same constants the handlers use (asset type registry, error codes, credential
+// strategies, batch limits), so enums cannot drift. Response shapes are checked against real
+// handler output in test/openapi.test.js; change a handler's JSON and its schema together.
+//
+// Schemas are JSON Schema 2020-12 (OpenAPI 3.1): nullable values are `type: [..., "null"]`.
+
+import { ASSET_TYPE_GROUPS, ASSET_TYPE_NAMES, CLASSIC_CLOTHING_TYPES } from "./asset-types.js"
+import { CREDENTIAL_STRATEGIES } from "./credential-pool.js"
+import { ERROR_CODES, ERROR_SEVERITIES } from "./error-codes.js"
+import { LEGACY_STATUS_HEADER } from "./http-status.js"
+import { QUERY_WARNINGS_HEADER, QUERY_WARNING_CODES } from "./query.js"
+import { MAX_BATCH_PLACE_IDS } from "./universe-map.js"
+
+export const OPENAPI_VERSION = "3.1.0"
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const nullable = (type) => ({ type: [type, "null"] })
+const int = (extra = {}) => ({ type: "integer", ...extra })
+const str = (extra = {}) => ({ type: "string", ...extra })
+const bool = { type: "boolean" }
+
+function object(properties, required = Object.keys(properties), extra = {}) {
+	return { type: "object", properties, required, additionalProperties: false, ...extra }
+}
+
+function query(name, schema, description, required = false) {
+	return { name, in: "query", required, description, schema }
+}
+
+function jsonResponse(description, schema, headers) {
+	return { description, content: { "application/json": { schema } }, ...(headers ? { headers } : {}) }
+}
+
+// ---- Shared schemas ----
+
+const ERROR_FIELDS = {
+	code: ref("ErrorCode"),
+	retryable: bool,
+	severity: ref("ErrorSeverity"),
+}
+
+const assetBucket = { type: "object", additionalProperties: ref("AssetEntry") }
+
+const schemas = {
+	ErrorCode: { type: "string", enum: Object.keys(ERROR_CODES), description: "Stable error code (lib/error-codes.js)" },
+	ErrorSeverity: { type: "string", enum: ERROR_SEVERITIES },
+
+	// { ok: false, error, code, ... } of single-result routes; extra fields depend on the error
+	ErrorResponse: {
+		type: "object",
+		properties: {
+			ok: { const: false },
+			error: str(),
+			...ERROR_FIELDS,
+			reason: str({ description: "401: why the caller was rejected; 403: the policy decision" }),
+			message: str(),
+			retryAfterSec: int({ description: "429 only" }),
+			rule: str({ description: "fetch-url: the access policy rule involved" }),
+			errors: { type: "array", items: ref("QueryProblem"), description: "400: every rejected query parameter" },
+			warnings: { type: "array", items: ref("QueryWarning") },
+		},
+		required: ["ok", "error", "code", "retryable", "severity"],
+	},
+
+	// lib/query.js
+	QueryWarning: object(
+		{
+			param: str(),
+			code: str({ enum: QUERY_WARNING_CODES }),
+			message: str(),
+			value: { description: "Value as sent" },
+			used: { description: "Value used instead" },
+		},
+		["param", "code", "message"]
+	),
+	QueryProblem: object(
+		{
+			param: str(),
+			code: str({ enum: QUERY_WARNING_CODES, description: "Strict mode: the warning that was rejected" }),
+			message: str(),
+			value: {},
+		},
+		["param", "message"]
+	),
+	QueryParams: { type: "object", description: "Effective query parameters (defaults applied, values clamped)" },
+
+	PipelineError: object({
+		...ERROR_FIELDS,
+		step: str({ description: "Pipeline step, e.g. gamepasses.list" }),
+		message: str(),
+		context: { type: "object", description: "Step-specific details (ids, upstreamStatus, bodySnippet, ...)" },
+	}),
+
+	AssetEntry: object(
+		{
+			AssetName: str(),
+			AssetType: str({ enum: ["GAMEPASS", "DEVPRODUCT", ...ASSET_TYPE_NAMES] }),
+			AssetTypeId: int({ description: "Catalog AssetTypeId (34 for game passes, 0 for developer products)" }),
+			AssetPrice: int({ minimum: 1, description: "Robux" }),
+			ProductId: int({ description: "Developer products only" }),
+			UniverseId: int({ description: "Developer products only" }),
+			GroupId: int({ description: "Found through a group-owned experience" }),
+			GroupName: str(),
+		},
+		["AssetName", "AssetType", "AssetTypeId", "AssetPrice"]
+	),
+
+	Skipped: object({ step: str(), count: int({ minimum: 1 }) }),
+
+	DonationAssetResponse: object(
+		{
+			ok: bool,
+			partial: bool,
+			userId: int(),
+			summary: object({
+				places: int(),
+				universes: int(),
+				groups: int(),
+				gamepasses: int(),
+				devproducts: int(),
+				clothing: int({ description: "Classic clothing entries" }),
+				assets: int({ description: "Entries across every inventory asset type" }),
+				assetTypes: { type: "object", additionalProperties: int() },
+			}),
+			Data: object(
+				Object.fromEntries(["GAMEPASS", "DEVPRODUCT", ...ASSET_TYPE_NAMES].map((key) => [key, assetBucket])),
+				[],
+				{ description: "Buckets keyed by game pass / product / asset id. Inventory buckets follow ?assetTypes=" }
+			),
+			errors: { type: "array", items: ref("PipelineError") },
+			skipped: { type: "array", items: ref("Skipped") },
+			nextCursor: nullable("string"),
+			params: ref("QueryParams"),
+			warnings: { type: "array", items: ref("QueryWarning") },
+			debug: object({ serverTime: str({ format: "date-time" }), region: str(), budgetMs: int() }),
+		},
+		["ok", "partial", "userId", "summary", "Data", "errors", "skipped", "nextCursor", "params", "warnings"]
+	),
+
+	GamepassResponse: object(
+		{
+			ok: bool,
+			userId: int(),
+			summary: object({ places: int(), universes: int(), groups: int(), gamepasses: int(), clothing: { const: 0 } }),
+			Data: object(
+				Object.fromEntries(["GAMEPASS", ...CLASSIC_CLOTHING_TYPES].map((key) => [key, assetBucket])),
+				[],
+				{ description: "Clothing buckets are always empty (kept for get-donation-asset compatibility)" }
+			),
+			errors: { type: "array", items: ref("PipelineError") },
+			nextCursor: nullable("string"),
+			params: ref("QueryParams"),
+			warnings: { type: "array", items: ref("QueryWarning") },
+		},
+		["ok", "userId", "summary", "Data", "errors", "nextCursor", "params", "warnings"]
+	),
+
+	RedirectHop: object(
+		{
+			status: int(),
+			host: str(),
+			path: str(),
+			blocked: str({ enum: ["max_redirects", "host_not_allowed", "policy"] }),
+		},
+		["status", "host", "path"]
+	),
+
+	AuthSent: object(
+		{
+			tried: { type: "array", items: str({ enum: ["apiKey", "cookie"] }) },
+			cookieLen: int(),
+			apiKeyLen: int(),
+			slot: { oneOf: [object({ index: int(), name: str() }), { type: "null" }] },
+			csrf: str({ enum: ["none", "cached", "negotiated"] }),
+			rule: str(),
+		},
+		["tried", "cookieLen", "apiKeyLen", "slot", "csrf"]
+	),
+
+	FetchUrlEnvelope: object(
+		{
+			ok: bool,
+			...ERROR_FIELDS,
+			error: str(),
+			upstreamStatus: int({ description: "0 when Roblox sent no response" }),
+			upstreamContentType: str(),
+			json: { description: "Parsed upstream body when it is JSON, otherwise null" },
+			text: str(),
+			redirects: { type: "array", items: ref("RedirectHop") },
+			authSent: ref("AuthSent"),
+			params: ref("QueryParams"),
+			warnings: { type: "array", items: ref("QueryWarning") },
+		},
+		["ok", "upstreamStatus", "upstreamContentType", "json", "text", "redirects", "authSent"]
+	),
+
+	UniverseLookup: object(
+		{
+			ok: { const: true },
+			placeId: int(),
+			universeId: int(),
+			cached: bool,
+			upstream: { description: "Raw Roblox body when fetched on this call, otherwise null" },
+			params: ref("QueryParams"),
+			warnings: { type: "array", items: ref("QueryWarning") },
+		},
+		["ok", "placeId", "universeId", "cached", "upstream", "params", "warnings"]
+	),
+
+	UniverseLookupError: {
+		allOf: [ref("ErrorResponse")],
+		properties: {
+			placeId: int(),
+			status: int({ description: "Upstream status" }),
+			body: { description: "Upstream body" },
+			upstream: {},
+			redirects: { type: "array", items: ref("RedirectHop") },
+			cached: bool,
+		},
+	},
+
+	UniverseBatchError: {
+		type: "object",
+		properties: {
+			error: str(),
+			...ERROR_FIELDS,
+			httpStatus: int({ description: "Status the single-place form would have returned" }),
+			invalid: bool,
+			cached: bool,
+			status: int(),
+			body: {},
+			upstream: {},
+			redirects: { type: "array", items: ref("RedirectHop") },
+		},
+		required: ["error", "code", "retryable", "severity", "httpStatus", "invalid"],
+	},
+
+	UniverseBatch: object({
+		ok: bool,
+		summary: object({ requested: int(), resolved: int(), cached: int(), invalid: int(), failed: int() }),
+		results: { type: "object", additionalProperties: nullable("integer") },
+		errors: { type: "object", additionalProperties: ref("UniverseBatchError") },
+		rejected: { type: "array", description: "Inputs that are not positive integers" },
+		params: ref("QueryParams"),
+		warnings: { type: "array", items: ref("QueryWarning") },
+	}),
+
+	WarmUniverseMap: object({
+		ok: bool,
+		summary: object({ requested: int(), alreadyCached: int(), resolved: int(), invalid: int(), failed: int() }),
+		results: { type: "object", additionalProperties: nullable("integer") },
+		rejected: { type: "array" },
+		errors: { type: "array", items: ref("PipelineError") },
+		params: ref("QueryParams"),
+		warnings: { type: "array", items: ref("QueryWarning") },
+	}),
+
+	CredentialSlot: object({
+		slot: int(),
+		name: str(),
+		cookie: bool,
+		apiKey: bool,
+		scopes: { type: "array", items: str() },
+		healthy: bool,
+		outForMs: int(),
+		reason: { oneOf: [str({ enum: ["unauthorized", "rate_limited"] }), { type: "null" }] },
+		benched: { type: "array", items: str({ enum: ["cookie", "apiKey"] }) },
+		uses: int(),
+		count429: int(),
+		consecutive429: int(),
+		last429At: { type: ["string", "null"], format: "date-time" },
+	}),
+
+	CredentialStatus: object({
+		ok: bool,
+		strategy: str({ enum: CREDENTIAL_STRATEGIES }),
+		size: int(),
+		healthy: int(),
+		slots: { type: "array", items: ref("CredentialSlot") },
+	}),
+
+	HealthCheck: {
+		type: "object",
+		properties: {
+			ok: bool,
+			status: int(),
+			error: str(),
+			userId: int(),
+			userName: str(),
+			displayName: str(),
+			name: str(),
+			scopes: { type: "array" },
+			enabled: bool,
+			expired: bool,
+		},
+		required: ["ok", "status"],
+	},
+
+	Health: object(
+		{
+			ok: bool,
+			status: str({ enum: ["ok", "degraded"] }),
+			error: str(),
+			credentials: {
+				type: "array",
+				items: object({
+					slot: int(),
+					name: str(),
+					cookie: { oneOf: [ref("HealthCheck"), { type: "null" }] },
+					apiKey: { oneOf: [ref("HealthCheck"), { type: "null" }] },
+				}),
+			},
+			pool: object({ strategy: str({ enum: CREDENTIAL_STRATEGIES }), size: int(), healthy: int() }),
+			allowlist: object({ hosts: int(), policyHosts: int(), policyRules: int() }),
+			region: str(),
+			ms: int(),
+		},
+		["ok", "status", "credentials", "pool", "allowlist", "region", "ms"]
+	),
+}
+
+// ---- Parameters and responses shared by routes ----
+
+const parameters = {
+	legacyStatus: query("legacyStatus", { type: "string", enum: ["1", "true", "yes"] }, "Answer HTTP 200 (real status in X-Gateway-Status)"),
+	legacyStatusHeader: {
+		name: LEGACY_STATUS_HEADER,
+		in: "header",
+		required: false,
+		description: "Same as ?legacyStatus=",
+		schema: { type: "string", enum: ["1", "true", "yes"] },
+	},
+	strict: query("strict", { type: "string", enum: ["1", "true", "yes"] }, "Reject the request (400) instead of answering with query warnings"),
+}
+
+const COMMON_PARAMETERS = [
+	{ $ref: "#/components/parameters/legacyStatus" },
+	{ $ref: "#/components/parameters/legacyStatusHeader" },
+	{ $ref: "#/components/parameters/strict" },
+]
+
+// Routes without a JSON envelope of their own report query warnings in a header
+const QUERY_WARNINGS_HEADERS = {
+	[QUERY_WARNINGS_HEADER]: { description: "Query warnings as param:CODE pairs, comma-separated", schema: str() },
+}
+
+const errorResponse = (description) => jsonResponse(description, ref("ErrorResponse"))
+
+// 401 / 429 / 405 of routes answering the flat ErrorResponse
+const FLAT_ERRORS = {
+	401: errorResponse("Caller not authenticated (UNAUTHORIZED)"),
+	405: errorResponse("Method not allowed (METHOD_NOT_ALLOWED)"),
+	429: errorResponse("Gateway rate limit (RATE_LIMITED); Retry-After is set"),
+	500: errorResponse("Gateway failure (INTERNAL_ERROR)"),
+}
+
+// Pipelines answer every status with their own envelope
+function pipelineResponses(schema, description) {
+	const envelope = (text) => jsonResponse(text, ref(schema))
+	return {
+		200: envelope(description),
+		207: envelope("Some data, but an upstream step failed or the time budget ran out (see errors / skipped)"),
+		400: envelope("Invalid query, or query warnings with ?strict=1 (INVALID_PARAMETER / INVALID_CURSOR)"),
+		401: envelope("Caller not authenticated (UNAUTHORIZED)"),
+		405: envelope("Method not allowed (METHOD_NOT_ALLOWED)"),
+		429: envelope("Gateway rate limit (RATE_LIMITED)"),
+		500: envelope("Gateway failure (INTERNAL_ERROR)"),
+		502: envelope("Every upstream step failed"),
+		504: envelope("Time budget ran out before anything was collected"),
+	}
+}
+
+const bool01 = { type: "string", enum: ["true", "false", "1", "0", "yes", "no"] }
+
+const PIPELINE_QUERY = [
+	query("userId", int({ minimum: 1 }), "Creator whose experiences and inventory are scanned", true),
+	query("includeGamepasses", bool01, "Default true"),
+	query("includeGroupGames", bool01, "Also scan games of groups the user owns (default false)"),
+	query("maxPlaces", int({ minimum: 1, maximum: 500 }), "Default 50"),
+	query("maxGamesPages", int({ minimum: 1, maximum: 50 }), "Default 10"),
+	query("maxUniversePages", int({ minimum: 1, maximum: 100 }), "Default 10"),
+	query("pageSize", int({ minimum: 1, maximum: 100 }), "Default 100"),
+	query("refresh", bool01, "Bypass the gateway cache"),
+	query("cursor", str(), "nextCursor of a previous call"),
+]
+
+const PLACE_IDS_BODY = {
+	required: true,
+	content: {
+		"application/json": {
+			schema: {
+				oneOf: [
+					{ type: "array", items: int({ minimum: 1 }), maxItems: MAX_BATCH_PLACE_IDS },
+					object({ placeIds: { type: "array", items: int({ minimum: 1 }), maxItems: MAX_BATCH_PLACE_IDS } }),
+				],
+			},
+		},
+	},
+}
+
+const paths = {
+	"/api/get-donation-asset": {
+		get: {
+			operationId: "getDonationAsset",
+			summary: "Game passes, developer products and inventory assets a creator sells",
+			parameters: [
+				...PIPELINE_QUERY,
+				query("includeDevProducts", bool01, "Default true"),
+				query("includeClothing", bool01, "Default true; false skips every inventory asset type"),
+				query(
+					"assetTypes",
+					str(),
+					`Comma-separated asset types (${ASSET_TYPE_NAMES.join(", ")}), groups (${ASSET_TYPE_GROUPS.join(", ")}) or all. Default: classic clothing`
+				),
+				query("maxInventoryPages", int({ minimum: 1, maximum: 100 }), "Default 10"),
+				query("budgetMs", int({ minimum: 1000, maximum: 60000 }), "Whole-request time budget (default 8000)"),
+				...COMMON_PARAMETERS,
+			],
+			responses: pipelineResponses("DonationAssetResponse", "Complete result"),
+		},
+	},
+
+	"/api/get-gamepass": {
+		get: {
+			operationId: "getGamepass",
+			summary: "Game passes of a creator's experiences",
+			parameters: [...PIPELINE_QUERY, ...COMMON_PARAMETERS],
+			responses: pipelineResponses("GamepassResponse", "Complete result"),
+		},
+	},
+
+	"/api/fetch-url": {
+		...Object.fromEntries(
+			["get", "post", "patch", "delete"].map((method) => [
+				method,
+				{
+					operationId: `fetchUrl${method[0].toUpperCase()}${method.slice(1)}`,
+					summary: "Proxies one Roblox API call allowed by the access policy",
+					parameters: [
+						query("url", str({ format: "uri" }), "URL-encoded Roblox URL", true),
+						query("mode", str({ enum: ["json", "raw"] }), "json (default) or raw passthrough"),
+						query("maxRedirects", int({ minimum: 0, maximum: 5 }), "Redirect hops to follow (default 3)"),
+						...COMMON_PARAMETERS,
+					],
+					...(method === "get" ? {} : { requestBody: { content: { "application/json": { schema: {} } } } }),
+					responses: {
+						200: {
+							description: "Upstream 2xx (JSON envelope, or the upstream body with ?mode=raw)",
+							content: { "application/json": { schema: ref("FetchUrlEnvelope") }, "*/*": {} },
+							headers: QUERY_WARNINGS_HEADERS,
+						},
+						"4XX": jsonResponse(
+							"Upstream 4xx (except 401 / 403 / 429) mirrored in the envelope, or a gateway refusal (ErrorResponse)",
+							{ oneOf: [ref("FetchUrlEnvelope"), ref("ErrorResponse")] }
+						),
+						502: jsonResponse("Upstream 401 / 403 / 5xx, network failure or blocked redirect", ref("FetchUrlEnvelope")),
+						503: jsonResponse("Upstream 429 (UPSTREAM_RATE_LIMITED); Retry-After is set", ref("FetchUrlEnvelope")),
+						504: jsonResponse("Upstream timed out", ref("FetchUrlEnvelope")),
+						500: FLAT_ERRORS[500],
+					},
+				},
+			])
+		),
+	},
+
+	"/api/get-universe-id-from-place-id": {
+		get: {
+			operationId: "getUniverseIdFromPlaceId",
+			summary: "Universe id of one place (?placeId=) or of a batch (?placeIds=)",
+			parameters: [
+				query("placeId", int({ minimum: 1 }), "Single lookup"),
+				query("placeIds", str(), `Batch lookup: comma-separated ids (max ${MAX_BATCH_PLACE_IDS})`),
+				query("refresh", bool01, "Ignore the stored mapping"),
+				...COMMON_PARAMETERS,
+			],
+			responses: {
+				200: jsonResponse("Resolved (single) or every id resolved (batch)", {
+					oneOf: [ref("UniverseLookup"), ref("UniverseBatch")],
+				}),
+				207: jsonResponse("Batch: some ids resolved", ref("UniverseBatch")),
+				400: errorResponse("Invalid placeId / placeIds (INVALID_PARAMETER)"),
+				404: jsonResponse("Invalid place (INVALID_PLACE)", { oneOf: [ref("UniverseLookupError"), ref("UniverseBatch")] }),
+				502: jsonResponse("Upstream failure", { oneOf: [ref("UniverseLookupError"), ref("UniverseBatch")] }),
+				503: jsonResponse("Upstream 429 (UPSTREAM_RATE_LIMITED); Retry-After is set", ref("UniverseLookupError")),
+				504: jsonResponse("Upstream timed out", ref("UniverseLookupError")),
+				...FLAT_ERRORS,
+			},
+		},
+		post: {
+			operationId: "getUniverseIdsFromPlaceIds",
+			summary: "Universe ids of a batch of places",
+			parameters: [query("refresh", bool01, "Ignore the stored mappings"), ...COMMON_PARAMETERS],
+			requestBody: PLACE_IDS_BODY,
+			responses: {
+				200: jsonResponse("Every id resolved", ref("UniverseBatch")),
+				207: jsonResponse("Some ids resolved", ref("UniverseBatch")),
+				400: errorResponse("Invalid body (INVALID_PARAMETER)"),
+				404: jsonResponse("Every id is an invalid place", ref("UniverseBatch")),
+				502: jsonResponse("Nothing resolved", ref("UniverseBatch")),
+				...FLAT_ERRORS,
+			},
+		},
+	},
+
+	"/api/warm-universe-map": {
+		...Object.fromEntries(
+			["get", "post"].map((method) => [
+				method,
+				{
+					operationId: method === "get" ? "warmUniverseMap" : "warmUniverseMapPost",
+					summary: "Pre-resolves place -> universe mappings",
+					parameters: [
+						...(method === "get" ? [query("placeIds", str(), "Comma-separated place ids", true)] : []),
+						...COMMON_PARAMETERS,
+					],
+					...(method === "post" ? { requestBody: PLACE_IDS_BODY } : {}),
+					responses: {
+						200: jsonResponse("Every place known or resolved", ref("WarmUniverseMap")),
+						207: jsonResponse("Some places failed", ref("WarmUniverseMap")),
+						400: errorResponse("Invalid input (INVALID_PARAMETER)"),
+						502: jsonResponse("Every lookup failed", ref("WarmUniverseMap")),
+						...FLAT_ERRORS,
+					},
+				},
+			])
+		),
+	},
+
+	"/api/credential-status": {
+		get: {
+			operationId: "getCredentialStatus",
+			summary: "Credential pool health on this warm instance",
+			parameters: COMMON_PARAMETERS,
+			responses: {
+				200: jsonResponse("At least one slot is in rotation", ref("CredentialStatus"), QUERY_WARNINGS_HEADERS),
+				400: errorResponse("Strict mode rejected the query (INVALID_PARAMETER)"),
+				503: jsonResponse("No slot in rotation", ref("CredentialStatus")),
+				...FLAT_ERRORS,
+			},
+		},
+	},
+
+	"/api/health": {
+		get: {
+			operationId: "getHealth",
+			summary: "Checks every configured Roblox cookie and Open Cloud key",
+			parameters: COMMON_PARAMETERS,
+			responses: {
+				200: jsonResponse("Every credential works", ref("Health"), QUERY_WARNINGS_HEADERS),
+				400: errorResponse("Strict mode rejected the query (INVALID_PARAMETER)"),
+				503: jsonResponse("A credential failed or none is configured", ref("Health")),
+				...FLAT_ERRORS,
+			},
+		},
+	},
+
+	"/api/openapi.json": {
+		get: {
+			operationId: "getOpenApi",
+			summary: "This document",
+			parameters: COMMON_PARAMETERS,
+			responses: {
+				200: jsonResponse("OpenAPI document", { type: "object" }, QUERY_WARNINGS_HEADERS),
+				400: errorResponse("Strict mode rejected the query (INVALID_PARAMETER)"),
+				...FLAT_ERRORS,
+			},
+		},
+	},
+}
+
+// Every route requires caller authentication (lib/caller-auth.js)
+const securitySchemes = {
+	bearer: { type: "http", scheme: "bearer", description: "GATEWAY_TOKENS" },
+	gatewayToken: { type: "apiKey", in: "header", name: "X-Gateway-Token", description: "GATEWAY_TOKENS" },
+	hmac: {
+		type: "apiKey",
+		in: "header",
+		name: "X-Gateway-Signature",
+		description: "HMAC-SHA256 with X-Gateway-Timestamp and X-Gateway-Nonce (see README)",
+	},
+}
+
+let document = null
+
+export function getOpenApiDocument() {
+	if (!document) {
+		document = {
+			openapi: OPENAPI_VERSION,
+			info: {
+				title: "Roblox proxy gateway",
+				version: "1.0.0",
+				description: "Authenticated Roblox API gateway. Error codes and status policy: see README.",
+			},
+			security: [{ bearer: [] }, { gatewayToken: [] }, { hmac: [] }],
+			paths,
+			components: { schemas, parameters, securitySchemes },
+		}
+	}
+	return document
+}
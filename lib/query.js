@@ -0,0 +1,203 @@
+// lib/query.js
+// Query parameter validation shared by every /api handler
+//
+// A route declares its parameters once:
+//   { maxPlaces: { type: "int", min: 1, max: 500, default: 50 }, includeClothing: { type: "bool", default: true } }
+// Types:
+// - int     integer string or number; out of [min, max] is clamped
+// - bool    true/1/yes/y or false/0/no/n
+// - string  trimmed
+// - enum    one of `values` (case-insensitive, returned as listed)
+// - list    comma-separated (repeated keys are joined); trimmed, empty entries dropped
+// An empty value counts as absent. `required: true` makes a missing / bad value an error, and
+// `reject: true` makes any bad value (type, range, repeated key) an error instead of a warning; `message`
+// replaces the generated error message.
+//
+// Problems that do not stop the request are reported as `warnings`:
+// - UNKNOWN_PARAMETER    not declared by the route (ignored)
+// - INVALID_TYPE         could not be parsed (the default is used)
+// - OUT_OF_RANGE         clamped into [min, max]
+// - DUPLICATE_PARAMETER  repeated key on a non-list parameter (the first value is used)
+// Strict mode (`?strict=1`, or QUERY_STRICT=1 for every request) turns every warning into an error.
+//
+// validateQuery returns { ok, params, warnings, errors }. `params` holds the effective value of every
+// declared parameter (default, or null when absent without one), for echoing back to the caller.
+//
+// Env vars (Vercel):
+// - QUERY_STRICT=1   strict mode for every request
+
+import { errorCode } from "./error-codes.js"
+
+export const QUERY_WARNING_CODES = [
+	"UNKNOWN_PARAMETER",
+	"INVALID_TYPE",
+	"OUT_OF_RANGE",
+	"DUPLICATE_PARAMETER",
+	// get-donation-asset: ?assetTypes= outside the resumed ?cursor=
+	"IGNORED_BY_CURSOR",
+]
+
+export const QUERY_WARNINGS_HEADER = "X-Query-Warnings"
+
+const TRUE_VALUES = ["true", "1", "yes", "y"]
+const FALSE_VALUES = ["false", "0", "no", "n"]
+
+// Accepted on every route (lib/http-status.js, strict mode itself)
+export const GLOBAL_QUERY = {
+	legacyStatus: { type: "bool", default: false },
+	strict: { type: "bool", default: false },
+}
+
+function describeType(spec) {
+	if (spec.type === "int") {
+		if (spec.min != null && spec.max != null) return `an integer ${spec.min}-${spec.max}`
+		if (spec.min != null) return `an integer >= ${spec.min}`
+		return "an integer"
+	}
+	if (spec.type === "bool") return "a boolean (true/false, 1/0, yes/no)"
+	if (spec.type === "enum") return `one of ${spec.values.join(", ")}`
+	return "a string"
+}
+
+// { value } | { invalid: true } | { value, clampedFrom }
+function parseValue(spec, raw) {
+	if (spec.type === "int") {
+		const s = typeof raw === "number" ? String(raw) : String(raw).trim()
+		if (!/^[+-]?\d+$/.test(s)) return { invalid: true }
+		const n = Number(s)
+		const clamped = Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, n))
+		return clamped === n ? { value: n } : { value: clamped, clampedFrom: n }
+	}
+
+	if (spec.type === "bool") {
+		if (typeof raw === "boolean") return { value: raw }
+		const s = String(raw).trim().toLowerCase()
+		if (TRUE_VALUES.includes(s)) return { value: true }
+		if (FALSE_VALUES.includes(s)) return { value: false }
+		return { invalid: true }
+	}
+
+	if (spec.type === "enum") {
+		const s = String(raw).trim().toLowerCase()
+		const match = spec.values.find((v) => v.toLowerCase() === s)
+		return match ? { value: match } : { invalid: true }
+	}
+
+	return { value: String(raw).trim() }
+}
+
+function isAbsent(raw) {
+	return raw == null || (typeof raw === "string" && raw.trim() === "") || (Array.isArray(raw) && raw.length === 0)
+}
+
+export function isStrictQuery(query) {
+	if (process.env.QUERY_STRICT === "1") return true
+	const raw = Array.isArray(query?.strict) ? query.strict[0] : query?.strict
+	return raw != null && TRUE_VALUES.includes(String(raw).trim().toLowerCase())
+}
+
+// spec: { [name]: { type, default, min, max, values, required, reject, message } }
+export function validateQuery(query, spec) {
+	const all = { ...GLOBAL_QUERY, ...spec }
+	const source = query && typeof query === "object" ? query : {}
+	const params = {}
+	const warnings = []
+	const errors = []
+
+	for (const name of Object.keys(source)) {
+		if (!all[name]) {
+			warnings.push({ param: name, code: "UNKNOWN_PARAMETER", message: `Unknown query parameter '${name}' (ignored)` })
+		}
+	}
+
+	for (const [name, def] of Object.entries(all)) {
+		let raw = source[name]
+		const fallback = def.default ?? null
+
+		if (def.type === "list") {
+			const tokens = (Array.isArray(raw) ? raw : [raw])
+				.filter((v) => v != null)
+				.flatMap((v) => String(v).split(","))
+				.map((v) => v.trim())
+				.filter((v) => v !== "")
+			params[name] = tokens.length > 0 ? tokens : fallback
+			if (tokens.length === 0 && def.required) errors.push({ param: name, message: def.message ?? `Missing ${name}` })
+			continue
+		}
+
+		if (Array.isArray(raw)) {
+			if (raw.length > 1 && def.reject) {
+				errors.push({ param: name, message: def.message ?? `${name} was given ${raw.length} times`, value: raw })
+				params[name] = fallback
+				continue
+			}
+			if (raw.length > 1) {
+				warnings.push({
+					param: name,
+					code: "DUPLICATE_PARAMETER",
+					message: `${name} was given ${raw.length} times; the first value is used`,
+					used: raw[0],
+				})
+			}
+			raw = raw[0]
+		}
+
+		if (isAbsent(raw)) {
+			params[name] = fallback
+			if (def.required) errors.push({ param: name, message: def.message ?? `Missing ${name} (must be ${describeType(def)})` })
+			continue
+		}
+
+		const parsed = parseValue(def, raw)
+		if (parsed.invalid) {
+			params[name] = fallback
+			const message = `Invalid ${name} (must be ${describeType(def)})`
+			if (def.required || def.reject) errors.push({ param: name, message: def.message ?? message, value: raw })
+			else warnings.push({ param: name, code: "INVALID_TYPE", message: `${message}; using ${JSON.stringify(fallback)}`, value: raw, used: fallback })
+			continue
+		}
+
+		params[name] = parsed.value
+		if (parsed.clampedFrom != null) {
+			if (def.reject) {
+				params[name] = fallback
+				errors.push({ param: name, message: def.message ?? `Invalid ${name} (must be ${describeType(def)})`, value: raw })
+			} else {
+				const message = `${name} must be ${describeType(def)}; using ${parsed.value}`
+				warnings.push({ param: name, code: "OUT_OF_RANGE", message, value: raw, used: parsed.value })
+			}
+		}
+	}
+
+	if (isStrictQuery(source)) {
+		for (const w of warnings) {
+			errors.push({ param: w.param, code: w.code, message: `${w.message} [strict]`, ...(w.value !== undefined ? { value: w.value } : {}) })
+		}
+	}
+
+	return { ok: errors.length === 0, params, warnings, errors }
+}
+
+// Validates req.query against `spec` and mirrors any warnings in X-Query-Warnings, so routes
+// without a JSON envelope (raw passthrough, documents) still report them
+export function checkQuery(req, res, spec = {}) {
+	const result = validateQuery(req.query, spec)
+	if (result.warnings.length > 0) res.setHeader(QUERY_WARNINGS_HEADER, warningsHeaderValue(result.warnings))
+	return result
+}
+
+// 400 body of routes answering a flat { ok: false, error, code, ... } object
+export function invalidQueryBody(result) {
+	return {
+		ok: false,
+		error: result.errors.map((e) => e.message).join("; "),
+		...errorCode("INVALID_PARAMETER"),
+		errors: result.errors,
+		warnings: result.warnings,
+	}
+}
+
+// Short form for a response header (raw passthrough, documents): "maxPlaces:OUT_OF_RANGE,foo:UNKNOWN_PARAMETER"
+export function warningsHeaderValue(warnings) {
+	return warnings.map((w) => `${w.param}:${w.code}`).join(",")
+}
@@ -0,0 +1,279 @@
+// lib/rate-limit.js
+// Inbound rate limiting shared by every /api handler
+//
+// One token bucket per (route, caller): `limit` requests per `windowSec`, refilled continuously,
+// so a caller can burst up to `limit` and then sustains limit/windowSec per second.
+// Callers are keyed by their static token (fingerprint) when they have one, otherwise by client
+// IP — HMAC callers share one secret, so their IP is what tells game servers apart.
+//
+// The client IP comes from X-Forwarded-For only when a proxy we trust wrote it: on Vercel (VERCEL=1,
+// whose edge overwrites the header) or when the connection comes from one of TRUSTED_PROXIES.
+// Anywhere else the header is caller-controlled, so the socket address is used.
+//
+// Buckets live in memory per warm instance. With RATE_LIMIT_KV=1 (and the KV vars from
+// lib/cache.js) they are kept in KV instead, so all instances share them; a KV failure falls
+// back to the memory bucket and never fails a request.
+//
+// Env vars (Vercel):
+// - RATE_LIMITS             per-route overrides, e.g. "get-donation-asset=10/60,fetch-url=300/60"
+//                           ("*=<limit>/<windowSec>" changes the default for unlisted routes)
+// - RATE_LIMIT_KV=1         share buckets through KV_REST_API_URL / KV_REST_API_TOKEN
+// - RATE_LIMIT_DISABLED=1   no limiting, no RateLimit-* headers
+// - TRUSTED_PROXIES         comma-separated proxy IPs allowed to set X-Forwarded-For (self-hosted)
+
+import { createKvCommand } from "./cache.js"
+import { createLogger } from "./logger.js"
+
+const moduleLog = createLogger("RateLimit")
+
+const DEFAULT_MAX_BUCKETS = 10000
+
+export const RATE_LIMIT_ERROR = "Rate limit exceeded"
+
+// requests per window, per caller. get-donation-asset / get-gamepass fan out to dozens of
+// upstream calls each, so they get the tightest budget.
+export const ROUTE_LIMITS = {
+	"*": { limit: 60, windowSec: 60 },
+	"fetch-url": { limit: 120, windowSec: 60 },
+	"get-donation-asset": { limit: 30, windowSec: 60 },
+	"get-gamepass": { limit: 30, windowSec: 60 },
+	"get-universe-id-from-place-id": { limit: 120, windowSec: 60 },
+	"warm-universe-map": { limit: 10, windowSec: 60 },
+}
+
+export function isRateLimitDisabled() {
+	return process.env.RATE_LIMIT_DISABLED === "1"
+}
+
+// "route=limit/windowSec, ..." -> { route: { limit, windowSec } }; throws on a malformed entry
+export function parseRateLimits(spec) {
+	const out = {}
+	for (const part of String(spec || "").split(",")) {
+		const entry = part.trim()
+		if (entry === "") continue
+
+		const m = /^([\w*.-]+)\s*=\s*(\d+)\s*\/\s*(\d+)$/.exec(entry)
+		if (!m || Number(m[2]) <= 0 || Number(m[3]) <= 0) {
+			throw new Error(`RATE_LIMITS: invalid entry '${entry}' (expected route=limit/windowSec)`)
+		}
+		out[m[1]] = { limit: Number(m[2]), windowSec: Number(m[3]) }
+	}
+	return out
+}
+
+// RATE_LIMITS is re-parsed only when it changes; a malformed value is reported once and ignored
+let envLimits = { spec: "", overrides: {} }
+
+function envOverrides() {
+	const spec = process.env.RATE_LIMITS || ""
+	if (spec !== envLimits.spec) {
+		let overrides = {}
+		try {
+			overrides = parseRateLimits(spec)
+		} catch (e) {
+			moduleLog.warn(`${e.message}; using defaults`)
+		}
+		envLimits = { spec, overrides }
+	}
+	return envLimits.overrides
+}
+
+export function routeLimit(route, overrides = envOverrides()) {
+	return overrides[route] || ROUTE_LIMITS[route] || overrides["*"] || ROUTE_LIMITS["*"]
+}
+
+function headerValue(req, name) {
+	const v = req.headers?.[name]
+	if (Array.isArray(v)) return v[0]
+	return typeof v === "string" ? v : ""
+}
+
+// "::ffff:10.0.0.1" (IPv4 on a dual-stack socket) -> "10.0.0.1"
+function normalizeIp(ip) {
+	return String(ip || "").trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "")
+}
+
+function trustedProxies() {
+	return String(process.env.TRUSTED_PROXIES || "")
+		.split(",")
+		.map(normalizeIp)
+		.filter((ip) => ip !== "")
+}
+
+export function clientIp(req) {
+	const socketIp = normalizeIp(req.socket?.remoteAddress)
+	const forwarded = headerValue(req, "x-forwarded-for")
+		.split(",")
+		.map(normalizeIp)
+		.filter((ip) => ip !== "")
+
+	// Vercel's edge replaces x-forwarded-for with the client address
+	if (process.env.VERCEL === "1") return forwarded[0] || normalizeIp(headerValue(req, "x-real-ip")) || socketIp || "unknown"
+
+	// Behind our own proxies: the client is the last hop none of them added
+	const trusted = trustedProxies()
+	if (socketIp && trusted.includes(socketIp)) {
+		const client = [...forwarded].reverse().find((ip) => !trusted.includes(ip))
+		return client || forwarded[0] || socketIp
+	}
+
+	return socketIp || "unknown"
+}
+
+export function rateLimitKey(req, caller) {
+	if (caller?.method === "token") return caller.callerId
+	return `ip:${clientIp(req)}`
+}
+
+// Refills `bucket` up to `now` and takes one token when available
+function takeToken(bucket, { limit, windowSec }, now) {
+	const refillPerMs = limit / (windowSec * 1000)
+	const tokens = Math.min(limit, bucket.tokens + Math.max(0, now - bucket.ts) * refillPerMs)
+	const allowed = tokens >= 1
+	return { allowed, tokens: allowed ? tokens - 1 : tokens, ts: now }
+}
+
+export function createMemoryBucketStore({ maxBuckets = DEFAULT_MAX_BUCKETS } = {}) {
+	const buckets = new Map()
+
+	return {
+		name: "memory",
+		async take(key, limit, now) {
+			const current = buckets.get(key) || { tokens: limit.limit, ts: now }
+			const next = takeToken(current, limit, now)
+			// refresh LRU position
+			buckets.delete(key)
+			buckets.set(key, { tokens: next.tokens, ts: next.ts })
+			while (buckets.size > maxBuckets) {
+				buckets.delete(buckets.keys().next().value)
+			}
+			return next
+		},
+		size: () => buckets.size,
+	}
+}
+
+// Same bucket math as takeToken, run atomically in Redis. Tokens come back as a string because
+// Redis truncates Lua numbers to integers.
+const KV_TAKE_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(state[1]) or limit
+local ts = tonumber(state[2]) or now
+tokens = math.min(limit, tokens + math.max(0, now - ts) * refill)
+local allowed = 0
+if tokens >= 1 then
+	tokens = tokens - 1
+	allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", tostring(now))
+redis.call("PEXPIRE", KEYS[1], tonumber(ARGV[4]))
+return { allowed, tostring(tokens) }
+`
+
+export function createKvBucketStore({ url, token }) {
+	const command = createKvCommand({ url, token })
+
+	return {
+		name: "kv",
+		async take(key, limit, now) {
+			const windowMs = limit.windowSec * 1000
+			const result = await command([
+				"EVAL",
+				KV_TAKE_SCRIPT,
+				"1",
+				key,
+				String(limit.limit),
+				String(limit.limit / windowMs),
+				String(now),
+				String(windowMs),
+			])
+			if (!Array.isArray(result)) throw new Error("KV rate limit script returned no result")
+			return { allowed: Number(result[0]) === 1, tokens: Number(result[1]), ts: now }
+		},
+	}
+}
+
+// KV first (when configured), memory when KV is unreachable
+export function createBucketStore({ memory, kv, log }) {
+	const warn = (msg) => (log || moduleLog).warn(msg)
+
+	return {
+		backends: kv ? ["kv", "memory"] : ["memory"],
+		async take(key, limit, now) {
+			if (kv) {
+				try {
+					return await kv.take(key, limit, now)
+				} catch (e) {
+					warn(`kv take failed key=${key} error="${String(e)}"`)
+				}
+			}
+			return memory.take(key, limit, now)
+		},
+	}
+}
+
+let sharedStore = null
+
+// One bucket store per warm instance
+export function getSharedBucketStore() {
+	if (sharedStore) return sharedStore
+
+	const memory = createMemoryBucketStore()
+
+	const kvUrl = (process.env.KV_REST_API_URL || "").trim()
+	const kvToken = (process.env.KV_REST_API_TOKEN || "").trim()
+	const kv =
+		process.env.RATE_LIMIT_KV === "1" && kvUrl && kvToken ? createKvBucketStore({ url: kvUrl, token: kvToken }) : null
+
+	sharedStore = createBucketStore({ memory, kv })
+	return sharedStore
+}
+
+// Returns { ok, limit, windowSec, remaining, resetSec, retryAfterSec } (or { ok: true, disabled: true }).
+// resetSec: seconds until the bucket is full again; retryAfterSec: seconds until the next token (0 when ok).
+export async function checkRateLimit(req, caller, route, { store = getSharedBucketStore(), now = Date.now() } = {}) {
+	if (isRateLimitDisabled()) return { ok: true, disabled: true }
+
+	const limit = routeLimit(route)
+	const key = `rl:${route}:${rateLimitKey(req, caller)}`
+	const { allowed, tokens } = await store.take(key, limit, now)
+
+	const perSec = limit.limit / limit.windowSec
+	return {
+		ok: allowed,
+		key,
+		limit: limit.limit,
+		windowSec: limit.windowSec,
+		remaining: Math.max(0, Math.floor(tokens)),
+		resetSec: Math.ceil((limit.limit - tokens) / perSec),
+		retryAfterSec: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / perSec)),
+	}
+}
+
+// Log fields (lib/logger.js) of a rate-limit decision; the bucket key is left out on purpose
+export function rateLimitLogFields(result) {
+	return {
+		status: result.ok ? undefined : 429,
+		rateLimit: { limit: result.limit, windowSec: result.windowSec, remaining: result.remaining, retryAfterSec: result.retryAfterSec },
+	}
+}
+
+// IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers), plus Retry-After on a 429
+export function setRateLimitHeaders(res, result) {
+	if (result.disabled) return
+	res.setHeader("RateLimit-Limit", String(result.limit))
+	res.setHeader("RateLimit-Remaining", String(result.remaining))
+	res.setHeader("RateLimit-Reset", String(result.resetSec))
+	res.setHeader("RateLimit-Policy", `${result.limit};w=${result.windowSec}`)
+	if (!result.ok) res.setHeader("Retry-After", String(result.retryAfterSec))
+}
+
+// Checks the route's bucket for this caller and sets the headers; the handler builds the 429 body
+export async function enforceRateLimit(req, res, caller, route, options) {
+	const result = await checkRateLimit(req, caller, route, options)
+	setRateLimitHeaders(res, result)
+	return result
+}
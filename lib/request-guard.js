@@ -0,0 +1,85 @@
+// lib/request-guard.js
+// Caller auth, rate limit and method check shared by every /api handler, always in that order
+//
+// guardRequest() writes the 401 / 429 / 405 response itself and returns null; otherwise it
+// returns { caller, rate, method } and the handler carries on.
+//
+// The default body is the flat { ok: false, error, code, retryable, severity, ... } object.
+// Routes with their own envelope (the pipeline handlers) pass `reject(failure)`, which returns the
+// body to send for failure = { status, code, step, error, message, context, fields } (`context` is
+// meant for a pipelineError entry, `fields` are the extra keys of the flat body).
+
+import { authenticateCaller } from "./caller-auth.js"
+import { RATE_LIMIT_ERROR, enforceRateLimit, rateLimitLogFields } from "./rate-limit.js"
+import { statusFor } from "./http-status.js"
+import { errorCode } from "./error-codes.js"
+
+function flatBody(failure) {
+	return { ok: false, error: failure.error, ...errorCode(failure.code), ...failure.fields }
+}
+
+function unauthorized(caller) {
+	return {
+		status: 401,
+		code: "UNAUTHORIZED",
+		step: "auth",
+		error: "Unauthorized",
+		message: caller.message,
+		context: { reason: caller.reason },
+		fields: { reason: caller.reason, message: caller.message },
+	}
+}
+
+function rateLimited(rate) {
+	return {
+		status: 429,
+		code: "RATE_LIMITED",
+		step: "rateLimit",
+		error: RATE_LIMIT_ERROR,
+		message: RATE_LIMIT_ERROR,
+		context: { limit: rate.limit, windowSec: rate.windowSec, retryAfterSec: rate.retryAfterSec },
+		fields: { retryAfterSec: rate.retryAfterSec },
+	}
+}
+
+function methodNotAllowed(methods) {
+	return {
+		status: 405,
+		code: "METHOD_NOT_ALLOWED",
+		step: "validate",
+		error: "Method Not Allowed",
+		message: `Method not allowed (${methods.join("/")} only)`,
+		context: {},
+		fields: {},
+	}
+}
+
+// route: lib/rate-limit.js bucket name; methods: accepted HTTP methods (upper case)
+export async function guardRequest(req, res, { route, methods = ["GET"], log, reject = flatBody }) {
+	const send = (failure) => {
+		res.status(statusFor(req, res, failure.status)).json(reject(failure))
+		return null
+	}
+
+	const caller = await authenticateCaller(req)
+	if (!caller.ok) {
+		res.setHeader("WWW-Authenticate", "Bearer")
+		log.info(`401 Unauthorized reason=${caller.reason}`)
+		return send(unauthorized(caller))
+	}
+
+	const rate = await enforceRateLimit(req, res, caller, route)
+	if (!rate.ok) {
+		log.info(`429 Rate limited retryAfter=${rate.retryAfterSec}s`, rateLimitLogFields(rate))
+		return send(rateLimited(rate))
+	}
+
+	const method = String(req.method || "GET").toUpperCase()
+	if (!methods.includes(method)) {
+		res.setHeader("Allow", methods.join(", "))
+		log.info(`405 Method Not Allowed method=${method}`)
+		return send(methodNotAllowed(methods))
+	}
+
+	return { caller, rate, method }
+}
@@ -0,0 +1,851 @@
+// lib/roblox-client.js
+// Shared Roblox upstream client used by every /api handler
+//
+// One place for: host allowlist check, auth headers, retry/backoff policy,
+// timeouts, redirect handling and per-request metrics.
+//
+// Env vars (Vercel):
+// - ROBLOX_CREDENTIALS         (JSON credential pool, see lib/credential-pool.js)
+// - ROBLOX_OPEN_CLOUD_KEY      (API key value; single-slot fallback)
+// - ROBLOX_SECURITY_COOKIE     (cookie value only; can be ".ROBLOSECURITY=..." or token only; single-slot fallback)
+// - DEBUG_LOG_ALL=1            (verbose logs)
+
+import { cachedFetch } from "./cache.js"
+import { fetchFailureCode, pipelineError, upstreamStatusCode } from "./error-codes.js"
+import { getCredentialPool } from "./credential-pool.js"
+import { getUpstreamThrottle } from "./upstream-throttle.js"
+import { createLogger } from "./logger.js"
+
+// Every Roblox host the gateway is allowed to talk to.
+// Handlers pass their own (smaller) subset to createRobloxClient.
+export const ROBLOX_HOSTS = [
+	"apis.roblox.com",
+	"accountinformation.roblox.com",
+	"accountsettings.roblox.com",
+	"adconfiguration.roblox.com",
+	"assetdelivery.roblox.com",
+	"auth.roblox.com",
+	"avatar.roblox.com",
+	"badges.roblox.com",
+	"catalog.roblox.com",
+	"clientsettings.roblox.com",
+	"contacts.roblox.com",
+	"develop.roblox.com",
+	"economy.roblox.com",
+	"economycreatorstats.roblox.com",
+	"engagementpayouts.roblox.com",
+	"followings.roblox.com",
+	"friends.roblox.com",
+	"gameinternationalization.roblox.com",
+	"games.roblox.com",
+	"groups.roblox.com",
+	"inventory.roblox.com",
+	"itemconfiguration.roblox.com",
+	"locale.roblox.com",
+	"localizationtables.roblox.com",
+	"notifications.roblox.com",
+	"premiumfeatures.roblox.com",
+	"presence.roblox.com",
+	"privatemessages.roblox.com",
+	"publish.roblox.com",
+	"thumbnails.roblox.com",
+	"thumbnailsresizer.roblox.com",
+	"users.roblox.com",
+]
+
+// small jitter to reduce bursts
+export const UPSTREAM_DELAY_MIN_MS = 200
+export const UPSTREAM_DELAY_MAX_MS = 300
+
+// retry controls
+export const MAX_ATTEMPTS = 4
+export const RETRY_BASE_DELAY_MS = 600
+export const RETRY_MAX_DELAY_MS = 8000
+export const UPSTREAM_TIMEOUT_MS = 15000
+
+// redirect hops followed per attempt
+export const MAX_REDIRECTS = 3
+
+// verbose logs: set Vercel env DEBUG_LOG_ALL=1
+export const DEBUG_LOG_ALL = process.env.DEBUG_LOG_ALL === "1"
+
+export const BASE_HEADERS = {
+	Accept: "application/json",
+	"User-Agent":
+		"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+		"(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+	Referer: "https://www.roblox.com/",
+}
+
+// ---- Small helpers ----
+
+// Rejects with signal.reason when `signal` aborts first
+export function sleep(ms, signal = null) {
+	if (!signal) return new Promise((resolve) => setTimeout(resolve, ms))
+
+	return new Promise((resolve, reject) => {
+		if (signal.aborted) return reject(signal.reason)
+		const onAbort = () => {
+			clearTimeout(timer)
+			reject(signal.reason)
+		}
+		const timer = setTimeout(() => {
+			signal.removeEventListener("abort", onAbort)
+			resolve()
+		}, ms)
+		signal.addEventListener("abort", onAbort, { once: true })
+	})
+}
+
+// Pacing jitter and retry backoff wait through this one, so tests can swap in an instant sleep
+// (setUpstreamSleep(null) restores the real one). A replacement still has to honour `signal`.
+let upstreamSleep = sleep
+
+export function setUpstreamSleep(fn) {
+	upstreamSleep = fn || sleep
+}
+
+export function getUpstreamDelayMs() {
+	return UPSTREAM_DELAY_MIN_MS + Math.floor(Math.random() * (UPSTREAM_DELAY_MAX_MS - UPSTREAM_DELAY_MIN_MS + 1))
+}
+
+export function clampInt(n, min, max) {
+	return Math.max(min, Math.min(max, Math.trunc(n)))
+}
+
+export function truthy(s) {
+	return typeof s === "string" && s.trim() !== ""
+}
+
+export function safeUpstreamLabel(urlObj) {
+	return `${urlObj.host}${urlObj.pathname}`
+}
+
+export function safeJsonParse(text) {
+	try {
+		return { ok: true, value: JSON.parse(text) }
+	} catch (e) {
+		return { ok: false, error: e }
+	}
+}
+
+export function getSnippet(text) {
+	return String(text || "")
+		.slice(0, 180)
+		.replace(/\s+/g, " ")
+		.trim()
+}
+
+export function makeRequestId() {
+	return typeof crypto !== "undefined" && crypto.randomUUID
+		? crypto.randomUUID()
+		: `${Date.now()}-${Math.random().toString(16).slice(2)}`
+}
+
+// Structured JSON logger (lib/logger.js). Handlers use requestLogger(req, res, name) so the inbound
+// trace is continued; this is for loggers without a request.
+export function makeLogger(name, requestId = makeRequestId()) {
+	return createLogger(name, { requestId })
+}
+
+export function createMetrics() {
+	return {
+		upstreamCalls: 0,
+		upstreamRetries: 0,
+		upstream429: 0,
+		upstreamNon2xx: 0,
+	}
+}
+
+// Simple concurrency limiter (no deps)
+export function createLimiter(limit) {
+	let active = 0
+	const queue = []
+
+	const next = () => {
+		if (active >= limit) return
+		const job = queue.shift()
+		if (!job) return
+		active += 1
+		Promise.resolve()
+			.then(job.fn)
+			.then(job.resolve, job.reject)
+			.finally(() => {
+				active -= 1
+				next()
+			})
+	}
+
+	return function run(fn) {
+		return new Promise((resolve, reject) => {
+			queue.push({ fn, resolve, reject })
+			next()
+		})
+	}
+}
+
+// ---- Auth ----
+
+// Cookie normalization lives with the credential pool; re-exported for existing imports
+export { normalizeRobloxCookie } from "./credential-pool.js"
+
+// Builds outgoing headers. `auth: false` sends the base headers only;
+// `auth: { cookie, apiKey }` attaches just the credentials set to true.
+// Credentials come from one slot of the pool, picked for `host` (see lib/credential-pool.js); a
+// credential the pool has benched after a 401 is left off unless the slot has no other wanted one.
+// `authSent` describes what was attached (and which slot) without exposing any secret; `complete` is
+// true when every wanted credential was attached.
+export function buildAuthHeaders({ auth = true, extra = null, host = "", pool = getCredentialPool() } = {}) {
+	const headers = { ...BASE_HEADERS, ...(extra || {}) }
+	const authSent = { tried: [], cookieLen: 0, apiKeyLen: 0, slot: null }
+
+	if (!auth) return { headers, authSent, slot: null, complete: true }
+
+	const wantApiKey = auth === true || auth.apiKey === true
+	const wantCookie = auth === true || auth.cookie === true
+	const slot = pool ? pool.pick(host, { cookie: wantCookie, apiKey: wantApiKey }) : null
+	if (!slot) return { headers, authSent, slot: null, complete: !wantApiKey && !wantCookie }
+
+	authSent.slot = { index: slot.index, name: slot.name }
+
+	const held = [wantApiKey && truthy(slot.apiKey) && "apiKey", wantCookie && truthy(slot.cookie) && "cookie"].filter(Boolean)
+	const fresh = held.filter((c) => pool.benched?.(slot, c) !== true)
+	const send = fresh.length > 0 ? fresh : held
+
+	if (send.includes("apiKey")) {
+		authSent.tried.push("apiKey")
+		authSent.apiKeyLen = slot.apiKey.length
+		headers["x-api-key"] = slot.apiKey
+	}
+
+	if (send.includes("cookie")) {
+		authSent.tried.push("cookie")
+		authSent.cookieLen = slot.cookie.length
+		headers.Cookie = slot.cookie
+	}
+
+	const complete = (!wantApiKey || send.includes("apiKey")) && (!wantCookie || send.includes("cookie"))
+	return { headers, authSent, slot, complete }
+}
+
+// ---- CSRF ----
+
+// Methods Roblox guards with x-csrf-token
+export const CSRF_METHODS = ["POST", "PUT", "PATCH", "DELETE"]
+
+// Tokens cached per warm instance and per credential slot (a token belongs to one cookie's session;
+// Roblox rotates it with a 403). Calls without a slot share slot 0's token.
+const cachedCsrfTokens = new Map()
+
+export function getCsrfToken(slot = 0) {
+	return cachedCsrfTokens.get(slot) || null
+}
+
+export function setCsrfToken(token, slot = 0) {
+	if (truthy(token)) cachedCsrfTokens.set(slot, token)
+	else cachedCsrfTokens.delete(slot)
+}
+
+// Open Cloud names a missing API key scope in `error` / `code` (INSUFFICIENT_SCOPE) or the message
+export function isScopeErrorBody(text) {
+	const parsed = safeJsonParse(text || "")
+	if (!parsed.ok) return false
+	const v = parsed.value || {}
+	const fields = [v.error, v.code, v.message, ...(Array.isArray(v.errors) ? v.errors.map((e) => e?.message) : [])]
+	return fields.some((f) => typeof f === "string" && /scope/i.test(f))
+}
+
+// The credentials a Roblox endpoint authenticates with, out of those sent: only apis.roblox.com reads
+// x-api-key, and its Open Cloud routes (/cloud/...) read nothing else
+function authenticatingCredentials(urlObj, sent) {
+	if (urlObj.host !== "apis.roblox.com") return sent.filter((c) => c !== "apiKey")
+	if (urlObj.pathname.startsWith("/cloud/")) return sent.filter((c) => c !== "cookie")
+	return sent
+}
+
+export function isXsrfInvalidBody(text) {
+	const parsed = safeJsonParse(text || "")
+	if (!parsed.ok) return false
+	const msg = parsed.value?.errors?.[0]?.message
+	return typeof msg === "string" && msg.toLowerCase().includes("xsrf token invalid")
+}
+
+// ---- Redirects ----
+
+// Headers that carry credentials; re-derived on every redirect hop
+const CREDENTIAL_HEADERS = ["cookie", "x-api-key", "x-csrf-token"]
+
+function pickHeader(headers, name) {
+	for (const [k, v] of Object.entries(headers || {})) if (k.toLowerCase() === name) return v
+	return undefined
+}
+
+function credentialNames(headers) {
+	return Object.keys(headers || {})
+		.map((k) => k.toLowerCase())
+		.filter((k) => CREDENTIAL_HEADERS.includes(k))
+}
+
+// 303 (and 301/302 after a write, like browsers) continue as a GET without the body
+function redirectInit(init, status) {
+	const method = init.method || "GET"
+	const toGet = status === 303 || ((status === 301 || status === 302) && method !== "GET" && method !== "HEAD")
+	if (!toGet) return init
+
+	const headers = {}
+	for (const [k, v] of Object.entries(init.headers || {})) if (k.toLowerCase() !== "content-type") headers[k] = v
+	const { body: _body, ...rest } = init
+	return { ...rest, method: "GET", headers }
+}
+
+// Headers for one hop. Credentials come from the ORIGINAL request only:
+// - with a redirect policy (fetch-url): those the hop's rule allows (cookie / apiKey)
+// - without one: all of them while the hop stays on the original host, none once it leaves
+// The CSRF token never leaves the original host.
+function hopHeaders(originalHeaders, hopBaseHeaders, originalHost, nextObj, decision) {
+	const headers = {}
+	for (const [k, v] of Object.entries(hopBaseHeaders || {})) {
+		if (!CREDENTIAL_HEADERS.includes(k.toLowerCase())) headers[k] = v
+	}
+
+	const sameHost = nextObj.host === originalHost
+	const cookie = pickHeader(originalHeaders, "cookie")
+	const apiKey = pickHeader(originalHeaders, "x-api-key")
+	const csrf = pickHeader(originalHeaders, "x-csrf-token")
+
+	const allowCookie = decision ? decision.cookie === true : sameHost
+	const allowApiKey = decision ? decision.apiKey === true : sameHost
+
+	if (cookie && allowCookie) headers.Cookie = cookie
+	if (apiKey && allowApiKey) headers["x-api-key"] = apiKey
+	if (csrf && sameHost) headers["x-csrf-token"] = csrf
+	return headers
+}
+
+export function redirectBlockedMessage(blocked) {
+	if (blocked?.reason === "max_redirects") return "Too many redirects"
+	if (blocked?.reason === "policy") return "Redirect blocked by policy"
+	return "Redirect host not allowed"
+}
+
+// ---- Allowlist ----
+
+export function isHostAllowed(host, allowedHosts = ROBLOX_HOSTS) {
+	return typeof host === "string" && allowedHosts.includes(host)
+}
+
+// ---- Retry / timeout helpers ----
+
+// `signal` (optional) cancels the call early, e.g. when the handler's time budget runs out
+export function fetchWithTimeout(url, options, timeoutMs = UPSTREAM_TIMEOUT_MS, signal = null) {
+	const controller = new AbortController()
+	const timer = setTimeout(() => controller.abort(), timeoutMs)
+
+	return fetch(url, {
+		...options,
+		signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+	}).finally(() => clearTimeout(timer))
+}
+
+export function isRetryableStatus(status) {
+	return status === 429 || status === 408 || status === 500 || status === 502 || status === 503 || status === 504
+}
+
+export function parseRetryAfterMs(headers) {
+	const raw = headers.get("retry-after")
+	if (!raw) return null
+
+	// "Retry-After: 2" (seconds)
+	const asInt = Number(raw)
+	if (Number.isFinite(asInt) && asInt > 0) return clampInt(asInt * 1000, 0, RETRY_MAX_DELAY_MS)
+
+	// "Retry-After: Wed, 21 Oct 2015 07:28:00 GMT"
+	const asDate = Date.parse(raw)
+	if (Number.isFinite(asDate)) {
+		const diff = asDate - Date.now()
+		if (diff > 0) return clampInt(diff, 0, RETRY_MAX_DELAY_MS)
+	}
+
+	return null
+}
+
+export function getRateLimitInfo(headers) {
+	const pick = (name) => headers.get(name) || null
+
+	return {
+		retryAfter: pick("retry-after"),
+		remaining: pick("x-ratelimit-remaining") || pick("x-rate-limit-remaining"),
+		limit: pick("x-ratelimit-limit") || pick("x-rate-limit-limit"),
+		reset: pick("x-ratelimit-reset") || pick("x-rate-limit-reset"),
+	}
+}
+
+export function computeBackoffMs(attemptIndex, retryAfterMs) {
+	if (typeof retryAfterMs === "number" && Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+		return clampInt(retryAfterMs, 0, RETRY_MAX_DELAY_MS)
+	}
+
+	const exp = RETRY_BASE_DELAY_MS * Math.pow(2, attemptIndex - 1)
+	const jitter = Math.floor(Math.random() * 250)
+	return clampInt(exp + jitter, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)
+}
+
+// ---- Client ----
+
+// Creates a per-request upstream client.
+//
+// options:
+// - allowedHosts   hosts this handler may call (default: ROBLOX_HOSTS)
+// - log            logger from makeLogger
+// - errors         array that getJson pushes { step, message, context } into
+// - metrics        object from createMetrics
+// - jitter         sleep getUpstreamDelayMs() before every upstream call (default true); the throttle
+//                  stretches or shortens it per host
+// - throttle       per-host adaptive throttle (default: getUpstreamThrottle(); false disables).
+//                  Caps concurrent calls per host and pauses a host after a 429, see lib/upstream-throttle.js
+// - bypassCache    add a cache-buster param + no-cache headers (default false)
+// - maxAttempts    retry cap (default MAX_ATTEMPTS)
+// - timeoutMs      per-attempt timeout (default UPSTREAM_TIMEOUT_MS)
+// - maxRedirects   redirect hops followed per attempt (default MAX_REDIRECTS; 0 = any redirect is blocked)
+// - redirectPolicy (method, urlObj) => { allowed, rule, cookie, apiKey } checked on every hop
+//                  (lib/fetch-policy.js evaluatePolicy); decides which credentials a hop keeps
+// - cache          cache from lib/cache.js (getSharedCache); omit to disable caching
+// - cacheTtls      { [step]: { ttlMs, swrMs } } — only these getJson steps are cached
+// - cacheStats     object from createCacheStats, for X-Cache headers
+// - refresh        skip cache reads (values are still written)
+// - credentials    credential pool (default: getCredentialPool()); a slot is picked per attempt, so a
+//                  retry after a 429 / 401 can go out with another credential
+// - credentialHealth  false: upstream answers do not feed slot health (fetch-url, whose caller picks
+//                  the target, so its 401s / 429s say nothing about the slot)
+// - signal         AbortSignal for everything this client does (see lib/deadline.js): cancels in-flight
+//                  calls, backoff sleeps and throttle waits. Once aborted nothing is retried and getJson
+//                  returns null without recording an error; the caller reports what was skipped.
+export function createRobloxClient(options = {}) {
+	const allowedHosts = options.allowedHosts || ROBLOX_HOSTS
+	const log = options.log || makeLogger("RobloxClient", makeRequestId())
+	const errors = options.errors || []
+	const metrics = options.metrics || createMetrics()
+	const jitter = options.jitter !== false
+	const bypassCache = options.bypassCache === true
+	const maxAttempts = options.maxAttempts || MAX_ATTEMPTS
+	const timeoutMs = options.timeoutMs || UPSTREAM_TIMEOUT_MS
+	const maxRedirects = Number.isInteger(options.maxRedirects) && options.maxRedirects >= 0 ? options.maxRedirects : MAX_REDIRECTS
+	const redirectPolicy = typeof options.redirectPolicy === "function" ? options.redirectPolicy : null
+	const cache = options.cache || null
+	const cacheTtls = options.cacheTtls || null
+	const cacheStats = options.cacheStats || null
+	const refresh = options.refresh === true
+	const throttle = options.throttle === false ? null : options.throttle || getUpstreamThrottle()
+	const signal = options.signal || null
+	const credentials = options.credentials === undefined ? getCredentialPool() : options.credentials
+	const credentialHealth = options.credentialHealth !== false
+
+	function withCacheBuster(rawUrl, cacheBust) {
+		if (!bypassCache) return rawUrl
+		const u = new URL(rawUrl)
+		u.searchParams.append("cb", cacheBust)
+		return u.toString()
+	}
+
+	function paceMs(host) {
+		const base = getUpstreamDelayMs()
+		return throttle ? throttle.delayMs(host, base) : base
+	}
+
+	// One upstream attempt inside the host's throttle slot. The response's rate-limit headers are
+	// fed back to the throttle of the host that actually answered (the last redirect hop).
+	async function fetchOnce(targetUrl, init, fetchOpts) {
+		if (!throttle) return fetchHops(targetUrl, init, fetchOpts)
+
+		const host = new URL(targetUrl).host
+		const release = await throttle.acquire(host, signal)
+		try {
+			const result = await fetchHops(targetUrl, init, fetchOpts)
+			if (!result.redirectBlocked) {
+				const answeredBy = result.redirects.at(-1)?.host || host
+				const change = throttle.observe(answeredBy, result)
+				if (change) {
+					log.warn(
+						`THROTTLE host=${answeredBy} ${change.event} concurrency=${change.concurrency} delayScale=${change.delayScale}` +
+							(change.pauseMs != null ? ` pause=${change.pauseMs}ms` : "") +
+							` rate={remaining:${result.rate?.remaining ?? "?"}, reset:${result.rate?.reset ?? "?"}}`,
+						{ event: change.event, pauseMs: change.pauseMs ?? null, rateLimit: result.rate ?? null }
+					)
+				}
+			}
+			return result
+		} finally {
+			release()
+		}
+	}
+
+	// Follows up to `maxRedirects` hops. Every hop must stay on an allowed host (and pass
+	// `redirectPolicy` when set); credentials are re-derived per hop (see hopHeaders).
+	// stream: keep a 2xx body unread (`body` is the ReadableStream, `text` is ""); other statuses
+	// are still buffered because retries, CSRF and logging need them.
+	async function fetchHops(targetUrl, init, { stream = false } = {}) {
+		if (jitter) await upstreamSleep(paceMs(new URL(targetUrl).host), signal)
+
+		const cacheBust = Date.now().toString()
+		const withFetchCache = (i) => (bypassCache ? { ...i, cache: "no-store", next: { revalidate: 0 } } : i)
+
+		const start = Date.now()
+		const redirects = []
+		const originalHost = new URL(targetUrl).host
+		let currentUrl = targetUrl
+		let currentInit = init
+		let final = await fetchWithTimeout(withCacheBuster(currentUrl, cacheBust), withFetchCache(currentInit), timeoutMs, signal)
+
+		while (final.status >= 300 && final.status < 400 && final.headers.get("location")) {
+			const nextObj = new URL(final.headers.get("location"), currentUrl)
+			const hop = { status: final.status, host: nextObj.host, path: nextObj.pathname }
+			await final.body?.cancel().catch(() => {})
+
+			const nextInit = redirectInit(currentInit, final.status)
+			const decision = redirectPolicy ? redirectPolicy(nextInit.method || "GET", nextObj) : null
+
+			let blockedReason = null
+			if (redirects.length >= maxRedirects) blockedReason = "max_redirects"
+			else if (!isHostAllowed(nextObj.host, allowedHosts)) blockedReason = "host_not_allowed"
+			else if (decision && !decision.allowed) blockedReason = "policy"
+
+			if (blockedReason) {
+				redirects.push({ ...hop, blocked: blockedReason })
+				return {
+					status: 0,
+					ms: Date.now() - start,
+					text: "",
+					contentType: "",
+					headers: null,
+					rate: null,
+					redirects,
+					redirectBlocked: {
+						from: currentUrl,
+						to: nextObj.toString(),
+						host: nextObj.host,
+						reason: blockedReason,
+						...(decision && !decision.allowed ? { rule: decision.rule } : {}),
+					},
+				}
+			}
+
+			currentInit = { ...nextInit, headers: hopHeaders(init.headers, nextInit.headers, originalHost, nextObj, decision) }
+			currentUrl = nextObj.toString()
+			redirects.push(hop)
+
+			log.debug(
+				`redirect ${hop.status} -> ${safeUpstreamLabel(nextObj)} hop=${redirects.length}/${maxRedirects} ` +
+					`credentials=${credentialNames(currentInit.headers).join(",") || "none"}`
+			)
+			if (jitter) await upstreamSleep(paceMs(nextObj.host), signal)
+
+			final = await fetchWithTimeout(withCacheBuster(currentUrl, cacheBust), withFetchCache(currentInit), timeoutMs, signal)
+		}
+
+		if (stream && final.ok) {
+			return {
+				status: final.status,
+				ms: Date.now() - start,
+				text: "",
+				body: final.body,
+				contentType: final.headers.get("content-type") || "",
+				headers: final.headers,
+				rate: getRateLimitInfo(final.headers),
+				redirects,
+			}
+		}
+
+		const text = await final.text()
+		return {
+			status: final.status,
+			ms: Date.now() - start,
+			text: text || "",
+			contentType: final.headers.get("content-type") || "",
+			headers: final.headers,
+			rate: getRateLimitInfo(final.headers),
+			redirects,
+		}
+	}
+
+	// One attempt for CSRF-guarded methods: sends the cached token, and on a 403
+	// captures the x-csrf-token from the response and replays once.
+	async function fetchOnceWithCsrf(targetUrl, init, step, fetchOpts, csrfKey) {
+		const withToken = (token) => {
+			const headers = { ...init.headers }
+			if (truthy(token)) headers["x-csrf-token"] = token
+			else delete headers["x-csrf-token"]
+			return { ...init, headers }
+		}
+
+		const existing = getCsrfToken(csrfKey)
+		const result = await fetchOnce(targetUrl, withToken(existing), fetchOpts)
+		result.csrf = existing ? "cached" : "none"
+		if (result.status !== 403 || !result.headers) return result
+
+		const newToken = result.headers.get("x-csrf-token")
+		if (newToken && newToken !== existing) {
+			setCsrfToken(newToken, csrfKey)
+			log.warn(`CSRF step=${step} refreshed status=403 ms=${result.ms}`)
+
+			const replay = await fetchOnce(targetUrl, withToken(newToken), fetchOpts)
+			replay.csrf = "negotiated"
+			return replay
+		}
+
+		if (existing && isXsrfInvalidBody(result.text)) {
+			// rare: invalid body but header missing
+			setCsrfToken(null, csrfKey)
+			log.warn(`CSRF step=${step} invalid_token_bootstrap status=403 ms=${result.ms}`)
+
+			const boot = await fetchOnce(targetUrl, withToken(null), fetchOpts)
+			const bootToken = boot.headers ? boot.headers.get("x-csrf-token") : null
+
+			if (boot.status === 403 && bootToken) {
+				setCsrfToken(bootToken, csrfKey)
+				log.warn(`CSRF step=${step} bootstrapped_token status=403`)
+
+				const final = await fetchOnce(targetUrl, withToken(bootToken), fetchOpts)
+				final.csrf = "negotiated"
+				return final
+			}
+
+			log.warn(`CSRF step=${step} bootstrap_failed status=${boot.status} snippet="${getSnippet(boot.text)}"`)
+			boot.csrf = "none"
+			boot.csrfFailed = boot.status === 403
+			return boot
+		}
+
+		// a token rejection without a replacement token: Roblox gave us nothing to negotiate with
+		result.csrfFailed = isXsrfInvalidBody(result.text)
+		return result
+	}
+
+	// Sends a request with the shared retry/backoff policy.
+	// Returns the last upstream result (2xx or not); throws when every attempt failed at network level.
+	// Throws { code: "INVALID_URL" | "HOST_NOT_ALLOWED" } before any network call.
+	//
+	// `stream: true` leaves a 2xx body unread on `result.body` (see fetchOnce); the caller must consume
+	// or cancel it.
+	//
+	// Non-GET requests are treated as writes: they are only retried on 429 (never on 5xx or
+	// network errors, which may have been applied upstream). Pass `idempotent: true` for
+	// read-only POSTs such as catalog details.
+	async function request(
+		url,
+		{
+			method = "GET",
+			headers = null,
+			body = undefined,
+			step = "upstream",
+			auth = true,
+			idempotent = undefined,
+			stream = false,
+		} = {}
+	) {
+		let urlObj
+		try {
+			urlObj = new URL(url)
+		} catch {
+			throw Object.assign(new Error("Invalid URL format"), { code: "INVALID_URL" })
+		}
+
+		if (!isHostAllowed(urlObj.host, allowedHosts)) {
+			throw Object.assign(new Error("Host not allowed"), { code: "HOST_NOT_ALLOWED", host: urlObj.host })
+		}
+
+		// traceparent continues the caller's trace (lib/logger.js) on Roblox's side
+		const traced = log.traceparent ? { traceparent: log.traceparent, ...(headers || {}) } : headers
+		const extra = bypassCache ? { "Cache-Control": "no-cache", ...(traced || {}) } : traced
+		const upstream = { host: urlObj.host, path: safeUpstreamLabel(urlObj) }
+
+		const useCsrf = CSRF_METHODS.includes(method)
+		const safeToRetry = idempotent ?? method === "GET"
+		const fetchOpts = { stream }
+
+		signal?.throwIfAborted()
+		metrics.upstreamCalls += 1
+
+		for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+			try {
+				log.debug(`${method} step=${step} attempt=${attempt}/${maxAttempts} host=${urlObj.host} path=${upstream.path}`, {
+					method,
+					attempt,
+					maxAttempts,
+				})
+
+				// credentials are picked per attempt so a retry can rotate away from a failing slot
+				const built = buildAuthHeaders({ auth, extra, host: urlObj.host, pool: credentials })
+				const init = { method, headers: built.headers, redirect: "manual" }
+				if (body !== undefined) init.body = body
+
+				const result = useCsrf
+					? await fetchOnceWithCsrf(url, init, step, fetchOpts, built.slot?.index ?? 0)
+					: await fetchOnce(url, init, fetchOpts)
+				result.authSent = built.authSent
+				if (result.redirectBlocked) return result
+
+				const change = credentialHealth
+					? credentials?.report(built.slot, {
+							status: result.status,
+							rate: result.rate,
+							complete: built.complete,
+							sent: authenticatingCredentials(urlObj, built.authSent.tried),
+							scopeError: result.status === 401 && isScopeErrorBody(result.text),
+						})
+					: null
+				if (change) {
+					const which = change.credentials ? ` credentials=${change.credentials.join(",")}` : ""
+					log.warn(`CREDENTIAL slot=${built.slot.name} ${change.event} reason=${change.reason}${which} for=${change.outForMs}ms`, {
+						event: change.event,
+						outForMs: change.outForMs,
+					})
+				}
+
+				// 304 answers a conditional request (raw fetch-url forwards If-None-Match / If-Modified-Since)
+				const ok = (result.status >= 200 && result.status < 300) || result.status === 304
+				if (ok) return result
+
+				metrics.upstreamNon2xx += 1
+				if (result.status === 429) metrics.upstream429 += 1
+
+				log.warn(`FAIL step=${step} status=${result.status} ms=${result.ms} snippet="${getSnippet(result.text)}"`, {
+					...upstream,
+					method,
+					attempt,
+					rateLimit: result.rate ?? null,
+				})
+
+				const retryable = safeToRetry ? isRetryableStatus(result.status) : result.status === 429
+				if (retryable && attempt < maxAttempts) {
+					const retryAfterMs = result.headers ? parseRetryAfterMs(result.headers) : null
+					const waitMs = computeBackoffMs(attempt, retryAfterMs)
+					metrics.upstreamRetries += 1
+
+					log.warn(
+						`RETRY step=${step} status=${result.status} attempt=${attempt}/${maxAttempts} wait=${waitMs}ms ` +
+							`rate={remaining:${result.rate?.remaining ?? "?"}, reset:${result.rate?.reset ?? "?"}}`,
+						{ ...upstream, method, attempt, maxAttempts, waitMs, rateLimit: result.rate ?? null }
+					)
+
+					await upstreamSleep(waitMs, signal)
+					continue
+				}
+
+				return result
+			} catch (e) {
+				const isAbort = String(e && e.name) === "AbortError"
+				if (attempt >= maxAttempts || !safeToRetry || signal?.aborted) throw e
+
+				const waitMs = computeBackoffMs(attempt, null)
+				metrics.upstreamRetries += 1
+				log.warn(
+					`RETRY step=${step} reason=${isAbort ? "timeout" : "network"} attempt=${attempt}/${maxAttempts} wait=${waitMs}ms error="${String(e)}"`,
+					{ ...upstream, method, attempt, maxAttempts, waitMs }
+				)
+				await upstreamSleep(waitMs, signal)
+			}
+		}
+
+		return null
+	}
+
+	// GET + JSON parse. Never throws: failures are pushed into `errors` and null is returned.
+	// Steps listed in `cacheTtls` are read through `cache` (see lib/cache.js).
+	async function getJson(url, step, context, { auth = true } = {}) {
+		const policy = cache && cacheTtls ? cacheTtls[step] : null
+		if (!policy) return fetchJson(url, step, context, auth, errors)
+
+		return cachedFetch(
+			cache,
+			`rbx:${step}:${auth ? "auth" : "anon"}:${url}`,
+			{ ...policy, refresh },
+			({ background }) => fetchJson(url, step, context, auth, background ? [] : errors),
+			cacheStats
+		)
+	}
+
+	// Uncached getJson that also reports the upstream status (0 = no HTTP response).
+	// codeFor(status) may name the error code of a non-2xx status (lib/error-codes.js); null = default.
+	// Returns { value, status }.
+	async function getJsonResult(url, step, context, { auth = true, codeFor = null } = {}) {
+		const meta = { status: 0 }
+		const value = await fetchJson(url, step, context, auth, errors, meta, codeFor)
+		return { value, status: meta.status }
+	}
+
+	async function fetchJson(url, step, context, auth, errors, meta = null, codeFor = null) {
+		let result
+		try {
+			result = await request(url, { step, auth })
+		} catch (e) {
+			if (signal?.aborted) {
+				log.debug(`SKIP step=${step} reason=aborted`)
+				return null
+			}
+
+			if (e && e.code === "INVALID_URL") {
+				errors.push(pipelineError("INVALID_URL", step, "Invalid URL format", { ...context, url }))
+				log.warn(`FAIL step=${step} reason=invalid_url`)
+				return null
+			}
+
+			if (e && e.code === "HOST_NOT_ALLOWED") {
+				errors.push(pipelineError("HOST_NOT_ALLOWED", step, "Host not allowed", { ...context, host: e.host, url }))
+				log.warn(`FAIL step=${step} reason=host_not_allowed host=${e.host}`)
+				return null
+			}
+
+			errors.push(pipelineError(fetchFailureCode(e), step, "Upstream fetch failed", { ...context, url, error: String(e) }))
+			log.error(`FAIL step=${step} reason=fetch_failed error="${String(e)}"`)
+			return null
+		}
+
+		if (meta) meta.status = result.redirectBlocked ? 0 : result.status
+
+		if (result.redirectBlocked) {
+			errors.push(
+				pipelineError("REDIRECT_BLOCKED", step, redirectBlockedMessage(result.redirectBlocked), {
+					...context,
+					...result.redirectBlocked,
+					redirects: result.redirects,
+				})
+			)
+			log.warn(`FAIL step=${step} reason=redirect_${result.redirectBlocked.reason} host=${result.redirectBlocked.host}`)
+			return null
+		}
+
+		if (result.status < 200 || result.status >= 300) {
+			errors.push(
+				pipelineError(codeFor?.(result.status) ?? upstreamStatusCode(result), step, "Upstream error", {
+					...context,
+					url,
+					upstreamStatus: result.status,
+					ms: result.ms,
+					rateLimit: result.rate,
+					bodySnippet: String(result.text || "").slice(0, 300),
+				})
+			)
+			return null
+		}
+
+		const parsed = safeJsonParse(result.text)
+		if (!parsed.ok) {
+			errors.push(
+				pipelineError("UPSTREAM_BAD_RESPONSE", step, "Upstream returned non-JSON response", {
+					...context,
+					url,
+					upstreamStatus: result.status,
+					ms: result.ms,
+					upstreamContentType: result.contentType,
+					bodySnippet: String(result.text || "").slice(0, 300),
+				})
+			)
+			log.warn(`FAIL step=${step} reason=non_json status=${result.status} ms=${result.ms}`)
+			return null
+		}
+
+		return parsed.value
+	}
+
+	return { request, getJson, getJsonResult, errors, metrics, log }
+}
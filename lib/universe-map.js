@@ -0,0 +1,196 @@
+// lib/universe-map.js
+// Persistent place -> universe mapping shared by every endpoint
+//
+// A place never moves to another universe, so a resolved mapping is kept for a long time in the
+// shared cache (memory per warm instance + optional KV, see lib/cache.js). Places Roblox rejects
+// (400/404, or a 200 without universeId) are cached negatively for a short time so a bad id in a
+// donation board does not hit upstream on every request.
+
+import { getSharedCache, isCacheDisabled } from "./cache.js"
+import { createLimiter, safeJsonParse } from "./roblox-client.js"
+import { pipelineError } from "./error-codes.js"
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+export const UNIVERSE_MAP_TTL_MS = 30 * DAY
+export const UNIVERSE_MAP_NEGATIVE_TTL_MS = 10 * MINUTE
+
+// Batch lookups (get-universe-id-from-place-id?placeIds=, warm-universe-map)
+export const MAX_BATCH_PLACE_IDS = 500
+export const BATCH_CONCURRENCY = 5
+
+export const UNIVERSE_URL_BASE = "https://apis.roblox.com/universes/v1/places"
+
+function mapKey(placeId) {
+	return `placeUniverse:${placeId}`
+}
+
+export function universeUrl(placeId) {
+	return `${UNIVERSE_URL_BASE}/${placeId}/universe`
+}
+
+export function isInvalidPlaceStatus(status) {
+	return status === 400 || status === 404
+}
+
+function getStore() {
+	return isCacheDisabled() ? null : getSharedCache()
+}
+
+// Returns { universeId } | { invalid: true } | null (unknown or expired)
+export async function readMapping(placeId) {
+	const store = getStore()
+	if (!store) return null
+
+	const entry = await store.get(mapKey(placeId))
+	if (!entry || Date.now() - entry.t >= entry.ttl) return null
+	return entry.v
+}
+
+export async function writeMapping(placeId, universeId) {
+	const store = getStore()
+	if (!store) return
+	await store.set(mapKey(placeId), { v: { universeId }, t: Date.now(), ttl: UNIVERSE_MAP_TTL_MS, swr: 0 })
+}
+
+export async function writeInvalid(placeId) {
+	const store = getStore()
+	if (!store) return
+	await store.set(mapKey(placeId), { v: { invalid: true }, t: Date.now(), ttl: UNIVERSE_MAP_NEGATIVE_TTL_MS, swr: 0 })
+}
+
+// Consults the mapping before going upstream.
+//
+// fetcher: async () => { universeId, ...extra } | { invalid: true, ...extra } | null
+//   null means a transient failure (timeout, 429, 5xx) and is never cached.
+// stats:   optional cache stats (lib/cache.js createCacheStats) for X-Cache headers
+//
+// Returns { universeId: number|null, invalid: boolean, cached: boolean, ...extra }
+export async function resolvePlaceUniverse(placeId, fetcher, { refresh = false, stats = null } = {}) {
+	if (!refresh) {
+		const known = await readMapping(placeId)
+		if (known) {
+			if (stats) stats.hit += 1
+			return known.invalid
+				? { universeId: null, invalid: true, cached: true }
+				: { universeId: known.universeId, invalid: false, cached: true }
+		}
+	}
+
+	if (stats) {
+		if (refresh) stats.bypass += 1
+		else stats.miss += 1
+	}
+
+	const fetched = await fetcher()
+	if (!fetched) return { universeId: null, invalid: false, cached: false }
+
+	if (fetched.invalid) {
+		await writeInvalid(placeId)
+		return { ...fetched, universeId: null, invalid: true, cached: false }
+	}
+
+	await writeMapping(placeId, fetched.universeId)
+	return { ...fetched, invalid: false, cached: false }
+}
+
+// Fetcher for handlers built on createRobloxClient (errors are reported through the client).
+// `response` is set when Roblox answered 200 without a universeId.
+export function clientUniverseFetcher(client, placeId, context) {
+	return async () => {
+		const { value, status } = await client.getJsonResult(universeUrl(placeId), "universes.fromPlace", context, {
+			codeFor: (s) => (isInvalidPlaceStatus(s) ? "INVALID_PLACE" : null),
+		})
+
+		const universeId = value?.universeId
+		if (typeof universeId === "number" && Number.isFinite(universeId)) return { universeId }
+		if (value != null) return { invalid: true, status, response: value }
+		if (isInvalidPlaceStatus(status)) return { invalid: true, status }
+		return null
+	}
+}
+
+// errors[] entry for a place that did not resolve and whose failure the client has not reported
+// already. A 200 without universeId is cached negatively like a 400 / 404, so it is INVALID_PLACE
+// (severity warning) whether it came from Roblox just now or from the mapping store; only a fetcher
+// that threw is a failure. null when there is nothing to add.
+export function unresolvedPlaceError(resolved, context = {}) {
+	if (resolved.universeId != null) return null
+	if (resolved.response != null) {
+		return pipelineError("INVALID_PLACE", "universes.fromPlace", "Invalid place (no universeId in upstream response)", {
+			...context,
+			response: resolved.response,
+		})
+	}
+	if (resolved.invalid && resolved.cached) {
+		return pipelineError("INVALID_PLACE", "universes.fromPlace", "Invalid place (cached negative lookup)", context)
+	}
+	if (resolved.error) return pipelineError("UPSTREAM_FETCH_FAILED", "universes.fromPlace", resolved.error, context)
+	return null
+}
+
+// Reads a batch of place ids from `?placeIds=1,2,3`, a POST body `{ "placeIds": [...] }` or a bare
+// JSON array. Entries that are not positive integers are returned in `rejected` instead of failing
+// the batch; duplicates are dropped.
+//
+// Returns { ok: true, placeIds, rejected } | { ok: false, error }
+export function readPlaceIdsInput(req, { max = MAX_BATCH_PLACE_IDS } = {}) {
+	let raw
+	if (req.method === "POST") {
+		let body = req.body
+		if (typeof body === "string") {
+			const parsed = safeJsonParse(body)
+			if (!parsed.ok) return { ok: false, error: "Invalid JSON body" }
+			body = parsed.value
+		}
+		raw = Array.isArray(body) ? body : body?.placeIds
+		if (!Array.isArray(raw)) return { ok: false, error: "Body must be a JSON array or { placeIds: [...] }" }
+	} else {
+		const q = Array.isArray(req.query?.placeIds) ? req.query.placeIds.join(",") : req.query?.placeIds
+		raw = String(q || "")
+			.split(",")
+			.map((s) => s.trim())
+			.filter((s) => s !== "")
+	}
+
+	const ids = []
+	const rejected = []
+	for (const v of raw) {
+		const n = typeof v === "number" ? v : Number(String(v).trim())
+		if (Number.isInteger(n) && n > 0) ids.push(n)
+		else rejected.push(v)
+	}
+
+	const unique = Array.from(new Set(ids))
+	if (unique.length === 0) return { ok: false, error: "No valid placeIds" }
+	if (unique.length > max) return { ok: false, error: `Too many placeIds (max ${max})` }
+
+	return { ok: true, placeIds: unique, rejected }
+}
+
+// resolvePlaceUniverse over many places with bounded concurrency.
+// fetcherFor: (placeId) => fetcher (see resolvePlaceUniverse)
+//
+// Returns Map<placeId, resolved> in input order. A fetcher that throws only fails its own place
+// (resolved as { universeId: null, invalid: false, cached: false, error }).
+export async function resolvePlaceUniverseBatch(
+	placeIds,
+	fetcherFor,
+	{ refresh = false, stats = null, concurrency = BATCH_CONCURRENCY } = {}
+) {
+	const limiter = createLimiter(concurrency)
+
+	const settled = await Promise.all(
+		placeIds.map((placeId) =>
+			limiter(() => resolvePlaceUniverse(placeId, fetcherFor(placeId), { refresh, stats })).catch((err) => ({
+				universeId: null,
+				invalid: false,
+				cached: false,
+				error: String(err),
+			}))
+		)
+	)
+
+	return new Map(placeIds.map((placeId, i) => [placeId, settled[i]]))
+}
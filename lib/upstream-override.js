@@ -0,0 +1,63 @@
+// lib/upstream-override.js
+// Sends Roblox upstream calls to a local mock instead of *.roblox.com (local development only)
+//
+// UPSTREAM_OVERRIDE forms:
+// - "http://127.0.0.1:4010"                                 every *.roblox.com host
+// - "apis.roblox.com=http://127.0.0.1:4010,games.roblox.com=http://127.0.0.1:4011"
+// - both: "games.roblox.com=http://127.0.0.1:4011,*=http://127.0.0.1:4010"
+//
+// Path and query are kept; the original host is sent as X-Forwarded-Host so one mock can serve
+// several hosts. The host allowlist, policy and redirect checks still see the real Roblox URL.
+
+export function parseUpstreamOverride(spec) {
+	const map = new Map()
+	for (const part of String(spec || "").split(",")) {
+		const item = part.trim()
+		if (!item) continue
+
+		const eq = item.indexOf("=")
+		const host = eq > 0 ? item.slice(0, eq).trim().toLowerCase() : "*"
+		const base = (eq > 0 ? item.slice(eq + 1) : item).trim().replace(/\/+$/, "")
+
+		const baseObj = new URL(base)
+		if (baseObj.protocol !== "http:" && baseObj.protocol !== "https:") {
+			throw new Error(`UPSTREAM_OVERRIDE: unsupported protocol in ${base}`)
+		}
+		map.set(host, base)
+	}
+	return map
+}
+
+function resolveBase(map, host) {
+	if (map.has(host)) return map.get(host)
+	if (host.endsWith(".roblox.com") && map.has("*")) return map.get("*")
+	return null
+}
+
+// Wraps globalThis.fetch; returns a restore function (no-op when spec is empty)
+export function installUpstreamOverride(spec) {
+	const map = parseUpstreamOverride(spec)
+	if (map.size === 0) return () => {}
+
+	const realFetch = globalThis.fetch
+	globalThis.fetch = (input, init = {}) => {
+		let target
+		try {
+			target = new URL(typeof input === "string" || input instanceof URL ? String(input) : input.url)
+		} catch {
+			return realFetch(input, init)
+		}
+
+		const base = resolveBase(map, target.host)
+		if (!base) return realFetch(input, init)
+
+		// Headers / [name, value][] / plain object alike (spreading a Headers instance loses its values)
+		const headers = new Headers(init.headers)
+		headers.set("X-Forwarded-Host", target.host)
+		return realFetch(base + target.pathname + target.search, { ...init, headers })
+	}
+
+	return () => {
+		globalThis.fetch = realFetch
+	}
+}
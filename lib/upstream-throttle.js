@@ -0,0 +1,190 @@
+// lib/upstream-throttle.js
+// Adaptive pacing of upstream calls per Roblox host, shared by every request on a warm instance
+//
+// Each host has:
+// - a concurrency cap (1 .. maxConcurrency): halved when x-ratelimit-remaining runs low,
+//   raised by one per response with plenty of headroom
+// - a delay scale applied to the client's request jitter (getUpstreamDelayMs): doubled under
+//   pressure, eased down to MIN_DELAY_SCALE while headroom is plentiful so fast paths stay fast
+// - a pause: after a 429 no new call to that host starts until Retry-After / x-ratelimit-reset
+//
+// Responses without rate-limit headers drift the host back to its defaults (scale 1, full cap).
+//
+// Env vars (Vercel):
+// - UPSTREAM_THROTTLE_DISABLED=1   no per-host caps or pauses (plain fixed jitter)
+
+export const THROTTLE_MAX_CONCURRENCY = 8
+export const THROTTLE_MIN_DELAY_SCALE = 0.25
+export const THROTTLE_MAX_DELAY_SCALE = 8
+export const THROTTLE_DEFAULT_PAUSE_MS = 2000
+export const THROTTLE_MAX_PAUSE_MS = 30000
+
+// remaining / limit below LOW is pressure, above HIGH is plenty. Without a limit header the
+// absolute remaining count is compared instead.
+const LOW_HEADROOM = 0.2
+const HIGH_HEADROOM = 0.5
+const LOW_REMAINING = 5
+const HIGH_REMAINING = 50
+
+function toNumber(value) {
+	if (value == null || value === "") return null
+	const n = Number(value)
+	return Number.isFinite(n) ? n : null
+}
+
+// "low" | "ok" | "high", or null when the response carried no rate-limit headers
+export function headroom(rate) {
+	const remaining = toNumber(rate?.remaining)
+	if (remaining == null) return null
+
+	const limit = toNumber(rate?.limit)
+	if (limit && limit > 0) {
+		const ratio = remaining / limit
+		if (ratio < LOW_HEADROOM) return "low"
+		return ratio > HIGH_HEADROOM ? "high" : "ok"
+	}
+
+	if (remaining <= LOW_REMAINING) return "low"
+	return remaining >= HIGH_REMAINING ? "high" : "ok"
+}
+
+// Milliseconds until the host's window resets: Retry-After (seconds or HTTP date) wins over
+// x-ratelimit-reset (seconds, or an epoch timestamp). null when neither is usable.
+export function pauseMsFor(rate, now = Date.now()) {
+	const retryAfter = rate?.retryAfter
+	if (retryAfter) {
+		const secs = toNumber(retryAfter)
+		if (secs != null) return Math.max(0, secs * 1000)
+		const at = Date.parse(retryAfter)
+		if (Number.isFinite(at)) return Math.max(0, at - now)
+	}
+
+	const reset = toNumber(rate?.reset)
+	if (reset == null) return null
+	// epoch seconds vs "seconds from now"
+	return reset > 1e9 ? Math.max(0, reset * 1000 - now) : Math.max(0, reset * 1000)
+}
+
+export function createUpstreamThrottle({ maxConcurrency = THROTTLE_MAX_CONCURRENCY } = {}) {
+	const hosts = new Map()
+
+	function state(host) {
+		let s = hosts.get(host)
+		if (!s) {
+			s = { limit: maxConcurrency, active: 0, queue: [], delayScale: 1, pausedUntil: 0, timer: null }
+			hosts.set(host, s)
+		}
+		return s
+	}
+
+	function pump(s) {
+		const waitMs = s.pausedUntil - Date.now()
+		if (waitMs > 0) {
+			if (!s.timer) {
+				s.timer = setTimeout(() => {
+					s.timer = null
+					pump(s)
+				}, waitMs)
+			}
+			return
+		}
+
+		while (s.active < s.limit && s.queue.length > 0) {
+			s.active += 1
+			s.queue.shift()()
+		}
+	}
+
+	return {
+		// Resolves with a release() once the host has a free slot and is not paused.
+		// Rejects with signal.reason (and leaves the queue) if `signal` aborts while waiting.
+		async acquire(host, signal = null) {
+			signal?.throwIfAborted()
+			const s = state(host)
+			await new Promise((resolve, reject) => {
+				const onAbort = () => {
+					const i = s.queue.indexOf(grant)
+					if (i >= 0) s.queue.splice(i, 1)
+					reject(signal.reason)
+				}
+				const grant = () => {
+					signal?.removeEventListener("abort", onAbort)
+					resolve()
+				}
+				signal?.addEventListener("abort", onAbort, { once: true })
+				s.queue.push(grant)
+				pump(s)
+			})
+
+			let released = false
+			return () => {
+				if (released) return
+				released = true
+				s.active -= 1
+				pump(s)
+			}
+		},
+
+		// Scales the client's base jitter for this host
+		delayMs(host, baseMs) {
+			return Math.round(baseMs * state(host).delayScale)
+		},
+
+		// Feeds one response back. Returns { event, concurrency, delayScale, pauseMs? } when the host
+		// was slowed down or paused (worth a log line), otherwise null.
+		observe(host, { status, rate }, now = Date.now()) {
+			const s = state(host)
+
+			if (status === 429) {
+				const pauseMs = Math.min(pauseMsFor(rate, now) ?? THROTTLE_DEFAULT_PAUSE_MS, THROTTLE_MAX_PAUSE_MS)
+				s.pausedUntil = Math.max(s.pausedUntil, now + pauseMs)
+				s.limit = 1
+				s.delayScale = Math.min(THROTTLE_MAX_DELAY_SCALE, Math.max(1, s.delayScale) * 2)
+				return { event: "pause", concurrency: s.limit, delayScale: s.delayScale, pauseMs }
+			}
+
+			const level = headroom(rate)
+			if (level === "low") {
+				s.limit = Math.max(1, Math.floor(s.limit / 2))
+				s.delayScale = Math.min(THROTTLE_MAX_DELAY_SCALE, Math.max(1, s.delayScale) * 2)
+				return { event: "slow", concurrency: s.limit, delayScale: s.delayScale }
+			}
+
+			if (level === "high") {
+				s.limit = Math.min(maxConcurrency, s.limit + 1)
+				s.delayScale = Math.max(THROTTLE_MIN_DELAY_SCALE, s.delayScale / 2)
+			} else if (level === null) {
+				s.limit = Math.min(maxConcurrency, s.limit + 1)
+				s.delayScale = s.delayScale > 1 ? Math.max(1, s.delayScale / 2) : Math.min(1, s.delayScale * 2)
+			}
+
+			pump(s)
+			return null
+		},
+
+		// { [host]: { concurrency, active, queued, delayScale, pausedForMs } }
+		snapshot() {
+			const out = {}
+			const now = Date.now()
+			for (const [host, s] of hosts) {
+				out[host] = {
+					concurrency: s.limit,
+					active: s.active,
+					queued: s.queue.length,
+					delayScale: s.delayScale,
+					pausedForMs: Math.max(0, s.pausedUntil - now),
+				}
+			}
+			return out
+		},
+	}
+}
+
+let sharedThrottle = null
+
+// One throttle per warm instance; null when UPSTREAM_THROTTLE_DISABLED=1
+export function getUpstreamThrottle() {
+	if (process.env.UPSTREAM_THROTTLE_DISABLED === "1") return null
+	if (!sharedThrottle) sharedThrottle = createUpstreamThrottle()
+	return sharedThrottle
+}
@@ -0,0 +1,133 @@
+// lib/vercel-node.js
+// Runs the /api handlers on a plain Node http server (or behind Express / Fastify)
+//
+// Adds the Vercel helpers the handlers rely on:
+// - req.query   parsed search params (repeated keys become arrays)
+// - req.body    parsed JSON for application/json, raw string otherwise, undefined when empty
+// - req.rawBody the body bytes as received (HMAC caller auth signs these)
+// - res.status(code), res.json(obj), res.send(body)
+// Properties a framework already provides (Express res.json, a parsed req.body) are kept.
+
+import { readdir } from "node:fs/promises"
+import path from "node:path"
+import { pathToFileURL } from "node:url"
+import { createLogger } from "./logger.js"
+
+const MAX_BODY_BYTES = 1024 * 1024
+
+// Every api/*.js default export, keyed by file name without extension
+export async function loadApiHandlers(apiDir) {
+	const handlers = new Map()
+	const files = (await readdir(apiDir)).filter((f) => f.endsWith(".js")).sort()
+
+	for (const file of files) {
+		const mod = await import(pathToFileURL(path.join(apiDir, file)).href)
+		if (typeof mod.default === "function") handlers.set(path.basename(file, ".js"), mod.default)
+	}
+	return handlers
+}
+
+function parseQuery(searchParams) {
+	const query = {}
+	for (const [key, value] of searchParams) {
+		if (!(key in query)) query[key] = value
+		else if (Array.isArray(query[key])) query[key].push(value)
+		else query[key] = [query[key], value]
+	}
+	return query
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = []
+		let size = 0
+		req.on("data", (chunk) => {
+			size += chunk.length
+			if (size > MAX_BODY_BYTES) {
+				reject(Object.assign(new Error("Request body too large"), { status: 413 }))
+				req.destroy()
+				return
+			}
+			chunks.push(chunk)
+		})
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")))
+		req.on("error", reject)
+	})
+}
+
+// Express 5 exposes req.query as a getter, so assign through defineProperty
+function setProp(obj, key, value) {
+	Object.defineProperty(obj, key, { value, writable: true, configurable: true, enumerable: true })
+}
+
+export async function adaptRequest(req) {
+	const urlObj = new URL(req.url || "/", "http://localhost")
+	if (req.query == null || typeof req.query !== "object") setProp(req, "query", parseQuery(urlObj.searchParams))
+
+	if (req.body === undefined && req.method !== "GET" && req.method !== "HEAD") {
+		const text = await readBody(req)
+		const type = String(req.headers["content-type"] || "")
+		let body = text === "" ? undefined : text
+		if (body !== undefined && type.includes("application/json")) {
+			try {
+				body = JSON.parse(text)
+			} catch {
+				// keep the raw string; handlers answer 400 for invalid JSON
+			}
+		}
+		setProp(req, "rawBody", text)
+		setProp(req, "body", body)
+	}
+
+	return req
+}
+
+export function adaptResponse(res) {
+	if (typeof res.status !== "function") {
+		res.status = (code) => {
+			res.statusCode = code
+			return res
+		}
+	}
+	if (typeof res.send !== "function") {
+		res.send = (body) => {
+			if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) return res.json(body)
+			res.end(body)
+			return res
+		}
+	}
+	if (typeof res.json !== "function") {
+		res.json = (obj) => {
+			if (!res.getHeader("content-type")) res.setHeader("Content-Type", "application/json; charset=utf-8")
+			res.end(JSON.stringify(obj))
+			return res
+		}
+	}
+	return res
+}
+
+// (req, res, next?) listener mounting each handler at `${prefix}/<name>`.
+// Unknown paths go to `next` when given (Express middleware), otherwise 404 JSON.
+export function createApiListener(handlers, { prefix = "/api", log = createLogger("vercel-node") } = {}) {
+	return async function apiListener(req, res, next) {
+		const pathname = new URL(req.url || "/", "http://localhost").pathname.replace(/\/+$/, "")
+		const name = pathname.startsWith(`${prefix}/`) ? pathname.slice(prefix.length + 1) : null
+		const handler = name ? handlers.get(name) : null
+
+		adaptResponse(res)
+
+		if (!handler) {
+			if (typeof next === "function") return next()
+			return res.status(404).json({ ok: false, error: "Not Found" })
+		}
+
+		try {
+			await adaptRequest(req)
+			await handler(req, res)
+		} catch (err) {
+			log.error(`${req.method} ${pathname} failed: ${String(err)}`)
+			if (!res.headersSent) res.status(err?.status || 500).json({ ok: false, error: String(err?.message || err) })
+			else res.end()
+		}
+	}
+}
@@ -0,0 +1,50 @@
+// scripts/dev-server.js
+// Local server for the /api handlers (no Vercel CLI needed): `npm run dev`
+//
+// - loads .env from the repo root (variables already set in the shell win)
+// - mounts every api/<name>.js default export at /api/<name>
+// - UPSTREAM_OVERRIDE points Roblox hosts at a local mock (see lib/upstream-override.js)
+//
+// Env: PORT (default 3000), HOST (default 127.0.0.1), ENV_FILE (default .env)
+
+import { existsSync } from "node:fs"
+import http from "node:http"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+
+import { createApiListener, loadApiHandlers } from "../lib/vercel-node.js"
+import { installUpstreamOverride } from "../lib/upstream-override.js"
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..")
+
+const envFile = path.resolve(root, process.env.ENV_FILE || ".env")
+if (existsSync(envFile)) {
+	process.loadEnvFile(envFile)
+	console.log(`[dev] loaded ${path.relative(root, envFile)}`)
+}
+
+if (process.env.UPSTREAM_OVERRIDE) {
+	installUpstreamOverride(process.env.UPSTREAM_OVERRIDE)
+	console.log(`[dev] upstream override: ${process.env.UPSTREAM_OVERRIDE}`)
+}
+
+const handlers = await loadApiHandlers(path.join(root, "api"))
+const listener = createApiListener(handlers)
+
+const port = Number(process.env.PORT) || 3000
+const host = process.env.HOST || "127.0.0.1"
+
+const server = http.createServer((req, res) => {
+	const start = Date.now()
+	res.on("finish", () => console.log(`[dev] ${req.method} ${req.url} -> ${res.statusCode} ${Date.now() - start}ms`))
+	listener(req, res)
+})
+
+server.listen(port, host, () => {
+	console.log(`[dev] listening on http://${host}:${port}`)
+	for (const name of handlers.keys()) console.log(`[dev]   /api/${name}`)
+})
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+	process.on(signal, () => server.close(() => process.exit(0)))
+}
@@ -0,0 +1,26 @@
+// scripts/generate-policy-docs.js
+// Rewrites the fetch-url policy table in README.md from lib/fetch-policy.js
+//
+// Usage: npm run docs:policy
+
+import { readFileSync, writeFileSync } from "node:fs"
+import { fileURLToPath } from "node:url"
+
+import { renderPolicyMarkdown } from "../lib/fetch-policy.js"
+
+const START = "<!-- policy:start (generated by `npm run docs:policy`; edit lib/fetch-policy.js) -->"
+const END = "<!-- policy:end -->"
+
+const readmePath = fileURLToPath(new URL("../README.md", import.meta.url))
+const readme = readFileSync(readmePath, "utf8")
+
+const startIdx = readme.indexOf(START)
+const endIdx = readme.indexOf(END)
+if (startIdx === -1 || endIdx === -1 || endIdx < startIdx) {
+	console.error("README.md is missing the policy markers")
+	process.exit(1)
+}
+
+const next = `${readme.slice(0, startIdx + START.length)}\n${renderPolicyMarkdown()}\n${readme.slice(endIdx)}`
+writeFileSync(readmePath, next)
+console.log("README.md policy table updated")
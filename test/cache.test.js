@@ -0,0 +1,45 @@
+import { afterEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { cachedFetch, createCacheStats, createMemoryStore } from "../lib/cache.js"
+
+// What Vercel installs per request; @vercel/functions' waitUntil reads it
+const REQUEST_CONTEXT = Symbol.for("@vercel/request-context")
+
+describe("lib/cache cachedFetch", () => {
+	afterEach(() => {
+		delete globalThis[REQUEST_CONTEXT]
+	})
+
+	it("serves a stale entry and hands its refresh to waitUntil", async () => {
+		const registered = []
+		globalThis[REQUEST_CONTEXT] = { get: () => ({ waitUntil: (p) => registered.push(p) }) }
+
+		const cache = createMemoryStore()
+		await cache.set("k", { v: "old", t: Date.now() - 2000, ttl: 1000, swr: 60_000 })
+		const stats = createCacheStats()
+
+		const value = await cachedFetch(cache, "k", { ttlMs: 1000, swrMs: 60_000 }, async () => "new", stats)
+
+		assert.equal(value, "old")
+		assert.equal(stats.stale, 1)
+		assert.equal(registered.length, 1)
+		await registered[0]
+		assert.equal((await cache.get("k")).v, "new")
+	})
+
+	it("still refreshes in the background outside Vercel", async () => {
+		const cache = createMemoryStore()
+		await cache.set("k", { v: "old", t: Date.now() - 2000, ttl: 1000, swr: 60_000 })
+
+		let loaded
+		const done = new Promise((resolve) => (loaded = resolve))
+		const value = await cachedFetch(cache, "k", { ttlMs: 1000, swrMs: 60_000 }, async ({ background }) => {
+			loaded(background)
+			return "new"
+		})
+
+		assert.equal(value, "old")
+		assert.equal(await done, true)
+	})
+})
@@ -0,0 +1,156 @@
+import { createHash } from "node:crypto"
+import { createServer } from "node:http"
+import { Readable } from "node:stream"
+import { afterEach, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { authenticateCaller, bodyDigest, canonicalQuery, signRequest } from "../lib/caller-auth.js"
+import fetchUrl from "../api/fetch-url.js"
+import getDonationAsset from "../api/get-donation-asset.js"
+import getGamepass from "../api/get-gamepass.js"
+import getUniverse from "../api/get-universe-id-from-place-id.js"
+import { invoke, mockReq } from "./helpers/http.js"
+
+const SECRET = "hmac-secret"
+
+function signedReq(url, { method = "GET", nonce = "n-1", timestamp = Math.floor(Date.now() / 1000), body, signedBody = body } = {}) {
+	const urlObj = new URL(url, "http://localhost")
+	const signature = signRequest(SECRET, {
+		method,
+		path: urlObj.pathname,
+		query: canonicalQuery(urlObj.searchParams),
+		timestamp: String(timestamp),
+		nonce,
+		bodySha256: bodyDigest(signedBody),
+	})
+	return mockReq({
+		method,
+		url,
+		body,
+		headers: {
+			"x-gateway-timestamp": String(timestamp),
+			"x-gateway-nonce": nonce,
+			"x-gateway-signature": signature,
+		},
+	})
+}
+
+describe("authenticateCaller", () => {
+	beforeEach(() => {
+		delete process.env.GATEWAY_AUTH_DISABLED
+		process.env.GATEWAY_TOKENS = "alpha,beta"
+		process.env.GATEWAY_HMAC_SECRET = SECRET
+	})
+
+	afterEach(() => {
+		delete process.env.GATEWAY_TOKENS
+		delete process.env.GATEWAY_HMAC_SECRET
+	})
+
+	it("accepts a configured bearer token", async () => {
+		const result = await authenticateCaller(mockReq({ headers: { authorization: "Bearer beta" } }))
+		assert.equal(result.ok, true)
+		assert.equal(result.method, "token")
+		assert.match(result.callerId, /^token:[0-9a-f]+$/)
+	})
+
+	it("rejects an unknown token", async () => {
+		const result = await authenticateCaller(mockReq({ headers: { "x-gateway-token": "gamma" } }))
+		assert.deepEqual([result.ok, result.reason], [false, "bad_token"])
+	})
+
+	it("accepts a valid HMAC signature once", async () => {
+		const url = "/api/get-gamepass?userId=7&b=a%20b"
+		assert.equal((await authenticateCaller(signedReq(url, { nonce: "once" }))).ok, true)
+
+		const replay = await authenticateCaller(signedReq(url, { nonce: "once" }))
+		assert.equal(replay.reason, "replayed_nonce")
+	})
+
+	it("signs the body: a parsed body without raw bytes matches its compact JSON, another body does not", async () => {
+		const url = "/api/fetch-url?url=https%3A%2F%2Fgroups.roblox.com%2Fv1%2Fgroups%2F5%2Fpayouts"
+		const body = { PayoutType: "FixedAmount", Recipients: [{ recipientId: 1, amount: 10 }] }
+
+		const parsed = await authenticateCaller(signedReq(url, { method: "POST", nonce: "b-1", body, signedBody: JSON.stringify(body) }))
+		assert.equal(parsed.ok, true)
+
+		const swapped = { ...body, Recipients: [{ recipientId: 2, amount: 10000 }] }
+		const forged = await authenticateCaller(signedReq(url, { method: "POST", nonce: "b-2", body: swapped, signedBody: body }))
+		assert.equal(forged.reason, "bad_signature")
+	})
+
+	it("hashes the raw body bytes, not a re-serialization of the parsed body", async () => {
+		const url = "/api/fetch-url?url=https%3A%2F%2Fgroups.roblox.com%2Fv1%2Fgroups%2F5%2Fpayouts"
+		// JSONEncode-style bytes: other key order, spacing and number formatting than JSON.stringify
+		const raw = '{ "Recipients": [{"amount": 10.0, "recipientId": 1}], "PayoutType": "FixedAmount" }'
+		const body = JSON.parse(raw)
+		assert.notEqual(JSON.stringify(body), raw)
+
+		// kept by lib/vercel-node.js
+		const kept = signedReq(url, { method: "POST", nonce: "r-1", body, signedBody: raw })
+		kept.rawBody = raw
+		assert.equal((await authenticateCaller(kept)).ok, true)
+
+		// replayed on the request stream (Vercel)
+		const streamed = Object.assign(
+			Readable.from([Buffer.from(raw)]),
+			signedReq(url, { method: "POST", nonce: "r-2", body, signedBody: raw })
+		)
+		assert.equal((await authenticateCaller(streamed)).ok, true)
+		assert.equal(streamed.rawBody.toString("utf8"), raw)
+	})
+
+	it("rejects a nonce another instance already recorded in KV", async () => {
+		const kv = new Map([[`gw:nonce:${createHash("sha256").update("elsewhere").digest("hex")}`, "1"]])
+		const server = createServer((req, res) => {
+			let text = ""
+			req.on("data", (c) => (text += c))
+			req.on("end", () => {
+				const [cmd, key, value, nx] = JSON.parse(text)
+				assert.deepEqual([cmd, nx], ["SET", "NX"])
+				const fresh = !kv.has(key)
+				if (fresh) kv.set(key, value)
+				res.end(JSON.stringify({ result: fresh ? "OK" : null }))
+			})
+		})
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+		process.env.KV_REST_API_URL = `http://127.0.0.1:${server.address().port}`
+		process.env.KV_REST_API_TOKEN = "kv-token"
+
+		try {
+			const replay = await authenticateCaller(signedReq("/api/health", { nonce: "elsewhere" }))
+			assert.equal(replay.reason, "replayed_nonce")
+
+			assert.equal((await authenticateCaller(signedReq("/api/health", { nonce: "fresh" }))).ok, true)
+			assert.equal(kv.size, 2)
+		} finally {
+			delete process.env.KV_REST_API_URL
+			delete process.env.KV_REST_API_TOKEN
+			await new Promise((resolve) => server.close(resolve))
+		}
+	})
+
+	it("rejects a stale HMAC timestamp", async () => {
+		const result = await authenticateCaller(signedReq("/api/fetch-url", { timestamp: 1000 }))
+		assert.equal(result.reason, "stale_timestamp")
+	})
+
+	it("fails closed when nothing is configured", async () => {
+		delete process.env.GATEWAY_TOKENS
+		delete process.env.GATEWAY_HMAC_SECRET
+		assert.equal((await authenticateCaller(mockReq())).reason, "not_configured")
+	})
+
+	for (const [name, handler] of [
+		["fetch-url", fetchUrl],
+		["get-donation-asset", getDonationAsset],
+		["get-gamepass", getGamepass],
+		["get-universe-id-from-place-id", getUniverse],
+	]) {
+		it(`${name} answers 401 without credentials`, async () => {
+			const res = await invoke(handler, { query: { userId: "1", placeId: "1", url: "https://apis.roblox.com/" } })
+			assert.equal(res.statusCode, 401)
+			assert.equal(res.headers["www-authenticate"], "Bearer")
+		})
+	}
+})
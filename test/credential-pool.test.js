@@ -0,0 +1,154 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import statusHandler from "../api/credential-status.js"
+import {
+	CREDENTIAL_UNAUTHORIZED_OUT_MS,
+	createCredentialPool,
+	getCredentialPool,
+	parseCredentials,
+} from "../lib/credential-pool.js"
+import { invoke } from "./helpers/http.js"
+
+const BOTH = { cookie: true, apiKey: true }
+const COOKIE = { cookie: true, apiKey: false }
+
+function pool(strategy) {
+	return createCredentialPool(
+		parseCredentials(
+			JSON.stringify([
+				{ name: "a", cookie: "cookie-a", apiKey: "key-a" },
+				{ name: "b", cookie: "cookie-b" },
+				{ name: "cloud", apiKey: "key-c", scopes: ["apis.roblox.com"] },
+			])
+		),
+		{ strategy }
+	)
+}
+
+describe("lib/credential-pool", () => {
+	it("parses slots, normalizing cookies and rejecting empty entries", () => {
+		const [slot] = parseCredentials('[{ "cookie": "abc" }]')
+		assert.deepEqual(slot, { name: "slot-0", cookie: ".ROBLOSECURITY=abc", apiKey: "", scopes: [] })
+
+		assert.throws(() => parseCredentials("{}"), /expected a JSON array/)
+		assert.throws(() => parseCredentials('[{ "name": "x" }]'), /needs a cookie and\/or an apiKey/)
+		assert.throws(() => parseCredentials('[{ "apiKey": "k", "scopes": "apis" }]'), /scopes must be a list of hosts/)
+	})
+
+	it("rotates round-robin over slots that have a wanted credential in scope", () => {
+		const p = pool()
+
+		assert.deepEqual(
+			[1, 2, 3, 4].map(() => p.pick("games.roblox.com", COOKIE).name),
+			["a", "b", "a", "b"]
+		)
+		assert.deepEqual(
+			[1, 2].map(() => p.pick("apis.roblox.com", { cookie: false, apiKey: true }).name),
+			["cloud", "a"]
+		)
+		assert.equal(p.pick("games.roblox.com", { cookie: false, apiKey: false }), null)
+	})
+
+	it("prefers slots holding every wanted credential and never benches one for a credential it lacks", () => {
+		const p = pool()
+		assert.deepEqual(
+			[1, 2, 3].map(() => p.pick("apis.roblox.com", BOTH, 0).name),
+			["a", "a", "a"]
+		)
+
+		// `a` is out: the partial slots stand in, and their 401s (missing cookie / key) are not held against them
+		p.report(p.pick("apis.roblox.com", BOTH, 0), { status: 401, complete: true }, 0)
+		const partial = p.pick("apis.roblox.com", BOTH, 1000)
+		assert.notEqual(partial.name, "a")
+		assert.equal(p.report(partial, { status: 401, complete: false }, 1000), null)
+		assert.equal(p.snapshot(1000).healthy, 2)
+	})
+
+	it("prefers the least recently rate-limited slot with least-429", () => {
+		const p = pool("least-429")
+		const a = p.pick("games.roblox.com", COOKIE, 1000)
+		p.report(a, { status: 429, rate: null }, 1000)
+
+		assert.equal(p.pick("games.roblox.com", COOKIE, 2000).name, "b")
+		assert.equal(p.pick("games.roblox.com", COOKIE, 3000).name, "b")
+	})
+
+	it("takes a slot out on 401 or repeated 429s and puts it back on a 2xx", () => {
+		const p = pool()
+		const [a, b] = [p.pick("games.roblox.com", COOKIE, 0), p.pick("games.roblox.com", COOKIE, 0)]
+
+		assert.deepEqual(p.report(a, { status: 401, sent: ["cookie"] }, 0), {
+			event: "out",
+			reason: "unauthorized",
+			credentials: ["cookie"],
+			outForMs: CREDENTIAL_UNAUTHORIZED_OUT_MS,
+		})
+		assert.equal(p.report(b, { status: 429, rate: {} }, 0), null)
+		p.report(b, { status: 429, rate: {} }, 0)
+		assert.equal(p.report(b, { status: 429, rate: { retryAfter: "30" } }, 0).outForMs, 30_000)
+
+		// `a` still serves key calls, but no cookie call gets it until the cookie is back
+		const snap = p.snapshot(1000)
+		assert.equal(snap.healthy, 2)
+		assert.equal(snap.slots[0].healthy, true)
+		assert.deepEqual(snap.slots[0].benched, ["cookie"])
+		assert.equal(snap.slots[1].consecutive429, 3)
+		assert.equal(JSON.stringify(snap).includes("cookie-a"), false)
+
+		// every eligible slot is out: the one due back first is still used
+		const fallback = p.pick("games.roblox.com", COOKIE, 1000)
+		assert.equal(fallback.name, "b")
+		p.report(fallback, { status: 200 }, 1000)
+		assert.equal(p.snapshot(1000).slots[1].healthy, true)
+	})
+
+	it("benches only the credential a 401 is about, and never for a missing scope", () => {
+		const p = pool()
+		const a = p.pick("apis.roblox.com", BOTH, 0)
+
+		assert.equal(p.report(a, { status: 401, sent: ["apiKey"], scopeError: true }, 0), null)
+		assert.deepEqual(p.snapshot(0).slots[0].benched, [])
+
+		assert.deepEqual(p.report(a, { status: 401, sent: ["apiKey"] }, 0).credentials, ["apiKey"])
+		assert.equal(p.benched(a, "apiKey", 1000), true)
+		assert.equal(p.benched(a, "cookie", 1000), false)
+
+		// cookie calls keep rotating through `a`; key calls move to `cloud`
+		assert.deepEqual(
+			[1, 2].map(() => p.pick("games.roblox.com", COOKIE, 1000).name),
+			["b", "a"]
+		)
+		assert.equal(p.pick("apis.roblox.com", { cookie: false, apiKey: true }, 1000).name, "cloud")
+
+		// a 2xx that carried the key puts it back
+		p.report(a, { status: 200, sent: ["apiKey"] }, 2000)
+		assert.equal(p.benched(a, "apiKey", 2000), false)
+	})
+
+	describe("GET /api/credential-status", () => {
+		before(() => {
+			process.env.GATEWAY_AUTH_DISABLED = "1"
+			process.env.ROBLOX_CREDENTIALS = JSON.stringify([{ name: "main", cookie: "secret-cookie" }])
+		})
+
+		after(() => {
+			delete process.env.ROBLOX_CREDENTIALS
+		})
+
+		it("reports every slot without secrets, and 503 once none is in rotation", async () => {
+			const res = await invoke(statusHandler, { method: "GET" })
+			assert.equal(res.statusCode, 200)
+			assert.equal(res.body.ok, true)
+			assert.equal(res.body.slots[0].name, "main")
+			assert.equal(JSON.stringify(res.body).includes("secret-cookie"), false)
+
+			const p = getCredentialPool()
+			p.report(p.pick("users.roblox.com", BOTH), { status: 401 })
+
+			const degraded = await invoke(statusHandler, { method: "GET" })
+			assert.equal(degraded.statusCode, 503)
+			assert.equal(degraded.body.slots[0].reason, "unauthorized")
+		})
+	})
+})
@@ -0,0 +1,42 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { CURSOR_TTL_MS, createCursorState, decodeCursor, encodeCursor } from "../lib/cursor.js"
+
+function sampleState() {
+	const state = createCursorState(["CLASSIC_SHIRT", "HAT"])
+	state.gp.set(1000, "abc")
+	state.inv.set("HAT", "")
+	state.src.set(1000, { type: "Group", id: 900, name: "Studio" })
+	state.cv = true
+	return state
+}
+
+describe("lib/cursor", () => {
+	it("round-trips page tokens, provenance, asset types and the visibility check", () => {
+		const token = encodeCursor("get-donation-asset", 7, sampleState())
+		const decoded = decodeCursor(token, "get-donation-asset", 7)
+
+		assert.equal(decoded.ok, true)
+		assert.deepEqual(decoded.state, sampleState())
+	})
+
+	it("returns no cursor once every source is finished", () => {
+		assert.equal(encodeCursor("get-gamepass", 7, createCursorState()), null)
+	})
+
+	it("rejects tampered, foreign and expired cursors", () => {
+		const now = 1_700_000_000_000
+		const token = encodeCursor("get-donation-asset", 7, sampleState(), now)
+		const [payload, signature] = token.split(".")
+
+		const forged = Buffer.from(
+			Buffer.from(payload, "base64url").toString("utf8").replace('"abc"', '"xyz"')
+		).toString("base64url")
+		assert.equal(decodeCursor(`${forged}.${signature}`, "get-donation-asset", 7, now).reason, "bad_signature")
+		assert.equal(decodeCursor("not-a-cursor", "get-donation-asset", 7, now).reason, "malformed")
+		assert.equal(decodeCursor(token, "get-gamepass", 7, now).reason, "endpoint_mismatch")
+		assert.equal(decodeCursor(token, "get-donation-asset", 8, now).reason, "user_mismatch")
+		assert.equal(decodeCursor(token, "get-donation-asset", 7, now + CURSOR_TTL_MS).reason, "expired")
+	})
+})
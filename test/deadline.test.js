@@ -0,0 +1,57 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { createDeadline, isDeadlineError, setDeadlineHook } from "../lib/deadline.js"
+
+describe("lib/deadline", () => {
+	it("runs steps normally while there is budget left", async () => {
+		const deadline = createDeadline(1000)
+
+		assert.equal(await deadline.run("games.list", async () => "value"), "value")
+		assert.equal(await deadline.run("games.list", async () => null), null)
+		assert.deepEqual(deadline.skipped(), [])
+		await assert.rejects(deadline.run("games.list", async () => Promise.reject(new Error("boom"))), /boom/)
+		deadline.clear()
+	})
+
+	it("aborts its signal and counts the steps cut off by the budget", async () => {
+		const deadline = createDeadline(20)
+
+		const inFlight = deadline.run(
+			"inventory.list",
+			() =>
+				new Promise((_, reject) => {
+					deadline.signal.addEventListener("abort", () => reject(deadline.signal.reason))
+				})
+		)
+		assert.equal(await inFlight, null)
+		assert.equal(deadline.expired, true)
+		assert.ok(isDeadlineError(deadline.signal.reason))
+
+		let called = false
+		await deadline.run("inventory.list", async () => (called = true))
+		await deadline.run("catalog.details", async () => "late")
+
+		assert.equal(called, false)
+		assert.deepEqual(deadline.skipped(), [
+			{ step: "inventory.list", count: 2 },
+			{ step: "catalog.details", count: 1 },
+		])
+	})
+
+	it("hands every new deadline to the hook, which can expire it early", async () => {
+		const seen = []
+		setDeadlineHook((d) => seen.push(d))
+		const deadline = createDeadline(60_000)
+		setDeadlineHook(null)
+		createDeadline(60_000).clear()
+
+		assert.deepEqual(seen, [deadline])
+		deadline.expire()
+		assert.equal(deadline.expired, true)
+		assert.ok(isDeadlineError(deadline.signal.reason))
+		assert.equal(await deadline.run("catalog.details", async () => "late"), null)
+		assert.deepEqual(deadline.skipped(), [{ step: "catalog.details", count: 1 }])
+		deadline.clear()
+	})
+})
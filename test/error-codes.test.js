@@ -0,0 +1,52 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import {
+	ERROR_CODES,
+	ERROR_SEVERITIES,
+	errorCode,
+	fetchFailureCode,
+	hasFailures,
+	pipelineError,
+	upstreamStatusCode,
+} from "../lib/error-codes.js"
+
+describe("lib/error-codes", () => {
+	it("gives every code a retryable flag and a known severity", () => {
+		for (const [code, def] of Object.entries(ERROR_CODES)) {
+			assert.equal(typeof def.retryable, "boolean", code)
+			assert.ok(ERROR_SEVERITIES.includes(def.severity), code)
+		}
+		assert.deepEqual(errorCode("TIMEOUT"), { code: "TIMEOUT", retryable: true, severity: "error" })
+		assert.throws(() => errorCode("NOPE"), /Unknown error code/)
+	})
+
+	it("classifies upstream statuses and network failures", () => {
+		assert.equal(upstreamStatusCode({ status: 429 }), "UPSTREAM_RATE_LIMITED")
+		assert.equal(upstreamStatusCode({ status: 401 }), "UPSTREAM_UNAUTHORIZED")
+		assert.equal(upstreamStatusCode({ status: 403, csrfFailed: true }), "CSRF_BOOTSTRAP_FAILED")
+		assert.equal(upstreamStatusCode({ status: 404 }), "UPSTREAM_NOT_FOUND")
+		assert.equal(upstreamStatusCode({ status: 503 }), "UPSTREAM_UNAVAILABLE")
+		assert.equal(upstreamStatusCode({ status: 409 }), "UPSTREAM_ERROR")
+
+		assert.equal(fetchFailureCode(Object.assign(new Error("t"), { name: "AbortError" })), "TIMEOUT")
+		assert.equal(fetchFailureCode(Object.assign(new Error("h"), { code: "HOST_NOT_ALLOWED" })), "HOST_NOT_ALLOWED")
+		assert.equal(fetchFailureCode(new TypeError("fetch failed")), "UPSTREAM_FETCH_FAILED")
+	})
+
+	it("only counts fatal and error entries as failures", () => {
+		const warning = pipelineError("INVALID_PLACE", "universes.fromPlace", "Invalid place", { placeId: 1 })
+		const info = pipelineError("INVENTORY_PRIVATE", "inventory.canView", "Inventory is not viewable")
+
+		assert.deepEqual(warning, {
+			code: "INVALID_PLACE",
+			retryable: false,
+			severity: "warning",
+			step: "universes.fromPlace",
+			message: "Invalid place",
+			context: { placeId: 1 },
+		})
+		assert.equal(hasFailures([warning, info]), false)
+		assert.equal(hasFailures([warning, pipelineError("TIMEOUT", "games.list", "Upstream fetch failed")]), true)
+	})
+})
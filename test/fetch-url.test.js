@@ -0,0 +1,370 @@
+import { after, afterEach, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/fetch-url.js"
+import { MAX_ATTEMPTS, setCsrfToken } from "../lib/roblox-client.js"
+import { getCredentialPool } from "../lib/credential-pool.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+
+// Every byte value, so any text decoding along the way would show up
+const ASSET = Buffer.from(Array.from({ length: 512 }, (_, i) => i % 256))
+
+const proxy = (url, init = {}) => invoke(handler, { method: "GET", ...init, query: { url, ...(init.query || {}) } })
+
+describe("/api/fetch-url", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.ROBLOX_OPEN_CLOUD_KEY = "test-key"
+		process.env.ROBLOX_SECURITY_COOKIE = "test-cookie"
+		fake = await startFakeRoblox({ universes: { 100: 1000 }, assets: { 55: ASSET } })
+	})
+
+	after(async () => {
+		await fake.close()
+	})
+
+	beforeEach(() => setCsrfToken(null))
+	afterEach(() => fake.reset())
+
+	it("proxies an allowed GET and wraps the upstream response", async () => {
+		const res = await proxy("https://apis.roblox.com/universes/v1/places/100/universe")
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.ok, true)
+		assert.equal(res.body.upstreamStatus, 200)
+		assert.deepEqual(res.body.json, { universeId: 1000 })
+		assert.equal(res.body.authSent.rule, "apis.roblox.com#web-read")
+		assert.deepEqual(res.body.authSent.slot, { index: 0, name: "default" })
+	})
+
+	it("sends only the API key to Open Cloud and only the cookie to named web paths", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 200, body: {} })
+
+		await proxy("https://apis.roblox.com/cloud/v2/groups/5")
+		await proxy("https://apis.roblox.com/universes/v1/places/100/universe")
+
+		const [cloud, web] = fake.calls("apis.roblox.com")
+		assert.equal(cloud.headers["x-api-key"], "test-key")
+		assert.equal(cloud.headers.cookie, undefined)
+		assert.equal(web.headers["x-api-key"], undefined)
+		assert.match(web.headers.cookie, /test-cookie/)
+	})
+
+	it("does not reach the gateway account's own data through a credentialed host", async () => {
+		for (const url of [
+			"https://apis.roblox.com/user-settings/v1/settings",
+			"https://economy.roblox.com/v1/user/currency",
+			"https://economy.roblox.com/v2/users/1/transactions",
+		]) {
+			const res = await proxy(url)
+			assert.equal(res.statusCode, 403, url)
+			assert.equal(res.body.rule, `${new URL(url).host}#default-deny`)
+		}
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("only sends the credentials the policy rule allows", async () => {
+		fake.inject({ host: "games.roblox.com" }, { status: 200, body: { data: [] } })
+
+		const res = await proxy("https://games.roblox.com/v1/games?universeIds=1")
+
+		assert.deepEqual(res.body.authSent.tried, [])
+		const [call] = fake.calls("games.roblox.com")
+		assert.equal(call.headers.cookie, undefined)
+		assert.equal(call.headers["x-api-key"], undefined)
+	})
+
+	it("rejects hosts outside the policy without calling upstream", async () => {
+		const res = await proxy("https://example.com/")
+
+		assert.equal(res.statusCode, 403)
+		assert.equal(res.body.rule, "host-not-allowed")
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("blocks denied paths by rule name", async () => {
+		const res = await proxy("https://auth.roblox.com/v2/logout", { method: "POST", body: {} })
+
+		assert.equal(res.statusCode, 403)
+		assert.equal(res.body.rule, "auth.roblox.com#session-deny")
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("negotiates CSRF for writes and reports it in authSent", async () => {
+		fake.inject(
+			{ host: "groups.roblox.com", method: "POST" },
+			{ status: 403, headers: { "x-csrf-token": "tok-1" }, body: { errors: [{ message: "Token Validation Failed" }] } },
+			{ status: 200, body: { ok: true } }
+		)
+
+		const res = await proxy("https://groups.roblox.com/v1/groups/5/payouts", { method: "POST", body: { amount: 1 } })
+
+		assert.equal(res.body.ok, true)
+		assert.equal(res.body.authSent.csrf, "negotiated")
+		const posts = fake.calls("groups.roblox.com")
+		assert.equal(posts.length, 2)
+		assert.equal(posts[1].headers["x-csrf-token"], "tok-1")
+		assert.equal(posts[1].body, JSON.stringify({ amount: 1 }))
+	})
+
+	it("does not retry a write on 5xx", async () => {
+		fake.inject({ host: "groups.roblox.com", method: "POST" }, { status: 503, body: "down" })
+
+		const res = await proxy("https://groups.roblox.com/v1/groups/5/payouts", { method: "POST", body: {} })
+
+		assert.equal(res.statusCode, 502)
+		assert.equal(res.body.ok, false)
+		assert.equal(res.body.upstreamStatus, 503)
+		assert.equal(fake.calls("groups.roblox.com").length, 1)
+	})
+
+	it("mirrors an upstream 4xx, or answers 200 for X-Legacy-Status callers", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 404, body: { errors: [] } }, { status: 404, body: { errors: [] } })
+		const url = "https://apis.roblox.com/universes/v1/places/1/universe"
+
+		const res = await proxy(url)
+		assert.equal(res.statusCode, 404)
+		assert.equal(res.body.upstreamStatus, 404)
+		assert.equal(res.body.code, "UPSTREAM_NOT_FOUND")
+		assert.equal(res.body.retryable, false)
+
+		const legacy = await proxy(url, { headers: { "x-legacy-status": "1" } })
+		assert.equal(legacy.statusCode, 200)
+		assert.equal(legacy.headers["x-gateway-status"], "404")
+		assert.equal(legacy.body.upstreamStatus, 404)
+	})
+
+	it("never takes a credential slot out for an upstream 401 the caller pointed at", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 401, body: { errors: [] } })
+
+		const res = await proxy("https://apis.roblox.com/universes/v1/places/1/universe")
+
+		assert.equal(getCredentialPool().snapshot().healthy, 1)
+		// not the gateway's own caller-auth 401
+		assert.equal(res.statusCode, 502)
+		assert.equal(res.body.upstreamStatus, 401)
+		assert.equal(res.body.code, "UPSTREAM_UNAUTHORIZED")
+	})
+
+	it("answers an upstream 429 with 503 and Retry-After, not the gateway's own 429", async () => {
+		const limited = { status: 429, headers: { "retry-after": "0" }, body: { errors: [] } }
+		fake.inject({ host: "apis.roblox.com" }, ...Array(MAX_ATTEMPTS).fill(limited))
+
+		const res = await proxy("https://apis.roblox.com/universes/v1/places/1/universe")
+
+		assert.equal(res.statusCode, 503)
+		assert.equal(res.headers["retry-after"], "1")
+		assert.equal(res.body.upstreamStatus, 429)
+		assert.equal(res.body.code, "UPSTREAM_RATE_LIMITED")
+	})
+
+	it("reports a redirect to a non-Roblox host instead of following it", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 301, headers: { location: "https://evil.example.com/" } })
+
+		const res = await proxy("https://apis.roblox.com/universes/v1/places/100/universe")
+
+		assert.equal(res.body.ok, false)
+		assert.equal(res.body.error, "Redirect host not allowed")
+	})
+
+	describe("redirects", () => {
+		const UNIVERSE_URL = "https://apis.roblox.com/universes/v1/places/100/universe"
+
+		it("follows allowed hops and reports the chain as host + path", async () => {
+			fake.inject(
+				{ host: "apis.roblox.com" },
+				{ status: 302, headers: { location: "/universes/v1/places/100/universe?hop=2" } },
+				{ status: 301, headers: { location: "https://games.roblox.com/v1/games?universeIds=1000&token=secret" } }
+			)
+			fake.inject({ host: "games.roblox.com" }, { status: 200, body: { data: [{ id: 1000 }] } })
+
+			const res = await proxy(UNIVERSE_URL)
+
+			assert.equal(res.body.ok, true)
+			assert.deepEqual(res.body.json, { data: [{ id: 1000 }] })
+			assert.deepEqual(res.body.redirects, [
+				{ status: 302, host: "apis.roblox.com", path: "/universes/v1/places/100/universe" },
+				{ status: 301, host: "games.roblox.com", path: "/v1/games" },
+			])
+		})
+
+		it("keeps credentials on a same-host hop", async () => {
+			fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "/universes/v1/places/100/universe?hop=2" } })
+
+			await proxy(UNIVERSE_URL)
+
+			const [, second] = fake.calls("apis.roblox.com")
+			assert.match(second.headers.cookie, /test-cookie/)
+		})
+
+		it("re-derives credentials from the policy on a cross-host hop", async () => {
+			fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "https://inventory.roblox.com/v2/users/1/inventory/8" } })
+			fake.inject({ host: "inventory.roblox.com" }, { status: 200, body: { data: [] } })
+
+			const res = await proxy(UNIVERSE_URL)
+
+			assert.equal(res.body.ok, true)
+			const [hop] = fake.calls("inventory.roblox.com")
+			assert.equal(hop.headers["x-api-key"], undefined)
+			assert.equal(hop.headers.cookie, undefined)
+		})
+
+		it("blocks a hop the policy denies and names the rule", async () => {
+			fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "https://auth.roblox.com/v2/logout" } })
+
+			const res = await proxy(UNIVERSE_URL)
+
+			assert.equal(res.body.ok, false)
+			assert.equal(res.body.error, "Redirect blocked by policy")
+			assert.deepEqual(res.body.redirects, [{ status: 302, host: "auth.roblox.com", path: "/v2/logout", blocked: "policy" }])
+			assert.equal(fake.calls("auth.roblox.com").length, 0)
+		})
+
+		it("stops after ?maxRedirects= hops", async () => {
+			fake.inject(
+				{ host: "apis.roblox.com" },
+				{ status: 302, headers: { location: "/cloud/v2/a" } },
+				{ status: 302, headers: { location: "/cloud/v2/b" } }
+			)
+
+			const res = await proxy(UNIVERSE_URL, { query: { maxRedirects: "1" } })
+
+			assert.equal(res.body.error, "Too many redirects")
+			assert.equal(res.body.redirects.length, 2)
+			assert.equal(res.body.redirects[1].blocked, "max_redirects")
+			assert.equal(fake.calls("apis.roblox.com").length, 2)
+		})
+
+		it("turns a 303 after a write into a bodyless GET", async () => {
+			fake.inject({ host: "groups.roblox.com", method: "POST" }, { status: 303, headers: { location: "/v1/groups/5" } })
+			fake.inject({ host: "groups.roblox.com", method: "GET" }, { status: 200, body: { id: 5 } })
+
+			const res = await proxy("https://groups.roblox.com/v1/groups/5/payouts", { method: "POST", body: { amount: 1 } })
+
+			assert.equal(res.body.ok, true)
+			const [, follow] = fake.calls("groups.roblox.com")
+			assert.equal(follow.method, "GET")
+			assert.equal(follow.body, "")
+			assert.equal(follow.headers["content-type"], undefined)
+		})
+
+		it("rejects an out-of-range ?maxRedirects=", async () => {
+			const res = await proxy(UNIVERSE_URL, { query: { maxRedirects: "9" } })
+
+			assert.equal(res.statusCode, 400)
+			assert.equal(fake.requests.length, 0)
+		})
+	})
+
+	it("rejects a repeated ?url= instead of picking one", async () => {
+		const res = await invoke(handler, { method: "GET", query: { url: ["https://apis.roblox.com/universes/v1/places/100/universe", "https://games.roblox.com/v1/games"] } })
+
+		assert.equal(res.statusCode, 400)
+		assert.equal(res.body.code, "INVALID_PARAMETER")
+		assert.deepEqual(res.body.errors.map((e) => e.param), ["url"])
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("echoes the parameters used and warns about unknown ones", async () => {
+		const url = "https://apis.roblox.com/universes/v1/places/100/universe"
+		const res = await proxy(url, { query: { maxredirects: "1" } })
+
+		assert.equal(res.statusCode, 200)
+		assert.deepEqual(res.body.params, { legacyStatus: false, strict: false, url, mode: "json", maxRedirects: 3 })
+		assert.deepEqual(res.body.warnings.map((w) => w.code), ["UNKNOWN_PARAMETER"])
+	})
+
+	it("returns 400 for a malformed JSON body", async () => {
+		const res = await proxy("https://groups.roblox.com/v1/groups/5/payouts", { method: "POST", body: "{nope" })
+
+		assert.equal(res.statusCode, 400)
+		assert.equal(res.body.error, "Invalid JSON body")
+	})
+
+	it("returns 405 for unsupported methods", async () => {
+		const res = await proxy("https://apis.roblox.com/", { method: "PUT" })
+
+		assert.equal(res.statusCode, 405)
+		assert.equal(res.headers.allow, "GET, POST, PATCH, DELETE")
+	})
+
+	describe("?mode=raw", () => {
+		const raw = (url, init = {}) => proxy(url, { ...init, query: { mode: "raw", ...(init.query || {}) } })
+
+		it("streams binary bodies byte for byte", async () => {
+			const res = await raw("https://assetdelivery.roblox.com/v1/asset?id=55")
+
+			assert.equal(res.statusCode, 200)
+			assert.equal(res.headers["content-type"], "application/octet-stream")
+			assert.equal(res.headers["content-length"], "512")
+			assert.equal(res.headers["x-gateway-rule"], "assetdelivery.roblox.com#read")
+			assert.ok(res.rawBody.equals(ASSET))
+		})
+
+		it("forwards Range and passes the partial response through", async () => {
+			const res = await raw("https://assetdelivery.roblox.com/v1/asset?id=55", { headers: { range: "bytes=10-19" } })
+
+			assert.equal(res.statusCode, 206)
+			assert.equal(res.headers["content-range"], "bytes 10-19/512")
+			assert.ok(res.rawBody.equals(ASSET.subarray(10, 20)))
+			assert.equal(fake.calls("assetdelivery.roblox.com")[0].headers.range, "bytes=10-19")
+		})
+
+		it("passes a 304 for a conditional request through as a success", async () => {
+			fake.inject({ host: "assetdelivery.roblox.com" }, { status: 304, headers: { etag: '"v1"' } })
+
+			const res = await raw("https://assetdelivery.roblox.com/v1/asset?id=55", { headers: { "if-none-match": '"v1"' } })
+
+			assert.equal(res.statusCode, 304)
+			assert.equal(res.headers.etag, '"v1"')
+			assert.equal(res.rawBody.length, 0)
+			assert.equal(fake.calls("assetdelivery.roblox.com")[0].headers["if-none-match"], '"v1"')
+		})
+
+		it("passes upstream errors through with their status", async () => {
+			const res = await raw("https://assetdelivery.roblox.com/v1/asset?id=404")
+
+			assert.equal(res.statusCode, 404)
+			assert.equal(res.body.errors[0].message, "Asset not found")
+		})
+
+		it("only passes safe upstream headers", async () => {
+			fake.inject(
+				{ host: "apis.roblox.com" },
+				{ status: 200, headers: { "content-type": "application/json", "set-cookie": "a=b", "x-internal": "1" }, body: "{}" }
+			)
+
+			const res = await raw("https://apis.roblox.com/universes/v1/places/100/universe")
+
+			assert.equal(res.headers["content-type"], "application/json")
+			assert.equal(res.headers["set-cookie"], undefined)
+			assert.equal(res.headers["x-internal"], undefined)
+		})
+
+		it("answers 502 JSON for a blocked redirect", async () => {
+			fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "https://evil.example.com/" } })
+
+			const res = await raw("https://apis.roblox.com/universes/v1/places/100/universe")
+
+			assert.equal(res.statusCode, 502)
+			assert.equal(res.body.error, "Redirect host not allowed")
+		})
+
+		it("reports query warnings in X-Query-Warnings", async () => {
+			const res = await raw("https://assetdelivery.roblox.com/v1/asset?id=55", { query: { legacyStatus: "maybe" } })
+
+			assert.equal(res.statusCode, 200)
+			assert.equal(res.headers["x-query-warnings"], "legacyStatus:INVALID_TYPE")
+		})
+
+		it("rejects unknown modes", async () => {
+			const res = await proxy("https://apis.roblox.com/", { query: { mode: "xml" } })
+
+			assert.equal(res.statusCode, 400)
+			assert.equal(fake.requests.length, 0)
+		})
+	})
+})
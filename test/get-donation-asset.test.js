@@ -0,0 +1,470 @@
+import { after, afterEach, before, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/get-donation-asset.js"
+import { MAX_ATTEMPTS, setCsrfToken } from "../lib/roblox-client.js"
+import { decodeCursor } from "../lib/cursor.js"
+import { setDeadlineHook } from "../lib/deadline.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+
+const USER_ID = 7
+
+const FIXTURES = {
+	userGames: { [USER_ID]: [100, 101] },
+	groupGames: { 900: [200] },
+	groupRoles: {
+		[USER_ID]: [{ group: { id: 900, name: "Studio", owner: { userId: USER_ID } }, role: { rank: 255 } }],
+	},
+	universes: { 100: 1000, 101: 1001, 200: 2000 },
+	gamePasses: {
+		1000: [
+			{ id: 1, name: "VIP", isForSale: true, price: 100 },
+			{ id: 2, name: "Hidden", isForSale: false, price: 50 },
+		],
+		1001: [{ id: 3, name: "Tip", isForSale: true, price: 5 }],
+		2000: [{ id: 4, name: "Group Pass", isForSale: true, price: 25 }],
+	},
+	devProducts: {
+		1000: [
+			{ productId: 11, name: "Coins", isForSale: true, priceInformation: { defaultPriceInRobux: 10 } },
+			{ productId: 12, name: "Free", isForSale: true, priceInformation: { defaultPriceInRobux: 0 } },
+		],
+	},
+	inventory: { [USER_ID]: { CLASSIC_SHIRT: [501, 502], HAT: [601] } },
+	catalog: {
+		501: { name: "Shirt", price: 5, creatorType: "User", creatorTargetId: USER_ID },
+		502: { name: "Someone else's", price: 5, creatorType: "User", creatorTargetId: 99 },
+		601: { name: "Hat", price: 75, creatorType: "Group", creatorTargetId: 900 },
+	},
+	groups: { 900: { ownerUserId: USER_ID } },
+}
+
+const get = (query) => invoke(handler, { method: "GET", query: { userId: String(USER_ID), ...query } })
+
+describe("GET /api/get-donation-asset", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.CACHE_DISABLED = "1"
+		// more calls than the route's 30/min; the gateway limiter has its own tests
+		process.env.RATE_LIMIT_DISABLED = "1"
+		fake = await startFakeRoblox(FIXTURES)
+	})
+
+	after(async () => {
+		delete process.env.RATE_LIMIT_DISABLED
+		await fake.close()
+	})
+
+	beforeEach(() => setCsrfToken(null))
+	afterEach(() => fake.reset())
+
+	it("collects gamepasses, developer products and clothing", async () => {
+		const res = await get({})
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.deepEqual(Object.keys(res.body.Data.GAMEPASS).sort(), ["1", "3"])
+		assert.deepEqual(res.body.Data.GAMEPASS["1"], { AssetName: "VIP", AssetType: "GAMEPASS", AssetTypeId: 34, AssetPrice: 100 })
+		assert.deepEqual(Object.keys(res.body.Data.DEVPRODUCT), ["11"])
+		assert.deepEqual(res.body.Data.DEVPRODUCT["11"], {
+			AssetName: "Coins",
+			AssetType: "DEVPRODUCT",
+			AssetTypeId: 0,
+			AssetPrice: 10,
+			ProductId: 11,
+			UniverseId: 1000,
+		})
+		assert.deepEqual(Object.keys(res.body.Data.CLASSIC_SHIRT), ["501"])
+		assert.equal(res.body.summary.clothing, 1)
+		assert.equal(res.body.summary.universes, 2)
+		assert.equal(res.body.partial, false)
+		assert.deepEqual(res.body.skipped, [])
+	})
+
+	it("returns what it has with partial=true when ?budgetMs= runs out", async () => {
+		// the inventory visibility check never answers
+		fake.inject({ host: "apis.roblox.com", path: `/cloud/v2/users/${USER_ID}/inventory-items` }, { timeout: true })
+
+		const start = Date.now()
+		const res = await get({ budgetMs: "2500" })
+
+		assert.ok(Date.now() - start < 4000, "the budget should cut the hanging call short")
+		assert.equal(res.statusCode, 207)
+		assert.equal(res.body.partial, true)
+		assert.deepEqual(res.body.skipped, [{ step: "inventory.canView", count: 1 }])
+		assert.deepEqual(Object.keys(res.body.Data.GAMEPASS).sort(), ["1", "3"])
+		assert.deepEqual(res.body.Data.CLASSIC_SHIRT, {})
+		// a cancelled step is not an upstream error
+		assert.deepEqual(res.body.errors, [])
+		assert.equal(res.body.debug.budgetMs, 2500)
+	})
+
+	it("keeps an empty DEVPRODUCT bucket with includeDevProducts=0", async () => {
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.deepEqual(res.body.Data.DEVPRODUCT, {})
+		assert.equal(res.body.params.includeDevProducts, false)
+		assert.equal(fake.calls("apis.roblox.com", "/developer-products/").length, 0)
+	})
+
+	it("resumes every truncated source from ?cursor=", async () => {
+		const limits = { pageSize: "1", maxUniversePages: "1", maxInventoryPages: "1" }
+		const first = await get(limits)
+		assert.deepEqual(Object.keys(first.body.Data.CLASSIC_SHIRT), ["501"])
+		assert.equal(typeof first.body.nextCursor, "string")
+
+		fake.reset()
+		const second = await get({ ...limits, cursor: first.body.nextCursor })
+		assert.equal(second.body.ok, true, JSON.stringify(second.body.errors))
+		assert.equal(second.body.nextCursor, null)
+		assert.equal(fake.calls("games.roblox.com").length, 0)
+		assert.equal(fake.calls("apis.roblox.com", "/universes/").length, 0)
+		// only the sources that had pages left: gamepasses and products of 1000, the second shirt page
+		assert.deepEqual(
+			fake.calls("apis.roblox.com", "/game-passes/").map((c) => c.path),
+			["/game-passes/v1/universes/1000/game-passes"]
+		)
+		assert.deepEqual(
+			fake.calls("apis.roblox.com", "/cloud/v2/users/").map((c) => c.query.get("filter")),
+			["inventoryItemAssetTypes=CLASSIC_SHIRT"]
+		)
+	})
+
+	it("resumes inventory after the last enriched page when catalog lookups are cut off", async () => {
+		setCsrfToken(fake.csrfToken)
+		const item = (id) => ({ assetDetails: { assetId: String(id) } })
+		const firstPage = Array.from({ length: 50 }, (_, i) => item(7001 + i))
+		fake.inject(
+			{ host: "apis.roblox.com", path: `/cloud/v2/users/${USER_ID}/inventory-items` },
+			{ status: 200, body: { canView: true } },
+			{ status: 200, body: { inventoryItems: firstPage, nextPageToken: "p2" } },
+			{ status: 200, body: { inventoryItems: [item(601)], nextPageToken: null } }
+		)
+		// the first batch (page 1) is enriched; the budget runs out while the second (page 2) is pending
+		let deadline = null
+		setDeadlineHook((d) => {
+			deadline = d
+		})
+		fake.inject({ host: "catalog.roblox.com", method: "POST" }, { status: 200, body: { data: [] } }, () => {
+			deadline.expire()
+			return { timeout: true }
+		})
+
+		let res
+		try {
+			res = await get({ assetTypes: "HAT", includeGamepasses: "0", includeDevProducts: "0" })
+		} finally {
+			setDeadlineHook(null)
+		}
+
+		assert.equal(res.body.partial, true)
+		assert.deepEqual(res.body.skipped, [{ step: "catalog.details", count: 1 }])
+		const cursor = decodeCursor(res.body.nextCursor, "get-donation-asset", USER_ID)
+		assert.deepEqual(Array.from(cursor.state.inv), [["HAT", "p2"]])
+	})
+
+	it("resumes developer product and inventory pages that failed after their retries", async () => {
+		const down = { status: 500, body: "boom" }
+		fake.inject({ host: "apis.roblox.com", path: "/developer-products/v2/universes/1000/" }, ...Array(MAX_ATTEMPTS).fill(down))
+		fake.inject(
+			{ host: "apis.roblox.com", path: `/cloud/v2/users/${USER_ID}/inventory-items` },
+			{ status: 200, body: { canView: true } },
+			...Array(MAX_ATTEMPTS).fill(down)
+		)
+
+		const query = { includeGamepasses: "0", assetTypes: "CLASSIC_SHIRT" }
+		const first = await get(query)
+		assert.equal(first.body.ok, false)
+		const cursor = decodeCursor(first.body.nextCursor, "get-donation-asset", USER_ID)
+		assert.deepEqual(Array.from(cursor.state.dp), [[1000, ""]])
+		assert.deepEqual(Array.from(cursor.state.inv), [["CLASSIC_SHIRT", ""]])
+
+		const second = await get({ ...query, cursor: first.body.nextCursor })
+		assert.equal(second.body.ok, true, JSON.stringify(second.body.errors))
+		assert.deepEqual(Object.keys(second.body.Data.DEVPRODUCT), ["11"])
+		assert.deepEqual(Object.keys(second.body.Data.CLASSIC_SHIRT), ["501"])
+		assert.equal(second.body.nextCursor, null)
+	})
+
+	it("checks inventory visibility again on resume when the budget cut that check off", async () => {
+		const inventoryPath = `/cloud/v2/users/${USER_ID}/inventory-items`
+		let deadline = null
+		setDeadlineHook((d) => {
+			deadline = d
+		})
+		fake.inject({ host: "apis.roblox.com", path: inventoryPath }, () => {
+			deadline.expire()
+			return { timeout: true }
+		})
+
+		const query = { includeGamepasses: "0", includeDevProducts: "0", assetTypes: "CLASSIC_SHIRT" }
+		let first
+		try {
+			first = await get(query)
+		} finally {
+			setDeadlineHook(null)
+		}
+		assert.equal(first.body.partial, true)
+		const cursor = decodeCursor(first.body.nextCursor, "get-donation-asset", USER_ID)
+		assert.deepEqual(Array.from(cursor.state.inv), [["CLASSIC_SHIRT", ""]])
+		assert.equal(cursor.state.cv, false)
+
+		fake.reset()
+		fake.inject({ host: "apis.roblox.com", path: inventoryPath }, { status: 200, body: { canView: false } })
+		const second = await get({ ...query, cursor: first.body.nextCursor })
+
+		assert.deepEqual(second.body.Data.CLASSIC_SHIRT, {})
+		assert.equal(second.body.errors[0].code, "INVENTORY_PRIVATE")
+		assert.equal(fake.calls("apis.roblox.com", inventoryPath).length, 1)
+		assert.equal(second.body.nextCursor, null)
+	})
+
+	it("skips the visibility check on resume once it passed", async () => {
+		const limits = { includeGamepasses: "0", includeDevProducts: "0", pageSize: "1", maxInventoryPages: "1" }
+		const first = await get({ ...limits, assetTypes: "CLASSIC_SHIRT" })
+		assert.equal(decodeCursor(first.body.nextCursor, "get-donation-asset", USER_ID).state.cv, true)
+
+		fake.reset()
+		await get({ ...limits, cursor: first.body.nextCursor })
+		// no canView call (it has no filter), only the resumed page
+		assert.deepEqual(
+			fake.calls("apis.roblox.com", `/cloud/v2/users/${USER_ID}/inventory-items`).map((c) => c.query.get("filter")),
+			["inventoryItemAssetTypes=CLASSIC_SHIRT"]
+		)
+	})
+
+	it("applies include flags and ?assetTypes= to a resumed call", async () => {
+		const limits = { pageSize: "1", maxUniversePages: "1", maxInventoryPages: "1" }
+		const first = await get({ ...limits, assetTypes: "CLASSIC_SHIRT,HAT" })
+		const firstCursor = decodeCursor(first.body.nextCursor, "get-donation-asset", USER_ID)
+		assert.deepEqual(Array.from(firstCursor.state.inv.keys()), ["CLASSIC_SHIRT"])
+
+		fake.reset()
+		const noClothing = await get({ ...limits, includeClothing: "0", cursor: first.body.nextCursor })
+		assert.equal(fake.calls("apis.roblox.com", "/cloud/v2/users/").length, 0)
+		assert.equal(fake.calls("catalog.roblox.com").length, 0)
+		assert.ok(fake.calls("apis.roblox.com", "/game-passes/").length > 0, "other sources still resume")
+		// the dropped inventory source is not handed out again
+		assert.equal(noClothing.body.nextCursor, null)
+
+		fake.reset()
+		const narrowed = await get({ ...limits, assetTypes: "HAT,CLASSIC_PANTS", cursor: first.body.nextCursor })
+		assert.deepEqual(narrowed.body.params.assetTypes, ["HAT"])
+		assert.equal(fake.calls("apis.roblox.com", "/cloud/v2/users/").length, 0)
+		assert.deepEqual(
+			narrowed.body.warnings.map((w) => [w.param, w.code, w.value]),
+			[["assetTypes", "IGNORED_BY_CURSOR", ["CLASSIC_PANTS"]]]
+		)
+	})
+
+	it("rejects a cursor issued for another user", async () => {
+		const first = await get({ pageSize: "1", maxUniversePages: "1" })
+		fake.reset()
+
+		const res = await invoke(handler, {
+			method: "GET",
+			query: { userId: String(USER_ID + 1), cursor: first.body.nextCursor },
+		})
+		assert.equal(res.body.ok, false)
+		assert.equal(res.body.errors[0].step, "validate")
+		assert.equal(res.body.errors[0].context.reason, "user_mismatch")
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("adds owned-group games with provenance when includeGroupGames=1", async () => {
+		const res = await get({ includeGroupGames: "1", includeClothing: "0" })
+
+		assert.equal(res.body.summary.groups, 1)
+		assert.equal(res.body.Data.GAMEPASS["4"].GroupId, 900)
+		assert.equal(res.body.Data.GAMEPASS["4"].GroupName, "Studio")
+		assert.equal(res.body.Data.GAMEPASS["1"].GroupId, undefined)
+	})
+
+	it("collects registry asset types selected with ?assetTypes=", async () => {
+		const res = await get({ assetTypes: "accessories", includeGamepasses: "0", includeDevProducts: "0" })
+
+		assert.deepEqual(Object.keys(res.body.Data.HAT), ["601"])
+		assert.equal(res.body.Data.HAT["601"].AssetTypeId, 8)
+		assert.equal(res.body.Data.CLASSIC_SHIRT, undefined)
+		assert.equal(res.body.summary.assetTypes.HAT, 1)
+	})
+
+	it("retries a 429 from the gamepass API and still succeeds", async () => {
+		fake.inject({ host: "apis.roblox.com", path: "/game-passes/v1/universes/1000/" }, {
+			status: 429,
+			headers: { "retry-after": "1" },
+			body: { errors: [{ message: "TooManyRequests" }] },
+		})
+
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.ok(res.body.Data.GAMEPASS["1"])
+		assert.equal(fake.calls("apis.roblox.com", "/game-passes/v1/universes/1000/").length, 2)
+	})
+
+	it("retries a 503 from the universe lookup", async () => {
+		fake.inject({ host: "apis.roblox.com", path: "/universes/v1/places/100/" }, { status: 503, body: "unavailable" })
+
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.equal(res.body.summary.universes, 2)
+		assert.equal(fake.calls("apis.roblox.com", "/universes/v1/places/100/").length, 2)
+	})
+
+	it("reports an upstream error once retries are exhausted", async () => {
+		const down = { status: 500, body: "boom" }
+		fake.inject({ host: "apis.roblox.com", path: "/game-passes/v1/universes/1001/" }, down, down, down, down)
+
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		assert.equal(res.statusCode, 207)
+		assert.equal(res.body.ok, false)
+		assert.ok(res.body.Data.GAMEPASS["1"], "other universes are unaffected")
+		assert.equal(res.body.Data.GAMEPASS["3"], undefined)
+		const err = res.body.errors.find((e) => e.step === "gamepasses.list")
+		assert.equal(err.code, "UPSTREAM_UNAVAILABLE")
+		assert.equal(err.retryable, true)
+		assert.equal(err.severity, "error")
+		assert.equal(typeof res.body.nextCursor, "string", "the failed universe is resumed")
+	})
+
+	it("blocks a redirect to a host outside the allowlist", async () => {
+		fake.inject(
+			{ host: "apis.roblox.com", path: "/game-passes/v1/universes/1000/" },
+			{ status: 302, headers: { location: "https://evil.example.com/steal" } }
+		)
+
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		const err = res.body.errors.find((e) => e.message === "Redirect host not allowed")
+		assert.ok(err, JSON.stringify(res.body.errors))
+		assert.equal(err.code, "REDIRECT_BLOCKED")
+		assert.equal(err.context.host, "evil.example.com")
+		assert.equal(res.body.Data.GAMEPASS["1"], undefined)
+	})
+
+	it("follows a redirect to an allowed Roblox host", async () => {
+		fake.inject(
+			{ host: "apis.roblox.com", path: "/universes/v1/places/101/" },
+			{ status: 302, headers: { location: "https://apis.roblox.com/universes/v1/places/100/universe" } }
+		)
+
+		const res = await get({ includeClothing: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.equal(res.body.summary.universes, 1)
+	})
+
+	it("negotiates the catalog CSRF token on the first POST", async () => {
+		const res = await get({ includeGamepasses: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		const posts = fake.calls("catalog.roblox.com", "/v1/catalog/items/details")
+		assert.equal(posts.length, 2)
+		assert.equal(posts[0].headers["x-csrf-token"], undefined)
+		assert.equal(posts[1].headers["x-csrf-token"], fake.csrfToken)
+	})
+
+	it("bootstraps a new CSRF token when the cached one is rejected without a replacement", async () => {
+		setCsrfToken("stale-token")
+		fake.inject(
+			{ host: "catalog.roblox.com", method: "POST" },
+			{ status: 403, body: { errors: [{ code: 0, message: "XSRF token invalid" }] } }
+		)
+
+		const res = await get({ includeGamepasses: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.deepEqual(
+			fake.calls("catalog.roblox.com", "/v1/catalog/items/details").map((r) => r.headers["x-csrf-token"]),
+			["stale-token", undefined, fake.csrfToken]
+		)
+		assert.deepEqual(Object.keys(res.body.Data.CLASSIC_SHIRT), ["501"])
+	})
+
+	it("skips inventory assets when the inventory is not viewable", async () => {
+		fake.inject({ host: "apis.roblox.com", path: `/cloud/v2/users/${USER_ID}/inventory-items` }, {
+			status: 200,
+			body: { canView: false },
+		})
+
+		const res = await get({ includeGamepasses: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, true)
+		assert.equal(res.body.summary.clothing, 0)
+		assert.equal(fake.calls("catalog.roblox.com").length, 0)
+		assert.deepEqual(
+			res.body.errors.map((e) => [e.code, e.severity]),
+			[["INVENTORY_PRIVATE", "info"]]
+		)
+	})
+
+	it("reports CSRF_BOOTSTRAP_FAILED when Roblox never hands out a token", async () => {
+		setCsrfToken("stale-token")
+		const rejected = { status: 403, body: { errors: [{ code: 0, message: "XSRF token invalid" }] } }
+		fake.inject({ host: "catalog.roblox.com", method: "POST" }, rejected, rejected)
+
+		const res = await get({ includeGamepasses: "0", includeDevProducts: "0" })
+
+		assert.equal(res.body.ok, false)
+		const err = res.body.errors.find((e) => e.step === "catalog.details")
+		assert.equal(err.code, "CSRF_BOOTSTRAP_FAILED")
+		assert.equal(err.retryable, true)
+	})
+
+	it("rejects an invalid userId without calling upstream", async () => {
+		const res = await invoke(handler, { method: "GET", query: { userId: "abc" } })
+
+		assert.equal(res.statusCode, 400)
+		assert.equal(res.body.ok, false)
+		assert.equal(res.body.errors[0].step, "validate")
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("reports coerced query parameters as warnings and echoes the values used", async () => {
+		const res = await get({ maxPlaces: "abc", pageSize: "5000", includeClothing: "maybe", colour: "red" })
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.params.maxPlaces, 50)
+		assert.equal(res.body.params.pageSize, 100)
+		assert.equal(res.body.params.includeClothing, true)
+		assert.deepEqual(res.body.params.assetTypes, ["CLASSIC_TSHIRT", "CLASSIC_SHIRT", "CLASSIC_PANTS"])
+		assert.deepEqual(
+			res.body.warnings.map((w) => `${w.param}:${w.code}`),
+			["colour:UNKNOWN_PARAMETER", "includeClothing:INVALID_TYPE", "maxPlaces:INVALID_TYPE", "pageSize:OUT_OF_RANGE"]
+		)
+		assert.equal(res.headers["x-query-warnings"], "colour:UNKNOWN_PARAMETER,includeClothing:INVALID_TYPE,maxPlaces:INVALID_TYPE,pageSize:OUT_OF_RANGE")
+	})
+
+	it("rejects the same query with ?strict=1 before calling upstream", async () => {
+		const res = await get({ pageSize: "5000", strict: "1" })
+
+		assert.equal(res.statusCode, 400)
+		assert.deepEqual(res.body.errors.map((e) => [e.code, e.context.param]), [["INVALID_PARAMETER", "pageSize"]])
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("answers 502 when every upstream call failed", async () => {
+		// games discovery fails outright, so there is nothing to page
+		fake.inject({ host: "games.roblox.com" }, { status: 404, body: { errors: [] } })
+
+		const res = await get({ includeClothing: "0" })
+
+		assert.equal(res.statusCode, 502)
+		assert.deepEqual(res.body.Data.GAMEPASS, {})
+	})
+
+	it("keeps HTTP 200 with ?legacyStatus=1 and reports the real status in X-Gateway-Status", async () => {
+		const res = await invoke(handler, { method: "GET", query: { userId: "abc", legacyStatus: "1" } })
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.headers["x-gateway-status"], "400")
+		assert.equal(res.body.errors[0].step, "validate")
+	})
+})
@@ -0,0 +1,114 @@
+import { after, afterEach, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/get-gamepass.js"
+import { MAX_ATTEMPTS } from "../lib/roblox-client.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+
+const USER_ID = 7
+
+const FIXTURES = {
+	userGames: { [USER_ID]: [100] },
+	universes: { 100: 1000 },
+	gamePasses: {
+		1000: [
+			{ id: 1, name: "VIP", isForSale: true, price: 100 },
+			{ id: 2, name: "", displayName: "Shown", isForSale: true, price: 10 },
+			{ id: 3, name: "Free", isForSale: true, price: 0 },
+		],
+	},
+}
+
+describe("GET /api/get-gamepass", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.CACHE_DISABLED = "1"
+		fake = await startFakeRoblox(FIXTURES)
+	})
+
+	after(async () => {
+		await fake.close()
+	})
+
+	afterEach(() => fake.reset())
+
+	it("lists priced, for-sale gamepasses and never queries inventory", async () => {
+		const res = await invoke(handler, { method: "GET", query: { userId: String(USER_ID) } })
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.ok, true, JSON.stringify(res.body.errors))
+		assert.deepEqual(Object.keys(res.body.Data.GAMEPASS).sort(), ["1", "2"])
+		assert.equal(res.body.Data.GAMEPASS["2"].AssetName, "Shown")
+		assert.deepEqual(res.body.Data.CLASSIC_TSHIRT, {})
+		assert.equal(fake.calls("apis.roblox.com", "/cloud/v2/users/").length, 0)
+		assert.equal(fake.calls("catalog.roblox.com").length, 0)
+	})
+
+	it("follows gamepass pages up to maxUniversePages", async () => {
+		const res = await invoke(handler, {
+			method: "GET",
+			query: { userId: String(USER_ID), pageSize: "1", maxUniversePages: "2" },
+		})
+
+		assert.deepEqual(Object.keys(res.body.Data.GAMEPASS), ["1", "2"])
+		assert.equal(fake.calls("apis.roblox.com", "/game-passes/").length, 2)
+	})
+
+	it("hands out a cursor where maxUniversePages stopped and resumes from it", async () => {
+		const first = await invoke(handler, {
+			method: "GET",
+			query: { userId: String(USER_ID), pageSize: "1", maxUniversePages: "1" },
+		})
+		assert.deepEqual(Object.keys(first.body.Data.GAMEPASS), ["1"])
+		assert.equal(typeof first.body.nextCursor, "string")
+
+		fake.reset()
+		const second = await invoke(handler, {
+			method: "GET",
+			query: { userId: String(USER_ID), pageSize: "1", maxUniversePages: "1", cursor: first.body.nextCursor },
+		})
+		assert.equal(second.body.ok, true, JSON.stringify(second.body.errors))
+		assert.deepEqual(Object.keys(second.body.Data.GAMEPASS), ["2"])
+		// the cursor replaces discovery
+		assert.equal(fake.calls("games.roblox.com").length, 0)
+		assert.equal(fake.calls("apis.roblox.com", "/universes/").length, 0)
+
+		const third = await invoke(handler, {
+			method: "GET",
+			query: { userId: String(USER_ID), pageSize: "1", maxUniversePages: "1", cursor: second.body.nextCursor },
+		})
+		assert.deepEqual(third.body.Data.GAMEPASS, {})
+		assert.equal(third.body.nextCursor, null)
+	})
+
+	it("resumes a gamepass page that failed after its retries", async () => {
+		const down = { status: 500, body: "boom" }
+		fake.inject({ host: "apis.roblox.com", path: "/game-passes/v1/universes/1000/" }, ...Array(MAX_ATTEMPTS).fill(down))
+
+		const first = await invoke(handler, { method: "GET", query: { userId: String(USER_ID) } })
+		assert.equal(first.body.ok, false)
+		assert.equal(first.body.errors[0].code, "UPSTREAM_UNAVAILABLE")
+		assert.equal(typeof first.body.nextCursor, "string")
+
+		const second = await invoke(handler, { method: "GET", query: { userId: String(USER_ID), cursor: first.body.nextCursor } })
+		assert.equal(second.body.ok, true, JSON.stringify(second.body.errors))
+		assert.deepEqual(Object.keys(second.body.Data.GAMEPASS).sort(), ["1", "2"])
+		assert.equal(second.body.nextCursor, null)
+	})
+
+	it("does not retry a 404 place lookup", async () => {
+		fake.inject({ host: "apis.roblox.com", path: "/universes/v1/places/100/" }, { status: 404, body: { errors: [] } })
+
+		const res = await invoke(handler, { method: "GET", query: { userId: String(USER_ID) } })
+
+		assert.equal(res.body.summary.universes, 0)
+		assert.equal(fake.calls("apis.roblox.com", "/universes/v1/places/100/").length, 1)
+		// a deleted place is skipped, not a failure
+		assert.equal(res.body.ok, true)
+		assert.equal(res.body.errors[0].code, "INVALID_PLACE")
+		assert.equal(res.body.errors[0].severity, "warning")
+	})
+})
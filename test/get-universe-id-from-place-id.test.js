@@ -0,0 +1,139 @@
+import { after, afterEach, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/get-universe-id-from-place-id.js"
+import warmHandler from "../api/warm-universe-map.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke, mockReq, mockRes } from "./helpers/http.js"
+
+// Cache stays on here: the place -> universe mapping store is part of what is tested.
+// Every test uses its own place ids so entries from earlier tests do not interfere.
+const FIXTURES = {
+	universes: { 1: 10, 2: 20, 3: 30, 4: 40, 5: 50, 6: 60, 7: 70 },
+}
+
+describe("/api/get-universe-id-from-place-id", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		delete process.env.CACHE_DISABLED
+		fake = await startFakeRoblox(FIXTURES)
+	})
+
+	after(async () => {
+		await fake.close()
+	})
+
+	afterEach(() => fake.reset())
+
+	it("resolves a place and serves the next lookup from the mapping store", async () => {
+		const first = await invoke(handler, { query: { placeId: "1" } })
+		assert.equal(first.statusCode, 200)
+		assert.equal(first.body.universeId, 10)
+		assert.equal(first.body.cached, false)
+
+		const second = await invoke(handler, { query: { placeId: "1" } })
+		assert.equal(second.body.universeId, 10)
+		assert.equal(second.body.cached, true)
+		assert.equal(fake.calls("apis.roblox.com").length, 1)
+	})
+
+	it("caches unknown places negatively", async () => {
+		const first = await invoke(handler, { query: { placeId: "404" } })
+		assert.equal(first.statusCode, 404)
+		assert.equal(first.body.error, "Upstream error")
+
+		const second = await invoke(handler, { query: { placeId: "404" } })
+		assert.equal(second.statusCode, 404)
+		assert.equal(second.body.cached, true)
+		assert.equal(fake.calls("apis.roblox.com").length, 1)
+	})
+
+	it("returns 502 on repeated 5xx and does not cache the failure", async () => {
+		const down = { status: 502, body: "bad gateway" }
+		fake.inject({ host: "apis.roblox.com" }, down, down, down, down)
+
+		const res = await invoke(handler, { query: { placeId: "2" } })
+		assert.equal(res.statusCode, 502)
+
+		const retry = await invoke(handler, { query: { placeId: "2" } })
+		assert.equal(retry.statusCode, 200)
+		assert.equal(retry.body.universeId, 20)
+	})
+
+	it("rejects an invalid placeId", async () => {
+		const res = await invoke(handler, { query: { placeId: "abc" } })
+		assert.equal(res.statusCode, 400)
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("resolves a batch and reports failures per id", async () => {
+		const res = await invoke(handler, { method: "POST", body: [3, 4, 9999, "x"] })
+
+		// an invalid place is a warning, not a failure
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.ok, true)
+		assert.deepEqual(res.body.results, { 3: 30, 4: 40, 9999: null })
+		assert.equal(res.body.errors["9999"].httpStatus, 404)
+		assert.equal(res.body.errors["9999"].code, "INVALID_PLACE")
+		assert.deepEqual(res.body.rejected, ["x"])
+		assert.deepEqual(res.body.summary, { requested: 3, resolved: 2, cached: 0, invalid: 1, failed: 0 })
+	})
+
+	it("reports a 200 without universeId as INVALID_PLACE, fresh and cached", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 200, body: {} })
+
+		const first = await invoke(handler, { query: { placeId: "77" } })
+		assert.equal(first.statusCode, 404)
+		assert.equal(first.body.code, "INVALID_PLACE")
+		assert.equal(first.body.severity, "warning")
+
+		const second = await invoke(handler, { query: { placeId: "77" } })
+		assert.equal(second.statusCode, 404)
+		assert.equal(second.body.code, "INVALID_PLACE")
+		assert.equal(second.body.cached, true)
+
+		fake.inject({ host: "apis.roblox.com" }, { status: 200, body: {} })
+		const warm = await invoke(warmHandler, { method: "POST", body: [78] })
+		assert.equal(warm.body.ok, true)
+		assert.deepEqual(
+			warm.body.errors.map((e) => [e.code, e.severity]),
+			[["INVALID_PLACE", "warning"]]
+		)
+		assert.equal(warm.body.summary.invalid, 1)
+	})
+
+	it("accepts ?placeIds= for batches", async () => {
+		const res = await invoke(handler, { query: { placeIds: "3,5" } })
+
+		assert.equal(res.body.ok, true)
+		assert.deepEqual(res.body.results, { 3: 30, 5: 50 })
+		assert.equal(res.body.summary.cached, 1)
+	})
+
+	it("answers an unexpected throw with the typed 500 envelope", async () => {
+		const req = mockReq({ method: "POST" })
+		Object.defineProperty(req, "body", {
+			get() {
+				throw new Error("body stream broke")
+			},
+		})
+		const res = mockRes()
+		await handler(req, res)
+
+		assert.equal(res.statusCode, 500)
+		assert.deepEqual(res.body, { ok: false, error: "Unhandled server error", code: "INTERNAL_ERROR", retryable: false, severity: "fatal" })
+	})
+
+	it("warms the mapping store", async () => {
+		const res = await invoke(warmHandler, { method: "POST", body: { placeIds: [6, 7] } })
+
+		assert.equal(res.statusCode, 200)
+		assert.deepEqual(res.body.results, { 6: 60, 7: 70 })
+
+		const lookup = await invoke(handler, { query: { placeId: "7" } })
+		assert.equal(lookup.body.cached, true)
+		assert.equal(fake.calls("apis.roblox.com").length, 2)
+	})
+})
@@ -0,0 +1,75 @@
+import { after, afterEach, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/health.js"
+import { ROBLOX_HOSTS } from "../lib/roblox-client.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+
+const FIXTURES = {
+	sessions: { "good-cookie": { id: 42, name: "gateway_bot", displayName: "Gateway" } },
+	apiKeys: {
+		"good-key": { name: "gateway", scopes: [{ name: "universe.place", operations: ["read"] }] },
+		"old-key": { name: "old", scopes: [], expired: true },
+	},
+}
+
+describe("GET /api/health", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.VERCEL_REGION = "iad1"
+		fake = await startFakeRoblox(FIXTURES)
+	})
+
+	after(async () => {
+		delete process.env.ROBLOX_CREDENTIALS
+		await fake.close()
+	})
+
+	afterEach(() => fake.reset())
+
+	it("reports the signed-in user, key scopes, allowlist and region", async () => {
+		process.env.ROBLOX_CREDENTIALS = JSON.stringify([{ name: "main", cookie: "good-cookie", apiKey: "good-key" }])
+
+		const res = await invoke(handler, { method: "GET" })
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.status, "ok")
+		const [slot] = res.body.credentials
+		assert.deepEqual(slot.cookie, { ok: true, status: 200, userId: 42, userName: "gateway_bot", displayName: "Gateway" })
+		assert.equal(slot.apiKey.ok, true)
+		assert.deepEqual(slot.apiKey.scopes, FIXTURES.apiKeys["good-key"].scopes)
+		assert.equal(res.body.allowlist.hosts, ROBLOX_HOSTS.length)
+		assert.equal(res.body.region, "iad1")
+		assert.equal(JSON.stringify(res.body).includes("good-key"), false)
+	})
+
+	it("answers 503 when a cookie is rejected or a key has expired", async () => {
+		process.env.ROBLOX_CREDENTIALS = JSON.stringify([
+			{ name: "main", cookie: "good-cookie" },
+			{ name: "stale", cookie: "expired-cookie", apiKey: "old-key" },
+		])
+
+		const res = await invoke(handler, { method: "GET" })
+
+		assert.equal(res.statusCode, 503)
+		assert.equal(res.body.status, "degraded")
+		const stale = res.body.credentials.find((c) => c.name === "stale")
+		assert.equal(stale.cookie.status, 401)
+		assert.equal(stale.apiKey.expired, true)
+		assert.equal(res.body.credentials.find((c) => c.name === "main").cookie.ok, true)
+	})
+
+	it("is degraded without any credential", async () => {
+		process.env.ROBLOX_CREDENTIALS = ""
+		delete process.env.ROBLOX_SECURITY_COOKIE
+		delete process.env.ROBLOX_OPEN_CLOUD_KEY
+
+		const res = await invoke(handler, { method: "GET" })
+
+		assert.equal(res.statusCode, 503)
+		assert.equal(res.body.error, "No Roblox credentials configured")
+	})
+})
@@ -0,0 +1,233 @@
+// test/helpers/fake-roblox.js
+// Local stand-in for the Roblox APIs the handlers call
+//
+// startFakeRoblox(fixtures) starts an HTTP server on 127.0.0.1 and swaps globalThis.fetch for a
+// wrapper that sends every https://*.roblox.com request to it (original host in x-fake-host).
+// Any other host fails like a dead network, so a test can never reach the real API.
+// While it runs, the client's pacing jitter and retry backoff do not wait (instantSleep); a test
+// that times the backoff puts the real sleep back with setUpstreamSleep(null).
+//
+// Fixtures (all optional):
+// - userGames     { [userId]: [placeId, ...] }
+// - groupGames    { [groupId]: [placeId, ...] }
+// - groupRoles    { [userId]: [{ group: { id, name, owner: { userId } }, role: { rank } }] }
+// - universes     { [placeId]: universeId }               (missing -> 404)
+// - gamePasses    { [universeId]: [{ id, name, isForSale, price }] }
+// - devProducts   { [universeId]: [{ productId, name, isForSale, priceInformation }] }
+// - inventory     { [userId]: { [assetType]: [assetId, ...] } }
+// - canView       { [userId]: boolean }                   (default true)
+// - catalog       { [assetId]: { name, price, creatorType, creatorTargetId, isOffSale } }
+// - groups        { [groupId]: { ownerUserId } }
+// - assets        { [assetId]: Buffer }                   (assetdelivery /v1/asset?id=, honors Range)
+// - sessions      { [cookieToken]: { id, name, displayName } }   (users /v1/users/authenticated; else 401)
+// - apiKeys       { [apiKey]: { name, scopes, enabled, expired } } (POST api-keys/v1/introspect; else 401)
+//
+// fake.inject(match, ...responses) queues responses that win over the fixtures, one per matching
+// request. match: { host, method, path } (path: string prefix or RegExp). A response is
+// { status, headers, body }, { timeout: true } (never answers) or { reset: true } (drops the socket),
+// or a function (request) => response, called when the request arrives.
+
+import http from "node:http"
+import { setUpstreamSleep } from "../../lib/roblox-client.js"
+
+const CSRF_TOKEN = "fake-csrf-token"
+
+// Resolves at once, but still rejects like sleep() once `signal` has aborted
+export function instantSleep(ms, signal = null) {
+	return signal?.aborted ? Promise.reject(signal.reason) : Promise.resolve()
+}
+
+function json(status, body, headers = {}) {
+	return { status, headers: { "content-type": "application/json", ...headers }, body }
+}
+
+// Generic offset paging: ?pageSize|maxPageSize|limit & pageToken|cursor
+function paged(items, query, { itemsKey, tokenKey }) {
+	const size = Number(query.get("pageSize") || query.get("maxPageSize") || query.get("limit") || 100)
+	const offset = Number(query.get("pageToken") || query.get("cursor") || 0)
+	const slice = items.slice(offset, offset + size)
+	const next = offset + size < items.length ? String(offset + size) : null
+	return json(200, { [itemsKey]: slice, [tokenKey]: next })
+}
+
+function matches(match, req) {
+	if (match.host && match.host !== req.host) return false
+	if (match.method && match.method !== req.method) return false
+	if (match.path instanceof RegExp) return match.path.test(req.path)
+	if (typeof match.path === "string") return req.path.startsWith(match.path)
+	return true
+}
+
+function routeFixtures(fx, req) {
+	const { host, method, path, query, headers, body } = req
+	let m
+
+	if (host === "games.roblox.com" && method === "GET") {
+		if ((m = path.match(/^\/v2\/users\/(\d+)\/games$/))) {
+			const places = fx.userGames?.[m[1]] || []
+			return paged(places.map((id) => ({ rootPlace: { id } })), query, { itemsKey: "data", tokenKey: "nextPageCursor" })
+		}
+		if ((m = path.match(/^\/v2\/groups\/(\d+)\/gamesV2$/))) {
+			const places = fx.groupGames?.[m[1]] || []
+			return paged(places.map((id) => ({ rootPlace: { id } })), query, { itemsKey: "data", tokenKey: "nextPageCursor" })
+		}
+	}
+
+	if (host === "users.roblox.com" && method === "GET" && path === "/v1/users/authenticated") {
+		const token = /\.ROBLOSECURITY=([^;]+)/.exec(headers.cookie || "")?.[1]
+		const user = token && fx.sessions?.[token]
+		return user ? json(200, user) : json(401, { errors: [{ code: 0, message: "Authorization has been denied for this request." }] })
+	}
+
+	if (host === "apis.roblox.com" && method === "POST" && path === "/api-keys/v1/introspect") {
+		const key = fx.apiKeys?.[JSON.parse(body || "{}").apiKey]
+		return key
+			? json(200, { enabled: true, expired: false, ...key })
+			: json(401, { errors: [{ code: 0, message: "Invalid API Key" }] })
+	}
+
+	if (host === "groups.roblox.com" && method === "GET" && (m = path.match(/^\/v1\/users\/(\d+)\/groups\/roles$/))) {
+		return json(200, { data: fx.groupRoles?.[m[1]] || [] })
+	}
+
+	if (host === "apis.roblox.com" && method === "GET") {
+		if ((m = path.match(/^\/universes\/v1\/places\/(\d+)\/universe$/))) {
+			const universeId = fx.universes?.[m[1]]
+			return universeId ? json(200, { universeId }) : json(404, { errors: [{ code: 0, message: "NotFound" }] })
+		}
+		if ((m = path.match(/^\/game-passes\/v1\/universes\/(\d+)\/game-passes$/))) {
+			return paged(fx.gamePasses?.[m[1]] || [], query, { itemsKey: "gamePasses", tokenKey: "nextPageToken" })
+		}
+		if ((m = path.match(/^\/developer-products\/v2\/universes\/(\d+)\/developer-products\/creator$/))) {
+			return paged(fx.devProducts?.[m[1]] || [], query, { itemsKey: "developerProducts", tokenKey: "nextPageToken" })
+		}
+		if ((m = path.match(/^\/cloud\/v2\/users\/(\d+)\/inventory-items$/))) {
+			const filter = query.get("filter")
+			if (!filter) return json(200, { canView: fx.canView?.[m[1]] ?? true })
+			const assetType = filter.replace(/^inventoryItemAssetTypes=/, "")
+			const ids = fx.inventory?.[m[1]]?.[assetType] || []
+			return paged(ids.map((id) => ({ assetDetails: { assetId: String(id) } })), query, {
+				itemsKey: "inventoryItems",
+				tokenKey: "nextPageToken",
+			})
+		}
+		if ((m = path.match(/^\/cloud\/v2\/groups\/(\d+)$/))) {
+			const group = fx.groups?.[m[1]]
+			return group ? json(200, { path: `groups/${m[1]}`, owner: `users/${group.ownerUserId}` }) : json(404, {})
+		}
+	}
+
+	if (host === "assetdelivery.roblox.com" && method === "GET" && path === "/v1/asset") {
+		const asset = fx.assets?.[query.get("id")]
+		if (!asset) return json(404, { errors: [{ code: 0, message: "Asset not found" }] })
+
+		const base = { "content-type": "application/octet-stream", "accept-ranges": "bytes", etag: `"asset-${query.get("id")}"` }
+		const range = /^bytes=(\d+)-(\d*)$/.exec(headers.range || "")
+		if (!range) return { status: 200, headers: { ...base, "content-length": String(asset.length) }, body: asset }
+
+		const start = Number(range[1])
+		const end = range[2] ? Math.min(Number(range[2]), asset.length - 1) : asset.length - 1
+		const part = asset.subarray(start, end + 1)
+		return {
+			status: 206,
+			headers: { ...base, "content-length": String(part.length), "content-range": `bytes ${start}-${end}/${asset.length}` },
+			body: part,
+		}
+	}
+
+	if (host === "catalog.roblox.com" && method === "POST" && path === "/v1/catalog/items/details") {
+		if (headers["x-csrf-token"] !== CSRF_TOKEN) {
+			return json(403, { errors: [{ code: 0, message: "Token Validation Failed" }] }, { "x-csrf-token": CSRF_TOKEN })
+		}
+		const items = JSON.parse(body || "{}").items || []
+		const data = items
+			.filter((it) => fx.catalog?.[it.id])
+			.map((it) => ({ id: it.id, itemType: "Asset", ...fx.catalog[it.id] }))
+		return json(200, { data })
+	}
+
+	return json(404, { errors: [{ code: 0, message: `fake-roblox: no route for ${method} ${host}${path}` }] })
+}
+
+export async function startFakeRoblox(fixtures = {}) {
+	const injected = []
+	const requests = []
+	const pending = new Set()
+
+	const server = http.createServer((req, res) => {
+		const chunks = []
+		req.on("data", (c) => chunks.push(c))
+		req.on("end", () => {
+			const url = new URL(req.url, "http://fake")
+			const entry = {
+				host: req.headers["x-fake-host"] || "",
+				method: req.method,
+				path: url.pathname,
+				query: url.searchParams,
+				headers: req.headers,
+				body: Buffer.concat(chunks).toString("utf8"),
+			}
+			requests.push(entry)
+
+			const idx = injected.findIndex((i) => matches(i.match, entry))
+			const queued = idx >= 0 ? injected.splice(idx, 1)[0].response : routeFixtures(fixtures, entry)
+			const response = typeof queued === "function" ? queued(entry) : queued
+
+			if (response.timeout) {
+				pending.add(res)
+				res.on("close", () => pending.delete(res))
+				return
+			}
+			if (response.reset) {
+				req.socket.destroy()
+				return
+			}
+
+			const headers = { ...(response.headers || {}) }
+			let payload = response.body ?? ""
+			if (typeof payload !== "string" && !Buffer.isBuffer(payload)) {
+				payload = JSON.stringify(payload)
+				headers["content-type"] ??= "application/json"
+			}
+			res.writeHead(response.status || 200, headers)
+			res.end(payload)
+		})
+	})
+
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	const base = `http://127.0.0.1:${server.address().port}`
+
+	const realFetch = globalThis.fetch
+	globalThis.fetch = async (input, init = {}) => {
+		const target = new URL(String(input))
+		if (!target.hostname.endsWith(".roblox.com")) {
+			throw new TypeError(`fetch failed (fake-roblox: ${target.host} is unreachable)`)
+		}
+		const headers = { ...(init.headers || {}), "x-fake-host": target.host }
+		return realFetch(base + target.pathname + target.search, { ...init, headers })
+	}
+	setUpstreamSleep(instantSleep)
+
+	return {
+		requests,
+		csrfToken: CSRF_TOKEN,
+		inject(match, ...responses) {
+			for (const response of responses) injected.push({ match, response })
+		},
+		// requests for one host (+ optional path prefix / RegExp)
+		calls(host, path) {
+			return requests.filter((r) => matches({ host, path }, r))
+		},
+		reset() {
+			injected.length = 0
+			requests.length = 0
+		},
+		async close() {
+			globalThis.fetch = realFetch
+			setUpstreamSleep(null)
+			for (const res of pending) res.destroy()
+			server.closeAllConnections()
+			await new Promise((resolve) => server.close(resolve))
+		},
+	}
+}
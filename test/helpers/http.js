@@ -0,0 +1,68 @@
+// test/helpers/http.js
+// Minimal Vercel-style req/res objects for calling handlers directly
+
+export function mockReq({ method = "GET", query = {}, headers = {}, body = undefined, url = "/", remoteAddress = "127.0.0.1" } = {}) {
+	return { method, query, headers, body, url, socket: { remoteAddress } }
+}
+
+// res.body is the parsed JSON payload (undefined for non-JSON); res.rawBody has the bytes written
+export function mockRes() {
+	const chunks = []
+	const res = {
+		statusCode: 200,
+		headers: {},
+		body: undefined,
+		rawBody: Buffer.alloc(0),
+		headersSent: false,
+		destroyed: false,
+		setHeader(name, value) {
+			res.headers[name.toLowerCase()] = value
+			return res
+		},
+		getHeader(name) {
+			return res.headers[name.toLowerCase()]
+		},
+		status(code) {
+			res.statusCode = code
+			return res
+		},
+		json(payload) {
+			res.body = payload
+			res.headersSent = true
+			return res
+		},
+		write(chunk) {
+			chunks.push(Buffer.from(chunk))
+			res.headersSent = true
+			return true
+		},
+		end(chunk) {
+			if (chunk !== undefined) chunks.push(Buffer.from(chunk))
+			res.headersSent = true
+			res.rawBody = Buffer.concat(chunks)
+			try {
+				res.body = JSON.parse(res.rawBody.toString("utf8"))
+			} catch {
+				res.body = undefined
+			}
+			return res
+		},
+		on() {
+			return res
+		},
+		off() {
+			return res
+		},
+		destroy() {
+			res.destroyed = true
+		},
+	}
+	return res
+}
+
+// Calls a handler and returns its res
+export async function invoke(handler, reqInit) {
+	const res = mockRes()
+	await handler(mockReq(reqInit), res)
+	return res
+}
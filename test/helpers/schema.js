@@ -0,0 +1,83 @@
+// test/helpers/schema.js
+// Just enough JSON Schema (2020-12, as used by lib/openapi.js) to check handler output:
+// $ref (local), allOf, oneOf, type, const, enum, properties, required, additionalProperties,
+// items, minimum, maximum, maxItems. Unknown keywords (format, description, ...) are ignored.
+
+function typeOf(value) {
+	if (value === null) return "null"
+	if (Array.isArray(value)) return "array"
+	if (Number.isInteger(value)) return "integer"
+	return typeof value
+}
+
+function typeMatches(expected, value) {
+	const actual = typeOf(value)
+	return expected === actual || (expected === "number" && actual === "integer")
+}
+
+function resolve(doc, schema) {
+	if (!schema?.$ref) return schema
+	const target = schema.$ref
+		.replace(/^#\//, "")
+		.split("/")
+		.reduce((node, key) => node?.[key], doc)
+	if (!target) throw new Error(`Unresolved $ref ${schema.$ref}`)
+	return resolve(doc, target)
+}
+
+// Returns a list of "path: problem" strings; empty when `value` matches
+export function validateSchema(doc, schema, value, path = "$") {
+	const s = resolve(doc, schema)
+	const errors = []
+
+	for (const sub of s.allOf || []) errors.push(...validateSchema(doc, sub, value, path))
+
+	if (s.oneOf) {
+		const matches = s.oneOf.filter((sub) => validateSchema(doc, sub, value, path).length === 0).length
+		if (matches !== 1) errors.push(`${path}: matches ${matches} oneOf branches`)
+	}
+
+	if (s.type) {
+		const types = Array.isArray(s.type) ? s.type : [s.type]
+		if (!types.some((t) => typeMatches(t, value))) {
+			errors.push(`${path}: expected ${types.join("|")}, got ${typeOf(value)}`)
+			return errors
+		}
+	}
+
+	if ("const" in s && value !== s.const) errors.push(`${path}: expected ${JSON.stringify(s.const)}`)
+	if (s.enum && !s.enum.includes(value)) errors.push(`${path}: ${JSON.stringify(value)} not in enum`)
+	if (s.minimum != null && typeof value === "number" && value < s.minimum) errors.push(`${path}: below ${s.minimum}`)
+	if (s.maximum != null && typeof value === "number" && value > s.maximum) errors.push(`${path}: above ${s.maximum}`)
+
+	if (typeOf(value) === "object") {
+		for (const key of s.required || []) {
+			if (!(key in value)) errors.push(`${path}: missing ${key}`)
+		}
+		for (const [key, child] of Object.entries(value)) {
+			if (s.properties?.[key]) {
+				errors.push(...validateSchema(doc, s.properties[key], child, `${path}.${key}`))
+			} else if (s.additionalProperties === false) {
+				errors.push(`${path}: unexpected property ${key}`)
+			} else if (s.additionalProperties && typeof s.additionalProperties === "object") {
+				errors.push(...validateSchema(doc, s.additionalProperties, child, `${path}.${key}`))
+			}
+		}
+	}
+
+	if (typeOf(value) === "array") {
+		if (s.maxItems != null && value.length > s.maxItems) errors.push(`${path}: more than ${s.maxItems} items`)
+		if (s.items) value.forEach((item, i) => errors.push(...validateSchema(doc, s.items, item, `${path}[${i}]`)))
+	}
+
+	return errors
+}
+
+// The JSON schema documented for `method path` answering `status` (falls back to "4XX")
+export function responseSchema(doc, path, method, status) {
+	const responses = doc.paths[path]?.[method.toLowerCase()]?.responses
+	if (!responses) throw new Error(`No operation ${method} ${path}`)
+	const response = responses[status] || responses[`${String(status)[0]}XX`]
+	if (!response) throw new Error(`${method} ${path} does not document status ${status}`)
+	return response.content["application/json"].schema
+}
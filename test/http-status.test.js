@@ -0,0 +1,38 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { networkFailureStatus, pipelineStatus, proxiedStatus, statusFor, upstreamRetryAfterSec } from "../lib/http-status.js"
+import { mockReq, mockRes } from "./helpers/http.js"
+
+describe("lib/http-status", () => {
+	it("maps pipeline outcomes to 200 / 207 / 502 / 504", () => {
+		assert.equal(pipelineStatus({ failed: false, hasData: false }), 200)
+		assert.equal(pipelineStatus({ failed: true, hasData: true }), 207)
+		assert.equal(pipelineStatus({ failed: false, hasData: true, timedOut: true }), 207)
+		assert.equal(pipelineStatus({ failed: true, hasData: false }), 502)
+		assert.equal(pipelineStatus({ failed: false, hasData: false, timedOut: true }), 504)
+	})
+
+	it("mirrors upstream 4xx but not 401 / 403 / 429, and turns 5xx / no response / timeouts into 502 / 504", () => {
+		assert.equal(proxiedStatus(204), 200)
+		assert.equal(proxiedStatus(404), 404)
+		assert.equal(proxiedStatus(401), 502)
+		assert.equal(proxiedStatus(403), 502)
+		assert.equal(proxiedStatus(429), 503)
+		assert.equal(upstreamRetryAfterSec({ retryAfter: "7" }), 7)
+		assert.equal(upstreamRetryAfterSec(null), 1)
+		assert.equal(proxiedStatus(503), 502)
+		assert.equal(proxiedStatus(0), 502)
+		assert.equal(networkFailureStatus(Object.assign(new Error("t"), { name: "AbortError" })), 504)
+		assert.equal(networkFailureStatus(new TypeError("fetch failed")), 502)
+	})
+
+	it("answers 200 to legacy callers and keeps the real status in a header", () => {
+		const res = mockRes()
+		assert.equal(statusFor(mockReq({ query: { legacyStatus: "1" } }), res, 502), 200)
+		assert.equal(res.getHeader("X-Gateway-Status"), "502")
+
+		assert.equal(statusFor(mockReq({ headers: { "x-legacy-status": "true" } }), mockRes(), 400), 200)
+		assert.equal(statusFor(mockReq({ query: { legacyStatus: "0" } }), mockRes(), 400), 400)
+	})
+})
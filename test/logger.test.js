@@ -0,0 +1,145 @@
+import { after, afterEach, before, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+
+import handler from "../api/fetch-url.js"
+import { REDACTED, createLogger, messageFields, readTraceContext, redact } from "../lib/logger.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+
+const COOKIE = "_|WARNING:-DO-NOT-SHARE-THIS.--Sharing-this-will-let-someone-log-in-as-you|_ABC123"
+const API_KEY = "open-cloud-key-0123456789"
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736"
+
+// Every record written through console.* while `fn` runs, parsed
+async function captureLogs(fn) {
+	const records = []
+	const capture = (line) => records.push(JSON.parse(line))
+	const spies = ["log", "warn", "error"].map((level) => mock.method(console, level, capture))
+	try {
+		await fn()
+	} finally {
+		for (const spy of spies) spy.mock.restore()
+	}
+	return records
+}
+
+describe("lib/logger", () => {
+	afterEach(() => {
+		delete process.env.ROBLOX_OPEN_CLOUD_KEY
+		delete process.env.DEBUG_LOG_ALL
+	})
+
+	it("masks credential fields and scrubs cookies, bearer tokens and configured secrets", () => {
+		process.env.ROBLOX_OPEN_CLOUD_KEY = API_KEY
+
+		const out = redact({
+			headers: { Cookie: `.ROBLOSECURITY=${COOKIE}`, "x-api-key": API_KEY, Authorization: "Bearer abc.def" },
+			authSent: { cookieLen: 120, apiKey: true },
+			msg: `sent key=${API_KEY} auth="Bearer abc.def" cookie ${COOKIE}`,
+			nested: [{ error: `bad .ROBLOSECURITY=${COOKIE}; path=/` }],
+		})
+
+		assert.deepEqual(out.headers, { Cookie: REDACTED, "x-api-key": REDACTED, Authorization: REDACTED })
+		assert.deepEqual(out.authSent, { cookieLen: 120, apiKey: true })
+		assert.equal(out.msg, `sent key=${REDACTED} auth="Bearer ${REDACTED}" cookie ${REDACTED}`)
+		assert.equal(out.nested[0].error, `bad .ROBLOSECURITY=${REDACTED}; path=/`)
+	})
+
+	it("redacts short secrets where they stand alone and values under credential names", () => {
+		process.env.GATEWAY_TOKENS = "abc"
+		try {
+			const out = redact({ msg: "token abc used; labc kept; x-gateway-signature: 9f8e7d; cookie=true cookieLen=12" })
+			assert.equal(out.msg, `token ${REDACTED} used; labc kept; x-gateway-signature: ${REDACTED}; cookie=true cookieLen=12`)
+			assert.deepEqual(redact({ query: "a=1&token=zz9" }), { query: `a=1&token=${REDACTED}` })
+		} finally {
+			delete process.env.GATEWAY_TOKENS
+		}
+	})
+
+	it("continues a valid traceparent and keeps a valid X-Request-Id", () => {
+		const trace = readTraceContext({ traceparent: `00-${TRACE_ID}-00f067aa0ba902b7-01`, "x-request-id": "req-42" })
+		assert.equal(trace.requestId, "req-42")
+		assert.equal(trace.traceId, TRACE_ID)
+		assert.equal(trace.parentSpanId, "00f067aa0ba902b7")
+		assert.match(trace.traceparent, new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`))
+		assert.notEqual(trace.spanId, "00f067aa0ba902b7")
+
+		const fresh = readTraceContext({ traceparent: `00-${"0".repeat(32)}-00f067aa0ba902b7-01`, "x-request-id": "bad id\n" })
+		assert.notEqual(fresh.traceId, "0".repeat(32))
+		assert.equal(fresh.parentSpanId, null)
+		assert.match(fresh.requestId, /^[0-9a-f-]{36}$/)
+	})
+
+	it("writes one JSON record per call with message fields lifted", async () => {
+		const log = createLogger("Test", { requestId: "r1" }).child({ userId: 7 })
+
+		const records = await captureLogs(() => {
+			log.warn("FAIL step=games.list status=503 ms=120 cookie=true", { status: 504, host: "games.roblox.com" })
+			log.debug("hidden")
+		})
+
+		assert.equal(records.length, 1)
+		const { time, ...record } = records[0]
+		assert.ok(!Number.isNaN(Date.parse(time)))
+		assert.deepEqual(record, {
+			level: "warn",
+			route: "Test",
+			requestId: "r1",
+			userId: 7,
+			msg: "FAIL step=games.list status=503 ms=120 cookie=true",
+			step: "games.list",
+			status: 504,
+			durationMs: 120,
+			cookie: true,
+			host: "games.roblox.com",
+		})
+		assert.deepEqual(messageFields('RETRY reason=network error="fetch failed" wait=500ms'), {
+			reason: "network",
+			error: "fetch failed",
+			wait: "500ms",
+		})
+	})
+})
+
+describe("request tracing through /api/fetch-url", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.ROBLOX_SECURITY_COOKIE = COOKIE
+		process.env.ROBLOX_OPEN_CLOUD_KEY = API_KEY
+		fake = await startFakeRoblox({ universes: { 100: 1000 } })
+	})
+
+	after(async () => {
+		delete process.env.ROBLOX_SECURITY_COOKIE
+		delete process.env.ROBLOX_OPEN_CLOUD_KEY
+		await fake.close()
+	})
+
+	it("returns the request id, forwards the trace upstream and never logs credentials", async () => {
+		let res
+		const records = await captureLogs(async () => {
+			res = await invoke(handler, {
+				method: "GET",
+				headers: { traceparent: `00-${TRACE_ID}-00f067aa0ba902b7-01`, "x-request-id": "req-42" },
+				query: { url: "https://apis.roblox.com/universes/v1/places/100/universe" },
+			})
+		})
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.headers["x-request-id"], "req-42")
+
+		const [upstream] = fake.calls("apis.roblox.com", "/universes/v1/places/100/universe")
+		assert.match(upstream.headers.traceparent, new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`))
+		assert.ok(upstream.headers.cookie.includes(COOKIE))
+
+		assert.ok(records.length > 0)
+		for (const record of records) {
+			assert.equal(record.requestId, "req-42")
+			assert.equal(record.traceId, TRACE_ID)
+		}
+		const text = JSON.stringify(records)
+		assert.ok(!text.includes(COOKIE) && !text.includes(API_KEY))
+	})
+})
@@ -0,0 +1,137 @@
+import { after, afterEach, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+
+import handler from "../api/openapi.json.js"
+import donationHandler from "../api/get-donation-asset.js"
+import gamepassHandler from "../api/get-gamepass.js"
+import fetchUrlHandler from "../api/fetch-url.js"
+import universeHandler from "../api/get-universe-id-from-place-id.js"
+import warmHandler from "../api/warm-universe-map.js"
+import credentialStatusHandler from "../api/credential-status.js"
+import healthHandler from "../api/health.js"
+import { getOpenApiDocument } from "../lib/openapi.js"
+import { loadApiHandlers } from "../lib/vercel-node.js"
+import { startFakeRoblox } from "./helpers/fake-roblox.js"
+import { invoke } from "./helpers/http.js"
+import { responseSchema, validateSchema } from "./helpers/schema.js"
+
+const USER_ID = 7
+
+const FIXTURES = {
+	userGames: { [USER_ID]: [100, 101] },
+	universes: { 100: 1000, 101: 1001 },
+	gamePasses: { 1000: [{ id: 1, name: "VIP", isForSale: true, price: 100 }] },
+	devProducts: { 1000: [{ productId: 11, name: "Coins", isForSale: true, priceInformation: { defaultPriceInRobux: 10 } }] },
+	inventory: { [USER_ID]: { CLASSIC_SHIRT: [501] } },
+	catalog: { 501: { name: "Shirt", price: 5, creatorType: "User", creatorTargetId: USER_ID } },
+	sessions: { "good-cookie": { id: 42, name: "gateway_bot", displayName: "Gateway" } },
+	apiKeys: { "good-key": { name: "gateway", scopes: [] } },
+}
+
+const doc = getOpenApiDocument()
+
+// Calls `routeHandler` and checks its JSON against the schema documented for the status it answered
+async function assertMatches(routeHandler, route, reqInit) {
+	const res = await invoke(routeHandler, reqInit)
+	const errors = validateSchema(doc, responseSchema(doc, route, reqInit.method, res.statusCode), res.body)
+	assert.deepEqual(errors, [], `${reqInit.method} ${route} -> ${res.statusCode}: ${JSON.stringify(res.body)}`)
+	return res
+}
+
+describe("OpenAPI document", () => {
+	let fake
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.CACHE_DISABLED = "1"
+		process.env.ROBLOX_CREDENTIALS = JSON.stringify([{ name: "main", cookie: "good-cookie", apiKey: "good-key" }])
+		fake = await startFakeRoblox(FIXTURES)
+	})
+
+	after(async () => {
+		delete process.env.ROBLOX_CREDENTIALS
+		await fake.close()
+	})
+
+	afterEach(() => fake.reset())
+
+	it("is served at /api/openapi.json", async () => {
+		const res = await invoke(handler, { method: "GET" })
+
+		assert.equal(res.statusCode, 200)
+		assert.equal(res.body.openapi, "3.1.0")
+		assert.deepEqual(res.body, doc)
+	})
+
+	it("describes every api/ route and resolves every $ref", async () => {
+		const apiDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "api")
+		const routes = Array.from((await loadApiHandlers(apiDir)).keys(), (name) => `/api/${name}`)
+		assert.deepEqual(Object.keys(doc.paths).sort(), routes.sort())
+
+		for (const [, ref] of JSON.stringify(doc).matchAll(/"\$ref":"#\/([^"]+)"/g)) {
+			const target = ref.split("/").reduce((node, key) => node?.[key], doc)
+			assert.ok(target, `unresolved $ref #/${ref}`)
+		}
+	})
+
+	it("matches get-donation-asset and get-gamepass responses", async () => {
+		const full = await assertMatches(donationHandler, "/api/get-donation-asset", {
+			method: "GET",
+			query: { userId: String(USER_ID), assetTypes: "all" },
+		})
+		assert.equal(full.statusCode, 200)
+		assert.ok(full.body.Data.CLASSIC_SHIRT["501"])
+
+		await assertMatches(donationHandler, "/api/get-donation-asset", { method: "GET", query: { userId: "abc" } })
+		const warned = await assertMatches(donationHandler, "/api/get-donation-asset", {
+			method: "GET",
+			query: { userId: String(USER_ID), maxPlaces: "abc", pageSize: "999", includeClothing: "0", colour: "red" },
+		})
+		assert.equal(warned.body.warnings.length, 3)
+		await assertMatches(gamepassHandler, "/api/get-gamepass", { method: "GET", query: { userId: String(USER_ID) } })
+		await assertMatches(gamepassHandler, "/api/get-gamepass", { method: "GET", query: { userId: String(USER_ID), cursor: "x.y" } })
+	})
+
+	it("matches the fetch-url envelope and its errors", async () => {
+		const url = "https://apis.roblox.com/universes/v1/places/100/universe"
+		await assertMatches(fetchUrlHandler, "/api/fetch-url", { method: "GET", query: { url } })
+		await assertMatches(fetchUrlHandler, "/api/fetch-url", {
+			method: "GET",
+			query: { url: "https://apis.roblox.com/universes/v1/places/404/universe" },
+		})
+		await assertMatches(fetchUrlHandler, "/api/fetch-url", { method: "GET", query: { url: "https://example.com/" } })
+	})
+
+	it("matches the universe lookup, its batch and the warm-up", async () => {
+		await assertMatches(universeHandler, "/api/get-universe-id-from-place-id", { method: "GET", query: { placeId: "100" } })
+		await assertMatches(universeHandler, "/api/get-universe-id-from-place-id", { method: "GET", query: { placeId: "999" } })
+		await assertMatches(universeHandler, "/api/get-universe-id-from-place-id", { method: "POST", body: [100, 101, 999, "x"] })
+		await assertMatches(warmHandler, "/api/warm-universe-map", { method: "POST", body: { placeIds: [100, 101] } })
+	})
+
+	it("matches credential-status and health", async () => {
+		await assertMatches(credentialStatusHandler, "/api/credential-status", { method: "GET" })
+		const health = await assertMatches(healthHandler, "/api/health", { method: "GET" })
+		assert.equal(health.statusCode, 200)
+		const strict = await assertMatches(healthHandler, "/api/health", { method: "GET", query: { strict: "1", verbose: "1" } })
+		assert.equal(strict.statusCode, 400)
+	})
+
+	it("rejects a response that drifts from its schema", () => {
+		const schema = responseSchema(doc, "/api/get-gamepass", "GET", 200)
+		const errors = validateSchema(doc, schema, {
+			ok: true,
+			userId: 1,
+			summary: { places: 0, universes: 0, groups: 0, gamepasses: 0, clothing: 0 },
+			Data: { GAMEPASS: { 1: { AssetName: "VIP", AssetType: "GAMEPASS", AssetTypeId: 34, AssetPrice: "100" } } },
+			errors: [],
+			nextCursor: null,
+			params: {},
+			warnings: [],
+			extra: true,
+		})
+		assert.deepEqual(errors, ["$.Data.GAMEPASS.1.AssetPrice: expected integer, got string", "$: unexpected property extra"])
+	})
+})
@@ -0,0 +1,76 @@
+import { afterEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { validateQuery, warningsHeaderValue } from "../lib/query.js"
+
+const SPEC = {
+	userId: { type: "int", min: 1, required: true, reject: true },
+	maxPlaces: { type: "int", min: 1, max: 500, default: 50 },
+	includeClothing: { type: "bool", default: true },
+	mode: { type: "enum", values: ["json", "raw"], default: "json" },
+	assetTypes: { type: "list" },
+}
+
+describe("lib/query", () => {
+	afterEach(() => {
+		delete process.env.QUERY_STRICT
+	})
+
+	it("applies defaults and parses every type", () => {
+		const q = validateQuery({ userId: "7", includeClothing: "no", mode: "RAW", assetTypes: ["a, b", "c"] }, SPEC)
+
+		assert.equal(q.ok, true)
+		assert.deepEqual(q.warnings, [])
+		assert.deepEqual(q.params, {
+			legacyStatus: false,
+			strict: false,
+			userId: 7,
+			maxPlaces: 50,
+			includeClothing: false,
+			mode: "raw",
+			assetTypes: ["a", "b", "c"],
+		})
+	})
+
+	it("warns about bad types, out-of-range values, repeats and unknown parameters", () => {
+		const q = validateQuery(
+			{ userId: "7", maxPlaces: "5000", includeClothing: "maybe", mode: ["json", "raw"], foo: "1" },
+			SPEC
+		)
+
+		assert.equal(q.ok, true)
+		assert.equal(q.params.maxPlaces, 500)
+		assert.equal(q.params.includeClothing, true)
+		assert.equal(q.params.mode, "json")
+		assert.equal(
+			warningsHeaderValue(q.warnings),
+			"foo:UNKNOWN_PARAMETER,maxPlaces:OUT_OF_RANGE,includeClothing:INVALID_TYPE,mode:DUPLICATE_PARAMETER"
+		)
+		assert.deepEqual(q.warnings.find((w) => w.param === "maxPlaces"), {
+			param: "maxPlaces",
+			code: "OUT_OF_RANGE",
+			message: "maxPlaces must be an integer 1-500; using 500",
+			value: "5000",
+			used: 500,
+		})
+	})
+
+	it("rejects missing, malformed, out-of-range or repeated values of reject parameters", () => {
+		assert.deepEqual(validateQuery({}, SPEC).errors, [{ param: "userId", message: "Missing userId (must be an integer >= 1)" }])
+		assert.equal(validateQuery({ userId: "abc" }, SPEC).ok, false)
+		assert.equal(validateQuery({ userId: "0" }, SPEC).ok, false)
+		assert.equal(validateQuery({ userId: "1.5" }, SPEC).ok, false)
+		assert.equal(validateQuery({ userId: ["1", "2"] }, SPEC).ok, false)
+	})
+
+	it("turns warnings into errors with ?strict=1 or QUERY_STRICT=1", () => {
+		const strict = validateQuery({ userId: "7", pageSize: "10", strict: "1" }, SPEC)
+		assert.equal(strict.ok, false)
+		assert.deepEqual(strict.errors.map((e) => [e.param, e.code]), [["pageSize", "UNKNOWN_PARAMETER"]])
+
+		assert.equal(validateQuery({ userId: "7", strict: "1" }, SPEC).ok, true)
+
+		process.env.QUERY_STRICT = "1"
+		assert.equal(validateQuery({ userId: "7", maxPlaces: "0" }, SPEC).ok, false)
+	})
+})
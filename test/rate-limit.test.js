@@ -0,0 +1,148 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import donationHandler from "../api/get-donation-asset.js"
+import universeHandler from "../api/get-universe-id-from-place-id.js"
+import {
+	checkRateLimit,
+	clientIp,
+	createBucketStore,
+	createMemoryBucketStore,
+	parseRateLimits,
+	rateLimitKey,
+	routeLimit,
+} from "../lib/rate-limit.js"
+import { invoke, mockReq } from "./helpers/http.js"
+
+const ANON = { ok: true, method: "disabled", callerId: "anonymous" }
+
+describe("lib/rate-limit", () => {
+	before(() => {
+		process.env.RATE_LIMITS = "test-route=3/60"
+	})
+
+	after(() => {
+		delete process.env.RATE_LIMITS
+	})
+
+	it("allows a burst up to the limit, then refills over the window", async () => {
+		const store = createMemoryBucketStore()
+		const req = mockReq({ remoteAddress: "10.0.0.1" })
+		const check = (now) => checkRateLimit(req, ANON, "test-route", { store, now })
+
+		for (let i = 0; i < 3; i++) assert.equal((await check(0)).ok, true)
+
+		const denied = await check(0)
+		assert.equal(denied.ok, false)
+		assert.equal(denied.remaining, 0)
+		assert.equal(denied.retryAfterSec, 20)
+
+		// one token every 20s
+		assert.equal((await check(20_000)).ok, true)
+		assert.equal((await check(20_000)).ok, false)
+	})
+
+	it("keys token callers by their fingerprint and everyone else by client IP", () => {
+		const req = mockReq({ remoteAddress: "::ffff:10.0.0.2" })
+
+		assert.equal(rateLimitKey(req, { method: "token", callerId: "token:abc" }), "token:abc")
+		assert.equal(rateLimitKey(req, { method: "hmac", callerId: "hmac" }), "ip:10.0.0.2")
+		assert.equal(rateLimitKey(req, ANON), "ip:10.0.0.2")
+	})
+
+	it("trusts X-Forwarded-For only on Vercel or from TRUSTED_PROXIES", () => {
+		const spoofed = mockReq({ remoteAddress: "203.0.113.9", headers: { "x-forwarded-for": "10.0.0.3" } })
+		assert.equal(clientIp(spoofed), "203.0.113.9")
+
+		const viaProxy = mockReq({ remoteAddress: "172.16.0.1", headers: { "x-forwarded-for": "10.9.9.9, 10.0.0.4, 172.16.0.2" } })
+		process.env.TRUSTED_PROXIES = "172.16.0.1, 172.16.0.2"
+		try {
+			// the leftmost entries were written by the client and are skipped
+			assert.equal(clientIp(viaProxy), "10.0.0.4")
+			assert.equal(clientIp(spoofed), "203.0.113.9")
+		} finally {
+			delete process.env.TRUSTED_PROXIES
+		}
+
+		process.env.VERCEL = "1"
+		try {
+			assert.equal(clientIp(spoofed), "10.0.0.3")
+		} finally {
+			delete process.env.VERCEL
+		}
+	})
+
+	it("parses per-route overrides and falls back to the defaults", () => {
+		assert.deepEqual(parseRateLimits("fetch-url=300/60, *=5/10"), {
+			"fetch-url": { limit: 300, windowSec: 60 },
+			"*": { limit: 5, windowSec: 10 },
+		})
+		assert.throws(() => parseRateLimits("fetch-url=fast"), /invalid entry 'fetch-url=fast'/)
+
+		assert.deepEqual(routeLimit("test-route"), { limit: 3, windowSec: 60 })
+		assert.deepEqual(routeLimit("get-donation-asset"), { limit: 30, windowSec: 60 })
+		assert.deepEqual(routeLimit("unknown-route", { "*": { limit: 5, windowSec: 10 } }), { limit: 5, windowSec: 10 })
+	})
+
+	it("falls back to the memory bucket when KV fails", async () => {
+		const kv = {
+			take: async () => {
+				throw new Error("kv down")
+			},
+		}
+		const store = createBucketStore({ memory: createMemoryBucketStore(), kv, log: { warn: () => {} } })
+
+		const result = await checkRateLimit(mockReq(), ANON, "test-route", { store })
+		assert.equal(result.ok, true)
+		assert.equal(result.remaining, 2)
+	})
+
+	describe("handlers", () => {
+		before(() => {
+			process.env.GATEWAY_AUTH_DISABLED = "1"
+			process.env.RATE_LIMITS = "get-universe-id-from-place-id=2/60,get-donation-asset=1/60"
+		})
+
+		it("answers 429 with RateLimit-* headers once the bucket is empty", async () => {
+			const call = () =>
+				invoke(universeHandler, { method: "GET", query: { placeId: "x" }, remoteAddress: "10.1.0.1" })
+
+			const first = await call()
+			assert.equal(first.statusCode, 400)
+			assert.equal(first.headers["ratelimit-limit"], "2")
+			assert.equal(first.headers["ratelimit-remaining"], "1")
+			assert.equal(first.headers["ratelimit-policy"], "2;w=60")
+
+			await call()
+			const limited = await call()
+			assert.equal(limited.statusCode, 429)
+			assert.equal(limited.headers["retry-after"], "30")
+			assert.deepEqual(limited.body, {
+				ok: false,
+				error: "Rate limit exceeded",
+				code: "RATE_LIMITED",
+				retryable: true,
+				severity: "fatal",
+				retryAfterSec: 30,
+			})
+
+			// another caller has its own bucket
+			const other = await invoke(universeHandler, { method: "GET", query: { placeId: "x" }, remoteAddress: "10.1.0.2" })
+			assert.equal(other.statusCode, 400)
+		})
+
+		it("reports the 429 in the donation envelope", async () => {
+			const call = () => invoke(donationHandler, { method: "GET", query: {}, remoteAddress: "10.1.0.3" })
+
+			await call()
+			const limited = await call()
+
+			assert.equal(limited.statusCode, 429)
+			assert.equal(limited.body.ok, false)
+			assert.deepEqual(limited.body.Data, {})
+			assert.equal(limited.body.errors[0].step, "rateLimit")
+			assert.equal(limited.body.errors[0].code, "RATE_LIMITED")
+			assert.equal(limited.body.errors[0].context.retryAfterSec, 60)
+		})
+	})
+})
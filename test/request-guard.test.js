@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { guardRequest } from "../lib/request-guard.js"
+import { createLogger } from "../lib/logger.js"
+import { mockReq, mockRes } from "./helpers/http.js"
+
+const log = createLogger("Test")
+
+describe("lib/request-guard", () => {
+	beforeEach(() => {
+		delete process.env.GATEWAY_AUTH_DISABLED
+		process.env.GATEWAY_TOKENS = "alpha"
+		process.env.RATE_LIMIT_DISABLED = "1"
+	})
+
+	afterEach(() => {
+		delete process.env.GATEWAY_TOKENS
+		delete process.env.RATE_LIMIT_DISABLED
+	})
+
+	it("checks auth before the method and writes the flat 401 body", async () => {
+		const res = mockRes()
+		const guard = await guardRequest(mockReq({ method: "PUT" }), res, { route: "test", log })
+
+		assert.equal(guard, null)
+		assert.equal(res.statusCode, 401)
+		assert.equal(res.headers["www-authenticate"], "Bearer")
+		assert.deepEqual(res.body, {
+			ok: false,
+			error: "Unauthorized",
+			code: "UNAUTHORIZED",
+			retryable: false,
+			severity: "fatal",
+			reason: "missing_credentials",
+			message: "Missing caller credentials",
+		})
+	})
+
+	it("answers 405 with Allow for an authenticated caller, through `reject` when given", async () => {
+		const res = mockRes()
+		const req = mockReq({ method: "delete", headers: { authorization: "Bearer alpha" } })
+		const guard = await guardRequest(req, res, {
+			route: "test",
+			methods: ["GET", "POST"],
+			log,
+			reject: (failure) => ({ errors: [{ code: failure.code, step: failure.step, message: failure.message }] }),
+		})
+
+		assert.equal(guard, null)
+		assert.equal(res.statusCode, 405)
+		assert.equal(res.headers.allow, "GET, POST")
+		assert.deepEqual(res.body.errors, [
+			{ code: "METHOD_NOT_ALLOWED", step: "validate", message: "Method not allowed (GET/POST only)" },
+		])
+
+		const ok = await guardRequest(mockReq({ method: "post", headers: { authorization: "Bearer alpha" } }), mockRes(), {
+			route: "test",
+			methods: ["GET", "POST"],
+			log,
+		})
+		assert.equal(ok.method, "POST")
+		assert.equal(ok.caller.method, "token")
+	})
+})
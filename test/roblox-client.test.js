@@ -0,0 +1,205 @@
+import { after, afterEach, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { createMetrics, createRobloxClient, makeLogger, setUpstreamSleep } from "../lib/roblox-client.js"
+import { createUpstreamThrottle } from "../lib/upstream-throttle.js"
+import { createCredentialPool, parseCredentials } from "../lib/credential-pool.js"
+import { createDeadline, isDeadlineError } from "../lib/deadline.js"
+import { instantSleep, startFakeRoblox } from "./helpers/fake-roblox.js"
+
+const URL_100 = "https://apis.roblox.com/universes/v1/places/100/universe"
+
+function makeClient(options = {}) {
+	const errors = []
+	const metrics = createMetrics()
+	const client = createRobloxClient({
+		allowedHosts: ["apis.roblox.com", "games.roblox.com"],
+		log: makeLogger("Test", "client"),
+		errors,
+		metrics,
+		jitter: false,
+		...options,
+	})
+	return { client, errors, metrics }
+}
+
+describe("createRobloxClient", () => {
+	let fake
+
+	before(async () => {
+		fake = await startFakeRoblox({ universes: { 100: 1000 } })
+	})
+
+	after(async () => {
+		await fake.close()
+	})
+
+	afterEach(() => fake.reset())
+
+	it("retries a timed-out GET", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { timeout: true })
+		const { client, metrics } = makeClient({ timeoutMs: 100 })
+
+		const result = await client.request(URL_100)
+
+		assert.equal(result.status, 200)
+		assert.equal(metrics.upstreamRetries, 1)
+		assert.equal(fake.calls("apis.roblox.com").length, 2)
+	})
+
+	it("throws once every attempt timed out", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { timeout: true }, { timeout: true })
+		const { client } = makeClient({ timeoutMs: 100, maxAttempts: 2 })
+
+		await assert.rejects(client.request(URL_100), { name: "AbortError" })
+	})
+
+	it("retries a dropped connection", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { reset: true })
+		const { client } = makeClient()
+
+		const result = await client.request(URL_100)
+		assert.equal(result.status, 200)
+	})
+
+	it("never retries a write after a network failure", async () => {
+		fake.inject({ host: "apis.roblox.com", method: "POST" }, { reset: true })
+		const { client } = makeClient()
+
+		await assert.rejects(client.request(URL_100, { method: "POST", body: "{}" }))
+		assert.equal(fake.calls("apis.roblox.com").length, 1)
+	})
+
+	it("retries a write on 429", async () => {
+		fake.inject(
+			{ host: "apis.roblox.com", method: "POST" },
+			{ status: 429, headers: { "retry-after": "1" }, body: "" },
+			{ status: 200, body: { ok: true } }
+		)
+		const { client, metrics } = makeClient()
+
+		const result = await client.request(URL_100, { method: "POST", body: "{}" })
+
+		assert.equal(result.status, 200)
+		assert.equal(metrics.upstream429, 1)
+	})
+
+	it("rejects hosts outside the allowlist before any network call", async () => {
+		const { client } = makeClient()
+
+		await assert.rejects(client.request("https://catalog.roblox.com/v1/x"), { code: "HOST_NOT_ALLOWED" })
+		assert.equal(fake.requests.length, 0)
+	})
+
+	it("getJson records non-JSON bodies as errors", async () => {
+		fake.inject({ host: "games.roblox.com" }, { status: 200, headers: { "content-type": "text/html" }, body: "<html>" })
+		const { client, errors } = makeClient()
+
+		const value = await client.getJson("https://games.roblox.com/v1/games", "games.test", { id: 1 })
+
+		assert.equal(value, null)
+		assert.equal(errors[0].message, "Upstream returned non-JSON response")
+		assert.equal(errors[0].step, "games.test")
+	})
+
+	it("drops credentials on a cross-host hop when no redirect policy is set", async () => {
+		process.env.ROBLOX_OPEN_CLOUD_KEY = "test-key"
+		process.env.ROBLOX_SECURITY_COOKIE = "test-cookie"
+		fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "https://games.roblox.com/v1/games" } })
+		fake.inject({ host: "games.roblox.com" }, { status: 200, body: { data: [] } })
+		const { client } = makeClient()
+
+		const result = await client.request(URL_100, { auth: { cookie: true, apiKey: true } })
+
+		assert.equal(result.status, 200)
+		assert.deepEqual(result.redirects, [{ status: 302, host: "games.roblox.com", path: "/v1/games" }])
+		const [hop] = fake.calls("games.roblox.com")
+		assert.equal(hop.headers.cookie, undefined)
+		assert.equal(hop.headers["x-api-key"], undefined)
+	})
+
+	it("blocks every redirect with maxRedirects: 0", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 302, headers: { location: "/other" } })
+		const { client } = makeClient({ maxRedirects: 0 })
+
+		const result = await client.request(URL_100)
+
+		assert.equal(result.redirectBlocked.reason, "max_redirects")
+		assert.equal(fake.calls("apis.roblox.com").length, 1)
+	})
+
+	it("retries a 429 with the next credential slot and reports it in authSent", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 429, headers: { "retry-after": "0" }, body: {} })
+		const credentials = createCredentialPool(parseCredentials('[{ "cookie": "a" }, { "name": "spare", "cookie": "b" }]'))
+		const { client } = makeClient({ credentials, throttle: false })
+
+		const result = await client.request(URL_100)
+
+		assert.equal(result.status, 200)
+		assert.deepEqual(result.authSent.slot, { index: 1, name: "spare" })
+		assert.deepEqual(
+			fake.calls("apis.roblox.com").map((c) => c.headers.cookie),
+			[".ROBLOSECURITY=a", ".ROBLOSECURITY=b"]
+		)
+		assert.equal(credentials.snapshot().slots[0].count429, 1)
+	})
+
+	it("benches only the credential the endpoint reads on a 401, and nothing for a missing scope", async () => {
+		const credentials = createCredentialPool(parseCredentials('[{ "name": "main", "cookie": "c", "apiKey": "k" }]'))
+		const { client } = makeClient({ credentials, throttle: false })
+
+		fake.inject(
+			{ host: "apis.roblox.com" },
+			{ status: 401, body: { error: "INSUFFICIENT_SCOPE", message: "The API key does not have sufficient scope" } }
+		)
+		assert.equal((await client.request(URL_100)).status, 401)
+		assert.deepEqual(credentials.snapshot().slots[0].benched, [])
+
+		// games.roblox.com never reads x-api-key: the 401 is about the cookie
+		fake.inject({ host: "games.roblox.com" }, { status: 401, body: { errors: [{ message: "Authorization has been denied" }] } })
+		assert.equal((await client.request("https://games.roblox.com/v1/games?universeIds=1000")).status, 401)
+		assert.deepEqual(credentials.snapshot().slots[0].benched, ["cookie"])
+
+		await client.request(URL_100)
+		const [, last] = fake.calls("apis.roblox.com")
+		assert.equal(last.headers["x-api-key"], "k")
+		assert.equal(last.headers.cookie, undefined)
+	})
+
+	it("feeds rate-limit headers to the host throttle", async () => {
+		fake.inject(
+			{ host: "apis.roblox.com" },
+			{ status: 200, headers: { "x-ratelimit-remaining": "1", "x-ratelimit-limit": "100" }, body: { universeId: 1000 } }
+		)
+		const throttle = createUpstreamThrottle()
+		const { client } = makeClient({ throttle })
+
+		await client.request(URL_100)
+
+		const state = throttle.snapshot()["apis.roblox.com"]
+		assert.equal(state.concurrency, 4)
+		assert.equal(state.delayScale, 2)
+		assert.equal(state.active, 0)
+	})
+
+	it("stops retrying once its signal aborts", async () => {
+		fake.inject({ host: "apis.roblox.com" }, { status: 503, body: "down" }, { status: 503, body: "down" })
+		const deadline = createDeadline(100)
+		const { client, errors } = makeClient({ signal: deadline.signal })
+
+		setUpstreamSleep(null)
+		const start = Date.now()
+		try {
+			await assert.rejects(client.request(URL_100), (e) => isDeadlineError(e))
+		} finally {
+			setUpstreamSleep(instantSleep)
+		}
+		assert.ok(Date.now() - start < 500, "the backoff sleep should be cut short")
+		assert.equal(fake.calls("apis.roblox.com").length, 1)
+
+		// getJson reports nothing: the caller lists the step as skipped instead
+		assert.equal(await client.getJson(URL_100, "universes.test", {}), null)
+		assert.deepEqual(errors, [])
+		deadline.clear()
+	})
+})
@@ -0,0 +1,87 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import {
+	THROTTLE_MAX_CONCURRENCY,
+	THROTTLE_MIN_DELAY_SCALE,
+	createUpstreamThrottle,
+	headroom,
+	pauseMsFor,
+} from "../lib/upstream-throttle.js"
+
+const HOST = "games.roblox.com"
+const LOW = { status: 200, rate: { remaining: "2", limit: "100" } }
+const HIGH = { status: 200, rate: { remaining: "90", limit: "100" } }
+
+describe("lib/upstream-throttle", () => {
+	it("classifies headroom from remaining / limit, or remaining alone", () => {
+		assert.equal(headroom({ remaining: "10", limit: "100" }), "low")
+		assert.equal(headroom({ remaining: "30", limit: "100" }), "ok")
+		assert.equal(headroom({ remaining: "60", limit: "100" }), "high")
+		assert.equal(headroom({ remaining: "3" }), "low")
+		assert.equal(headroom({ remaining: null }), null)
+	})
+
+	it("reads the pause from Retry-After first, then x-ratelimit-reset", () => {
+		const now = 1_700_000_000_000
+		assert.equal(pauseMsFor({ retryAfter: "3", reset: "30" }, now), 3000)
+		assert.equal(pauseMsFor({ retryAfter: new Date(now + 5000).toUTCString() }, now), 5000)
+		assert.equal(pauseMsFor({ reset: "12" }, now), 12000)
+		assert.equal(pauseMsFor({ reset: String(now / 1000 + 7) }, now), 7000)
+		assert.equal(pauseMsFor({}, now), null)
+	})
+
+	it("shrinks concurrency and stretches delays as headroom runs out, then ramps back", () => {
+		const throttle = createUpstreamThrottle()
+
+		assert.deepEqual(throttle.observe(HOST, LOW), { event: "slow", concurrency: 4, delayScale: 2 })
+		throttle.observe(HOST, LOW)
+		assert.equal(throttle.snapshot()[HOST].concurrency, 2)
+		assert.equal(throttle.delayMs(HOST, 250), 1000)
+
+		for (let i = 0; i < 10; i++) assert.equal(throttle.observe(HOST, HIGH), null)
+		assert.equal(throttle.snapshot()[HOST].concurrency, THROTTLE_MAX_CONCURRENCY)
+		// plenty of headroom goes below the base jitter
+		assert.equal(throttle.snapshot()[HOST].delayScale, THROTTLE_MIN_DELAY_SCALE)
+	})
+
+	it("holds calls beyond the host's concurrency cap until a slot frees up", async () => {
+		const throttle = createUpstreamThrottle({ maxConcurrency: 1 })
+
+		const first = await throttle.acquire(HOST)
+		let second = null
+		const waiting = throttle.acquire(HOST).then((release) => (second = release))
+
+		await new Promise((r) => setImmediate(r))
+		assert.equal(second, null)
+		assert.equal(throttle.snapshot()[HOST].queued, 1)
+
+		first()
+		await waiting
+		assert.equal(typeof second, "function")
+		second()
+
+		// other hosts are independent
+		const other = await throttle.acquire("apis.roblox.com")
+		other()
+	})
+
+	it("pauses every new call to a host after a 429 until the reset", async () => {
+		const throttle = createUpstreamThrottle()
+
+		const change = throttle.observe(HOST, { status: 429, rate: { retryAfter: "0.2" } })
+		assert.equal(change.event, "pause")
+		assert.equal(change.pauseMs, 200)
+		assert.equal(change.concurrency, 1)
+
+		const start = Date.now()
+		const release = await throttle.acquire(HOST)
+		release()
+		assert.ok(Date.now() - start >= 150, "acquire should wait for the pause")
+
+		const otherStart = Date.now()
+		const otherRelease = await throttle.acquire("apis.roblox.com")
+		otherRelease()
+		assert.ok(Date.now() - otherStart < 100, "other hosts are not paused")
+	})
+})
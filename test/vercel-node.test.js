@@ -0,0 +1,95 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+
+import { createApiListener, loadApiHandlers } from "../lib/vercel-node.js"
+import { installUpstreamOverride, parseUpstreamOverride } from "../lib/upstream-override.js"
+
+const apiDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../api")
+
+function listen(server) {
+	return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)))
+}
+
+describe("lib/vercel-node + lib/upstream-override", () => {
+	let mock, mockBase, gateway, gatewayBase, restoreFetch, lastMockHeaders
+	const mockRequests = []
+
+	before(async () => {
+		process.env.GATEWAY_AUTH_DISABLED = "1"
+		process.env.CACHE_DISABLED = "1"
+
+		// Minimal upstream mock: answers the universe lookup for any place
+		mock = http.createServer((req, res) => {
+			mockRequests.push({ url: req.url, host: req.headers["x-forwarded-host"] })
+			lastMockHeaders = req.headers
+			res.writeHead(200, { "content-type": "application/json" })
+			res.end(JSON.stringify({ universeId: 4242 }))
+		})
+		mockBase = await listen(mock)
+
+		// Only apis.roblox.com is rewritten; test requests to the gateway itself pass through
+		restoreFetch = installUpstreamOverride(`apis.roblox.com=${mockBase}`)
+
+		gateway = http.createServer(createApiListener(await loadApiHandlers(apiDir)))
+		gatewayBase = await listen(gateway)
+	})
+
+	after(async () => {
+		restoreFetch()
+		gateway.closeAllConnections()
+		mock.closeAllConnections()
+		await Promise.all([new Promise((r) => gateway.close(r)), new Promise((r) => mock.close(r))])
+	})
+
+	it("mounts every api/*.js file", async () => {
+		const handlers = await loadApiHandlers(apiDir)
+		assert.ok(handlers.has("fetch-url"))
+		assert.ok(handlers.has("get-donation-asset"))
+		assert.ok(handlers.has("get-universe-id-from-place-id"))
+	})
+
+	it("serves a handler with req.query and routes upstream calls to the override", async () => {
+		const res = await fetch(`${gatewayBase}/api/get-universe-id-from-place-id?placeId=99`)
+		const body = await res.json()
+
+		assert.equal(res.status, 200)
+		assert.equal(body.universeId, 4242)
+		assert.deepEqual(mockRequests.at(-1), { url: "/universes/v1/places/99/universe", host: "apis.roblox.com" })
+	})
+
+	it("keeps header values passed as a Headers instance", async () => {
+		await fetch("https://apis.roblox.com/universes/v1/places/5/universe", { headers: new Headers({ "x-api-key": "k-1" }) })
+
+		assert.equal(lastMockHeaders["x-api-key"], "k-1")
+		assert.equal(lastMockHeaders["x-forwarded-host"], "apis.roblox.com")
+	})
+
+	it("parses JSON request bodies", async () => {
+		const res = await fetch(`${gatewayBase}/api/get-universe-id-from-place-id`, {
+			method: "POST",
+			headers: { "content-type": "application/json" },
+			body: JSON.stringify({ placeIds: [1, 2] }),
+		})
+		const body = await res.json()
+
+		assert.deepEqual(body.results, { 1: 4242, 2: 4242 })
+	})
+
+	it("answers 404 JSON for unknown routes", async () => {
+		const res = await fetch(`${gatewayBase}/api/nope`)
+		assert.equal(res.status, 404)
+		assert.deepEqual(await res.json(), { ok: false, error: "Not Found" })
+	})
+
+	it("parses host maps and a catch-all base", () => {
+		const map = parseUpstreamOverride("games.roblox.com=http://a:1/, *=http://b:2")
+		assert.deepEqual([...map], [
+			["games.roblox.com", "http://a:1"],
+			["*", "http://b:2"],
+		])
+		assert.throws(() => parseUpstreamOverride("ftp://x"), /unsupported protocol/)
+	})
+})